@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+//
+// `jscrape shell <url>`: open a page and drop into a REPL with it, so
+// selectors can be tried out interactively. See lib/shells.js.
+//
+const childProcess = require("child_process");
+
+// Older Nodes only allow top-level await in the REPL behind a flag.
+const REPL_AWAIT = "--experimental-repl-await";
+const nodeMajor = Number(process.versions.node.split(".")[0]);
+if (nodeMajor < 16 && !process.execArgv.includes(REPL_AWAIT)) {
+  const child = childProcess.spawn(
+    process.execPath,
+    [REPL_AWAIT, __filename].concat(process.argv.slice(2)),
+    { stdio: "inherit" }
+  );
+  child.on("exit", code => process.exit(code));
+  return;
+}
+
+let program = require("commander");
+
+const jscrape = require("../jscrape.js");
+const proxies = require("../lib/proxies.js");
+const runners = require("../lib/runners.js");
+const shells = require("../lib/shells.js");
+
+program
+  .usage("shell [options] <url or file>")
+  .option("-v, --visible", "Show Chromium")
+  .option("-x, --nosandbox", "Disable Chromium's sandbox capabilities")
+  .option("-p, --proxy [proxy]", "Optional URL for an HTTP proxy")
+  .option(
+    "-a, --auth [auth]",
+    "Optional proxy authorization in the form USER:PASS"
+  )
+  .option("-i, --noimages", "Disable loading of all images")
+  .option(
+    "-f, --fetch",
+    "Fetch the page over HTTP, without a browser, as fetch mode scrapers do"
+  )
+  .parse(process.argv);
+
+const target = program.args[0];
+if (!target) {
+  console.error(
+    "Specify a page to open with, for example, jscrape shell https://example.com/\n" +
+      "(or jscrape shell page.html for a local file)"
+  );
+  process.exit(1);
+}
+
+const runnerOptions = {
+  headless: !Boolean(program.visible),
+  sandbox: !Boolean(program.nosandbox),
+  images: !Boolean(program.noimages),
+  proxy: program.proxy
+    ? { url: program.proxy, auth: program.auth || null }
+    : null
+};
+
+const main = async () => {
+  let runner = null;
+  let browser = null;
+  if (program.fetch) {
+    browser = proxies.browserProxy({}, runnerOptions);
+  } else {
+    runner = new runners.Runner(runnerOptions);
+    browser = await runner.launchBrowser();
+  }
+
+  const session = new shells.ShellSession(browser, {
+    fetch: Boolean(program.fetch)
+  });
+  try {
+    await session.open(target);
+    console.error(
+      `jscrape shell: opened ${session.page.url()}. Try: await cleanText("h1")`
+    );
+    await session.start({ jscrape: jscrape });
+  } finally {
+    await session.close();
+    if (runner) {
+      await browser.close();
+    }
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`jscrape shell: ${error.message}`);
+    process.exit(1);
+  });
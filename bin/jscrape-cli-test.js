@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+//
+// `jscrape test`: run a scraper against local fixture pages and compare the
+// records it emits to a golden file. See lib/testing.js.
+//
+let program = require("commander");
+
+const testing = require("../lib/testing.js");
+
+program
+  .usage("test --scraper foo/scraper.Scraper --fixtures dir --golden file")
+  .option(
+    "-s, --scraper [scraper]",
+    "File and export from a scraper module. Ex: foo/scraper.Scraper"
+  )
+  .option("-f, --fixtures [dir]", "Directory of fixture pages to serve")
+  .option("-g, --golden [file]", "Golden JSON file of the expected records")
+  .option(
+    "-t, --targets [paths]",
+    "Fixture paths to start scraping from, comma-separated (default: /)"
+  )
+  .option(
+    "-u, --update",
+    "Rewrite the golden file with whatever the scraper emits"
+  )
+  .option("-v, --visible", "Show Chromium when scraping")
+  .option("-x, --nosandbox", "Disable Chromium's sandbox capabilities")
+  .parse(process.argv);
+
+if (!program.scraper || !program.fixtures || !program.golden) {
+  console.error(
+    "Specify a scraper, its fixtures and its golden file with, for example,\n" +
+      "jscrape test --scraper foo/scraper.Scraper --fixtures foo/fixtures --golden foo/golden.json"
+  );
+  process.exit(1);
+}
+
+const scraperTest = new testing.ScraperTest({
+  scraper: program.scraper,
+  fixtures: program.fixtures,
+  golden: program.golden,
+  targets: program.targets ? program.targets.split(",") : null,
+  update: Boolean(program.update),
+  runnerOptions: {
+    headless: !Boolean(program.visible),
+    sandbox: !Boolean(program.nosandbox)
+  }
+});
+
+scraperTest
+  .run()
+  .then(result => {
+    for (const error of result.errors) {
+      console.error(`jscrape test: error: ${error.message}`);
+    }
+    if (result.updated) {
+      console.error(
+        `jscrape test: Wrote ${result.records.length} records to ${
+          program.golden
+        }`
+      );
+    } else if (result.differences.length > 0) {
+      console.error(
+        `jscrape test: ${
+          program.golden
+        } doesn't match what the scraper emitted:`
+      );
+      for (const difference of result.differences) {
+        console.error(`  ${difference}`);
+      }
+    }
+    console.error(`jscrape test: ${result.passed ? "PASSED" : "FAILED"}`);
+    process.exit(result.passed ? 0 : 1);
+  })
+  .catch(error => {
+    console.error("jscrape test: crashed:", error);
+    process.exit(1);
+  });
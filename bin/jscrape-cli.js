@@ -1,11 +1,23 @@
 #!/usr/bin/env node
 
+// Subcommands: `jscrape test ...` runs a scraper against fixtures, and
+// `jscrape shell <url>` opens a page in a REPL. See jscrape-cli-<name>.js.
+const SUBCOMMANDS = ["test", "shell"];
+if (SUBCOMMANDS.includes(process.argv[2])) {
+  const subcommand = process.argv.splice(2, 1)[0];
+  require(`./jscrape-cli-${subcommand}.js`);
+  return;
+}
+
 //
 // Process command line options
 //
 let program = require("commander");
+const fs = require("fs");
 const path = require("path");
 
+const loaders = require("../lib/loaders.js");
+
 program
   .version("0.0.7")
   .option(
@@ -27,13 +39,130 @@ program
     "-a, --auth [auth]",
     "Optional proxy authorization in the form USER:PASS"
   )
+  .option(
+    "--proxies [list]",
+    "Rotate across HTTP proxies: a comma-separated list of URLs (with optional USER:PASS@), or a file of them, one per line or as JSON"
+  )
+  .option(
+    "--proxystrategy [name]",
+    "How to rotate across --proxies: roundRobin, sticky (per domain) or random"
+  )
   .option("-i, --noimages", "Disable loading of all images")
   .option("-d, --noads", "Disable ads and trackers using recent-ish blocklists")
+  .option(
+    "--adblock [file]",
+    "JSON file of ad blocking settings: extra filter files and rules, cache and refresh (implies --noads)"
+  )
+  .option(
+    "--adsnapshot [file]",
+    "Load ad blocking rules from this snapshot, or save them there if it's missing (implies --noads)"
+  )
+  .option(
+    "--adsoffline",
+    "Never download blocklists; use cached ones, however old (implies --noads)"
+  )
+  .option(
+    "--block [types]",
+    "Block requests for these resource types, comma-separated (e.g. font,media,stylesheet)"
+  )
+  .option("--blockthirdparty", "Block requests to sites other than the page's")
+  .option(
+    "--blocking [file]",
+    "JSON file of request blocking rules: resourceTypes, urls, thirdParty and allow"
+  )
   .option("-u, --url [url]", "An optional URL from which to start scraping")
   .option(
     "-t, --throttle [ms]",
     "If provided, perform at most one page load in the given timeframe"
   )
+  .option(
+    "--ratelimits [file]",
+    "JSON file of per-host rate limits, with optional per-domain overrides"
+  )
+  .option("--robots", "Honor robots.txt, including Crawl-delay")
+  .option(
+    "--robotsagent [name]",
+    "The user agent name to match in robots.txt (default: jscrape)"
+  )
+  .option(
+    "--concurrency [n]",
+    "Process up to n targets at once, each in its own tab",
+    parseInt
+  )
+  .option("--ordered", "Emit records in target order when concurrent")
+  .option(
+    "--attempts [n]",
+    "Try each page load up to n times before giving up",
+    parseInt
+  )
+  .option(
+    "--backoff [ms]",
+    "Wait this long before the first retry, doubling each time",
+    parseInt
+  )
+  .option(
+    "--checkpoint [file]",
+    "Record finished and failed targets in the given state file"
+  )
+  .option(
+    "--resume [file]",
+    "Resume from a state file, skipping targets that already finished"
+  )
+  .option(
+    "--workers [n]",
+    "Run the scrape across n worker processes, each with its own browser",
+    parseInt
+  )
+  .option(
+    "--queue [file]",
+    "With --workers, journal the target queue here so a rerun can pick up where it left off"
+  )
+  .option(
+    "--recycle [n]",
+    "Launch a fresh browser after every n targets",
+    parseInt
+  )
+  .option(
+    "--recyclememory [mb]",
+    "Launch a fresh browser once a page's JS heap passes this many megabytes",
+    parseInt
+  )
+  .option(
+    "--grace [ms]",
+    "On Ctrl-C or SIGTERM, give pages in progress this long to finish (default: 30000)",
+    parseInt
+  )
+  .option(
+    "-o, --output [file]",
+    "Write records as JSON Lines to this file (gzipped if it ends in .gz) instead of the console"
+  )
+  .option(
+    "--rotaterecords [n]",
+    "With --output, start a new numbered file every n records",
+    parseInt
+  )
+  .option(
+    "--rotatebytes [n]",
+    "With --output, start a new numbered file once one reaches n bytes",
+    parseInt
+  )
+  .option(
+    "--processors [file]",
+    "JSON (or JS) list of processors to route records to, by recordType or scraper; unrouted records go to --output"
+  )
+  .option("--stats [file]", "Write the run's statistics to a JSON file")
+  .option(
+    "--artifacts [dir]",
+    "Save a screenshot, DOM, console log and network log for each failure (default: jscrape-artifacts)"
+  )
+  .option(
+    "--record [file]",
+    "Record every response to a HAR archive (default: jscrape.har)"
+  )
+  .option(
+    "--replay [file]",
+    "Answer every request from a recorded HAR archive, offline; unknown requests fail (default: jscrape.har)"
+  )
   .option("-z, --ztest", "Run jscrape in test mode")
   .parse(process.argv);
 
@@ -61,66 +190,158 @@ if (program.proxy) {
   proxyOptions.auth = program.auth || null;
 }
 
+// --proxies is a list, or a file holding one per line, or a JSON list, or a
+// JSON Object of ProxyPool options with a "proxies" list.
+let proxyPoolOptions = null;
+if (program.proxies) {
+  proxyPoolOptions = {};
+  if (fs.existsSync(program.proxies)) {
+    const text = fs.readFileSync(program.proxies, "utf8");
+    if (/^\s*[[{]/.test(text)) {
+      const config = JSON.parse(text);
+      proxyPoolOptions = Array.isArray(config) ? { proxies: config } : config;
+    } else {
+      proxyPoolOptions.proxies = text.split(/\r?\n/);
+    }
+  } else {
+    proxyPoolOptions.proxies = program.proxies.split(",");
+  }
+  proxyPoolOptions.proxies = proxyPoolOptions.proxies.filter(
+    proxy => typeof proxy != "string" || proxy.trim()
+  );
+  if (program.proxystrategy) {
+    proxyPoolOptions.strategy = program.proxystrategy;
+  }
+}
+
+// Paths in an --adblock file are relative to the file.
+let adblockOptions = {};
+if (program.adblock) {
+  adblockOptions = JSON.parse(fs.readFileSync(program.adblock));
+  const directory = path.dirname(program.adblock);
+  for (const key of ["snapshot", "cache"]) {
+    if (adblockOptions[key]) {
+      adblockOptions[key] = path.resolve(directory, adblockOptions[key]);
+    }
+  }
+  adblockOptions.files = (adblockOptions.files || []).map(file =>
+    path.resolve(directory, file)
+  );
+}
+if (program.adsnapshot) {
+  adblockOptions.snapshot = program.adsnapshot;
+}
+if (program.adsoffline) {
+  adblockOptions.offline = true;
+}
+const blockAds = Boolean(
+  program.noads || program.adblock || program.adsnapshot || program.adsoffline
+);
+
+let blockingOptions = {};
+if (program.blocking) {
+  blockingOptions = JSON.parse(fs.readFileSync(program.blocking));
+}
+if (program.block) {
+  blockingOptions.resourceTypes = (blockingOptions.resourceTypes || []).concat(
+    program.block.split(",")
+  );
+}
+if (program.blockthirdparty) {
+  blockingOptions.thirdParty = true;
+}
+
+let rateLimitOptions = null;
+if (program.ratelimits) {
+  rateLimitOptions = JSON.parse(fs.readFileSync(program.ratelimits));
+}
+
+let artifactsDirectory = null;
+if (program.artifacts) {
+  artifactsDirectory =
+    program.artifacts === true ? "jscrape-artifacts" : program.artifacts;
+}
+
+const archivePath = option =>
+  option ? (option === true ? "jscrape.har" : option) : null;
+
+let outputOptions = null;
+if (program.output) {
+  outputOptions = {
+    path: program.output,
+    maxRecords: program.rotaterecords || null,
+    maxBytes: program.rotatebytes || null
+  };
+}
+
+let recycleOptions = {};
+if (program.recycle) {
+  recycleOptions.pages = program.recycle;
+}
+if (program.recyclememory) {
+  recycleOptions.memory = program.recyclememory;
+}
+
+let retryOptions = {};
+if (program.attempts) {
+  retryOptions.attempts = program.attempts;
+}
+if (program.backoff != null) {
+  retryOptions.delay = program.backoff;
+}
+
 const runnerOptions = {
   headless: !Boolean(program.visible),
   sandbox: !Boolean(program.nosandbox),
   images: !Boolean(program.noimages),
-  ads: !Boolean(program.noads),
+  ads: !blockAds,
+  adblock: adblockOptions,
+  blocking: blockingOptions,
   slow: Boolean(program.slow),
   throttle: program.throttle || 0,
+  rateLimit: rateLimitOptions,
+  robots: Boolean(program.robots),
+  robotsUserAgent: program.robotsagent || null,
   browserConsole: Boolean(program.browserconsole),
   proxy: proxyOptions,
+  proxyPool: proxyPoolOptions,
   clearCookies: !Boolean(program.nocookies),
-  clearCache: !Boolean(program.nocache)
-};
-
-const isModuleError = error => {
-  // TODO remove this HACK HACK
-  return error.toString().includes("Cannot find module");
+  clearCache: !Boolean(program.nocache),
+  concurrency: program.concurrency || 1,
+  ordered: Boolean(program.ordered),
+  checkpoint: program.checkpoint || null,
+  resume: program.resume || null,
+  retry: retryOptions,
+  recycle: recycleOptions,
+  scraper: program.scraper,
+  workers: program.workers || null,
+  queue: program.queue || null,
+  stats: program.stats || null,
+  output: outputOptions,
+  processors: program.processors || null,
+  shutdownGrace: program.grace == null ? null : program.grace,
+  artifacts: artifactsDirectory,
+  record: archivePath(program.record),
+  replay: archivePath(program.replay)
 };
 
-// Helper routine to instantiate a named class with arbitrary arguments:
-const newClass = (moduleAndClassName, defaultClassName, ...args) => {
-  const splits = moduleAndClassName.split(".");
-  const moduleName =
-    splits.length > 1 ? splits.slice(0, -1).join(".") : splits[0];
-  const className =
-    splits.length > 1 && splits[splits.length - 1] != "js"
-      ? splits[splits.length - 1]
-      : defaultClassName;
-  let module = null;
-  try {
-    // Assume the module is in our load path by default...
-    module = require(moduleName);
-  } catch (error) {
-    // TODO XXX this logic is garbage -Dave
-
-    // Particularly when we're actively developing jscrape, an error here
-    // could indicate a bug in jscrape's code itself. For now, try to
-    // discern the difference and explode with prejudice if it's a bug in
-    // jscrape.
-    if (!isModuleError(error)) {
-      throw error;
-    }
-
-    // ...blew up? Try to load it another way.
-    const cwdModuleName = path.join(process.cwd(), moduleName);
-    module = require(cwdModuleName);
-  }
-  const instance = new module[className](...args);
-  return instance;
-};
+const newClass = loaders.newClass;
 
 // Load the specified Runner instance.
 program.runner = program.runner || "@pioneersquare/jscrape";
 console.error(`jscrape: loading runner from ${program.runner}`);
 let runner = null;
 
+// With --workers, we want the cluster flavor of runner.
+const runnerClassName = program.workers ? "ClusterRunner" : "Runner";
+
 if (program.ztest) {
-  const module = require("../lib/runners.js");
-  runner = new module.Runner(runnerOptions);
+  const module = program.workers
+    ? require("../lib/clusters.js")
+    : require("../lib/runners.js");
+  runner = new module[runnerClassName](runnerOptions);
 } else {
-  runner = newClass(program.runner, "Runner", runnerOptions);
+  runner = newClass(program.runner, runnerClassName, runnerOptions);
 }
 
 // Load the specified Scraper instance.
@@ -132,6 +353,17 @@ const scraper = newClass(
   program.url || null
 );
 
+// Shut down gracefully on the first signal, and immediately on the second.
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    if (runner.shutdownReason) {
+      console.error(`jscrape: received ${signal} again; exiting immediately.`);
+      process.exit(runner.constructor.EXIT_CODES[signal]);
+    }
+    runner.shutdown(signal);
+  });
+}
+
 // Run that puppy
 console.error(`jscrape: running...`);
 const promise = runner.run(scraper);
@@ -139,12 +371,14 @@ const promise = runner.run(scraper);
 // Wait.
 promise
   .then(value => {
-    if (value) {
+    if (runner.shutdownReason) {
+      console.error(`jscrape: runner shut down (${runner.shutdownReason})`);
+    } else if (value) {
       console.error(`jscrape: runner returned ${value}`);
     } else {
       console.error(`jscrape: runner exited successfully`);
     }
-    process.exit(0);
+    process.exit(runner.exitCode);
   })
   .catch(error => {
     console.error("jscrape: runner raised an error:", error);
@@ -3,17 +3,13 @@ const path = require("path");
 const jscrape = require("../jscrape");
 
 /**
- * @description Yield PSL team member detail pages
+ * @description Yield PSL team member detail page URLs
  */
 class TeamMemberCrawler {
     async *crawl(page) {
         const memberLinks = await page.$$(".team-body a");
         for (const memberLink of memberLinks) {
-            const memberURL = await memberLink.href();
-            const memberPage = await page.browser().tryOpenPage(memberURL);
-            if (memberPage != null) {
-                yield memberPage;
-            }
+            yield await memberLink.href();
         }
     }
 }
@@ -42,15 +38,22 @@ class TeamMemberExtractor {
  */
 class PSLTeamScraper extends jscrape.Scraper {
     async *process(page, target) {
-        const crawler = new TeamMemberCrawler();
-        for await (const teamMemberPage of crawler.crawl(page)) {
+        if (target.depth) {
+            // A team member detail page, enqueued below.
             const extractor = new TeamMemberExtractor();
-            yield* extractor.extract(teamMemberPage);
-            await teamMemberPage.close();
+            yield* extractor.extract(page);
+        } else {
+            // The team page. Detail pages linked more than once are
+            // only visited once.
+            const crawler = new TeamMemberCrawler();
+            for await (const memberURL of crawler.crawl(page)) {
+                this.enqueue(memberURL, { from: target });
+            }
         }
     }
 }
 
 PSLTeamScraper.targets = [{ url: "https://www.psl.com/team" }];
+PSLTeamScraper.maxDepth = 1;
 
 exports.Scraper = PSLTeamScraper;
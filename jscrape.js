@@ -6,7 +6,15 @@ exports.BaseError = errors.BaseError;
 
 const processors = require("./lib/processors.js");
 
-exports.ConsoleProcessor = processors.consoleProcessor;
+exports.Processor = processors.Processor;
+exports.ConsoleProcessor = processors.ConsoleProcessor;
+exports.CollectingProcessor = processors.CollectingProcessor;
+exports.JSONLinesProcessor = processors.JSONLinesProcessor;
+exports.CSVProcessor = processors.CSVProcessor;
+exports.SQLiteProcessor = processors.SQLiteProcessor;
+exports.HTTPProcessor = processors.HTTPProcessor;
+exports.DelegatingProcessor = processors.DelegatingProcessor;
+exports.RoutingProcessor = processors.RoutingProcessor;
 
 const records = require("./lib/records.js");
 
@@ -17,10 +25,23 @@ const runners = require("./lib/runners.js");
 
 exports.Runner = runners.Runner;
 
+const clusters = require("./lib/clusters.js");
+
+exports.ClusterRunner = clusters.ClusterRunner;
+
 const scrapers = require("./lib/scrapers.js");
 
 exports.Scraper = scrapers.Scraper;
 
+const testing = require("./lib/testing.js");
+
+exports.ScraperTest = testing.ScraperTest;
+
+const transforms = require("./lib/transforms.js");
+
+exports.Pipeline = transforms.Pipeline;
+exports.TransformError = transforms.TransformError;
+
 const utils = require("./lib/utils.js");
 
 exports.sleep = utils.sleep;
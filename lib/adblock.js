@@ -0,0 +1,223 @@
+/**
+ * @file
+ * Builds the AdBlockClient our browsers use to block ads and trackers.
+ *
+ * Downloading and parsing every blocklist takes a while, and can't happen at
+ * all without a network. So we keep each downloaded list on disk, along with
+ * the parsed client, and only go back to the network once they're older than
+ * the refresh interval. (If the network is down, a stale list beats none.)
+ *
+ * Besides the remote blocklists, a client can include local filter files and
+ * inline rules, in the usual Adblock Plus syntax. A serialized client (a
+ * snapshot) can be loaded in place of all of the above.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const rp = require("request-promise-native");
+
+const errors = require("./errors");
+const utils = require("./utils");
+
+class AdBlockError extends errors.BaseError {}
+exports.AdBlockError = AdBlockError;
+
+/**
+ * @description The remote blocklists we use unless told otherwise, as { title, url }.
+ */
+const DEFAULT_BLOCKLISTS = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "./blocklists.json"))
+);
+exports.DEFAULT_BLOCKLISTS = DEFAULT_BLOCKLISTS;
+
+// A deserialized client reads from its buffer for as long as it lives, so
+// we must keep the buffer around too.
+const SNAPSHOTS = new WeakMap();
+
+/**
+ * @description Return a short, stable hash of a string.
+ */
+const digest = text =>
+  crypto
+    .createHash("sha1")
+    .update(text)
+    .digest("hex")
+    .slice(0, 16);
+
+/**
+ * @description Write a file by way of a temporary file, so readers never see half of it.
+ */
+const writeAtomically = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const temporaryPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temporaryPath, data);
+  fs.renameSync(temporaryPath, filePath);
+};
+
+/**
+ * @description Builds AdBlockClients from remote blocklists, local filter files and inline rules, with a disk cache.
+ */
+class AdBlockBuilder {
+  /**
+   * @description Create a builder.
+   * @param {Object} options
+   * @param {Array<Object>} options.blocklists Remote blocklists, as { title, url }. (Default: those in blocklists.json)
+   * @param {Array<string>} options.files Local filter files to include.
+   * @param {Array<string>} options.rules Inline filter rules to include.
+   * @param {string} options.snapshot If provided, a serialized client. If the file exists, we load it and
+   *    nothing else; if not, we build a client as usual and save it there.
+   * @param {string} options.cache The directory in which to cache blocklists and parsed clients.
+   *    (Default: jscrape/blocklists in $XDG_CACHE_HOME, or ~/.cache)
+   * @param {number} options.refresh How long cached blocklists stay fresh, in milliseconds; 0 to always refresh. (Default: 1 day)
+   * @param {boolean} options.offline If true, never download; use cached blocklists however old. (Default: false)
+   * @param {Function} options.Client The AdBlockClient class. (Default: ad-block's)
+   * @param {Function} options.download An async function from URL to text. (Default: an HTTP GET)
+   */
+  constructor(options = {}) {
+    this.blocklists = options.blocklists || DEFAULT_BLOCKLISTS;
+    this.files = utils.listify(options.files);
+    this.rules = utils.listify(options.rules);
+    this.snapshot = options.snapshot || null;
+    this.cache = options.cache || this.constructor.defaultCache();
+    this.refresh = options.refresh == null ? 86400000 : options.refresh;
+    this.offline = utils.boolify(options.offline, false);
+    // ad-block is a native module; only load it when we need it.
+    this.Client = options.Client || require("ad-block").AdBlockClient;
+    this.download = options.download || (url => rp(url));
+  }
+
+  /**
+   * @description The default cache directory.
+   */
+  static defaultCache() {
+    const base =
+      process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+    return path.join(base, "jscrape", "blocklists");
+  }
+
+  /**
+   * @description Build (or load) a client.
+   */
+  async build() {
+    if (this.snapshot && fs.existsSync(this.snapshot)) {
+      console.error(`jscrape: Loading ad blocking snapshot ${this.snapshot}`);
+      return this.load(this.snapshot);
+    }
+
+    // Our local rules are part of the cache key, so editing them rebuilds.
+    const local = this.files.map(file => fs.readFileSync(file, "utf8"));
+    const key = digest(
+      JSON.stringify({
+        blocklists: this.blocklists.map(blocklist => blocklist.url),
+        local: local,
+        rules: this.rules
+      })
+    );
+    const clientPath = path.join(this.cache, `client-${key}.dat`);
+
+    let client = null;
+    if (this.isUsable(clientPath)) {
+      try {
+        client = this.load(clientPath);
+      } catch (error) {
+        console.error(
+          `jscrape: Ignoring unreadable cached blocklists ${clientPath}: ${error}`
+        );
+      }
+    }
+
+    if (!client) {
+      client = new this.Client();
+      for (const blocklist of this.blocklists) {
+        client.parse(await this.fetchList(blocklist));
+      }
+      for (const text of local) {
+        client.parse(text);
+      }
+      if (this.rules.length > 0) {
+        client.parse(this.rules.join("\n"));
+      }
+      writeAtomically(clientPath, client.serialize());
+      console.error("jscrape: All blocklists processed.");
+    }
+
+    if (this.snapshot) {
+      this.save(client, this.snapshot);
+    }
+    return client;
+  }
+
+  /**
+   * @description Return the text of a remote blocklist, from the cache if it's fresh.
+   *
+   * If the download fails, we fall back to a stale copy, if we have one.
+   */
+  async fetchList(blocklist) {
+    const listPath = path.join(this.cache, `list-${digest(blocklist.url)}.txt`);
+    const cached = fs.existsSync(listPath);
+    if (this.isUsable(listPath)) {
+      return fs.readFileSync(listPath, "utf8");
+    }
+    if (this.offline) {
+      throw new AdBlockError(
+        `${blocklist.title} isn't cached in ${this.cache}, and we're offline.`
+      );
+    }
+
+    console.error(`jscrape: Downloading ${blocklist.title}...`);
+    let text = null;
+    try {
+      text = await this.download(blocklist.url);
+    } catch (error) {
+      if (!cached) {
+        throw new AdBlockError(
+          `Failed to download ${blocklist.title} from ${blocklist.url}: ${
+            error.message
+          }`
+        );
+      }
+      console.error(
+        `jscrape: Failed to download ${blocklist.title}: ${
+          error.message
+        }; using the cached copy.`
+      );
+      return fs.readFileSync(listPath, "utf8");
+    }
+    writeAtomically(listPath, text);
+    return text;
+  }
+
+  /**
+   * @description Return true if a cache file exists and is younger than the refresh interval (or we're offline).
+   */
+  isUsable(filePath) {
+    try {
+      const age = Date.now() - fs.statSync(filePath).mtimeMs;
+      return this.offline || (this.refresh > 0 && age < this.refresh);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @description Load a serialized client.
+   */
+  load(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const client = new this.Client();
+    client.deserialize(buffer);
+    SNAPSHOTS.set(client, buffer);
+    return client;
+  }
+
+  /**
+   * @description Save a client to a snapshot file.
+   */
+  save(client, filePath) {
+    writeAtomically(filePath, client.serialize());
+    console.error(`jscrape: Saved ad blocking snapshot ${filePath}`);
+  }
+}
+exports.AdBlockBuilder = AdBlockBuilder;
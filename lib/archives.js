@@ -0,0 +1,344 @@
+/**
+ * @file
+ * Records a scrape's network traffic to an archive, and replays it.
+ *
+ * In record mode, every response our pages receive (and every page fetched
+ * in fetch mode, and every robots.txt) is saved to a HAR file. In replay
+ * mode, requests are answered from the archive instead of the network, and
+ * anything the archive doesn't have fails. A replayed scrape is offline and
+ * deterministic, which makes it suitable for tests.
+ *
+ * Requests match on method and URL (without any #fragment). If the same
+ * request was recorded more than once, replay serves the responses in the
+ * order they were recorded, then repeats the last one.
+ *
+ * Bodies are stored decoded, so we drop Content-Encoding and friends on
+ * replay.
+ */
+
+const EventEmitter = require("events");
+const fs = require("fs");
+const { URL } = require("url");
+
+const errors = require("./errors");
+
+class ArchiveError extends errors.BaseError {}
+exports.ArchiveError = ArchiveError;
+
+// Headers that describe the bytes on the wire, not the decoded body we keep.
+const WIRE_HEADERS = [
+  "content-encoding",
+  "content-length",
+  "transfer-encoding"
+];
+
+// How many redirects replayFetch will follow.
+const MAX_REDIRECTS = 10;
+
+/**
+ * @description Return the key under which a request is archived.
+ */
+const archiveKey = (method, url) =>
+  `${(method || "GET").toUpperCase()} ${`${url}`.split("#")[0]}`;
+exports.archiveKey = archiveKey;
+
+/**
+ * @description Convert a headers Object to HAR's list of { name, value }.
+ */
+const toHarHeaders = headers =>
+  Object.keys(headers || {}).map(name => ({
+    name: name,
+    value: `${headers[name]}`
+  }));
+
+/**
+ * @description Convert HAR's list of { name, value } to a headers Object, less wire headers.
+ */
+const fromHarHeaders = harHeaders => {
+  const headers = {};
+  for (const { name, value } of harHeaders || []) {
+    const lower = name.toLowerCase();
+    if (!WIRE_HEADERS.includes(lower)) {
+      headers[lower] = headers[lower] ? `${headers[lower]}\n${value}` : value;
+    }
+  }
+  return headers;
+};
+
+/**
+ * @description A HAR archive of network traffic, in record or replay mode.
+ *
+ * Emits "entry" (entry) for every entry recorded.
+ */
+class NetworkArchive extends EventEmitter {
+  /**
+   * @description Create an empty archive, to record into.
+   * @param {string} path Where save() writes the archive.
+   * @param {Object} options
+   * @param {string} options.mode "record" or "replay". (Default: "record")
+   * @param {Array<Object>} options.entries HAR entries to start with.
+   */
+  constructor(path = null, options = {}) {
+    super();
+    this.path = path;
+    this.mode = options.mode || "record";
+    this.entries = options.entries || [];
+    this.misses = 0;
+    this._pending = new Set();
+    this._served = new Map(); // key -> number of times served
+    this._index = null; // key -> [entry]
+  }
+
+  /**
+   * @description Load an archive to replay.
+   */
+  static load(path) {
+    let har = null;
+    try {
+      har = JSON.parse(fs.readFileSync(path, "utf8"));
+    } catch (error) {
+      throw new ArchiveError(`Can't read archive ${path}: ${error.message}`);
+    }
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new ArchiveError(`${path} isn't a HAR archive.`);
+    }
+    return new NetworkArchive(path, {
+      mode: "replay",
+      entries: har.log.entries
+    });
+  }
+
+  get recording() {
+    return this.mode == "record";
+  }
+
+  get replaying() {
+    return this.mode == "replay";
+  }
+
+  /**
+   * @description Add a HAR entry.
+   */
+  add(entry) {
+    this.entries.push(entry);
+    this._index = null;
+    this.emit("entry", entry);
+  }
+
+  /**
+   * @description Record a request and its response.
+   * @param {Object} exchange
+   * @param {string} exchange.method The request method. (Default: "GET")
+   * @param {string} exchange.url The request URL.
+   * @param {Object} exchange.requestHeaders The request headers.
+   * @param {string} exchange.postData The request body, if any.
+   * @param {number} exchange.status The response status.
+   * @param {string} exchange.statusText The response status text.
+   * @param {Object} exchange.headers The response headers.
+   * @param {Buffer or string} exchange.body The (decoded) response body, if any.
+   */
+  record(exchange) {
+    const body =
+      exchange.body == null ? null : Buffer.from(exchange.body || "");
+    const headers = exchange.headers || {};
+    const entry = {
+      startedDateTime: new Date().toISOString(),
+      time: 0,
+      request: {
+        method: (exchange.method || "GET").toUpperCase(),
+        url: exchange.url,
+        httpVersion: "HTTP/1.1",
+        headers: toHarHeaders(exchange.requestHeaders),
+        queryString: [],
+        cookies: [],
+        headersSize: -1,
+        bodySize: exchange.postData ? Buffer.byteLength(exchange.postData) : 0
+      },
+      response: {
+        status: exchange.status,
+        statusText: exchange.statusText || "",
+        httpVersion: "HTTP/1.1",
+        headers: toHarHeaders(headers),
+        cookies: [],
+        content: {
+          size: body ? body.length : 0,
+          mimeType: headers["content-type"] || "",
+          text: body ? body.toString("base64") : "",
+          encoding: "base64"
+        },
+        redirectURL: headers.location || "",
+        headersSize: -1,
+        bodySize: body ? body.length : 0
+      },
+      cache: {},
+      timings: { send: 0, wait: 0, receive: 0 }
+    };
+    if (exchange.postData) {
+      entry.request.postData = {
+        mimeType: (exchange.requestHeaders || {})["content-type"] || "",
+        text: exchange.postData
+      };
+    }
+    this.add(entry);
+  }
+
+  /**
+   * @description Record every response a puppeteer Page receives.
+   */
+  watch(page) {
+    page.on("response", response => {
+      const pending = this._recordResponse(response);
+      this._pending.add(pending);
+      pending.then(() => this._pending.delete(pending));
+    });
+  }
+
+  async _recordResponse(response) {
+    const request = response.request();
+    const status = response.status();
+
+    // Redirects have no body, and Puppeteer won't pretend otherwise.
+    let body = null;
+    if (status < 300 || status >= 400) {
+      try {
+        body = await response.buffer();
+      } catch (error) {
+        body = null;
+      }
+    }
+
+    this.record({
+      method: request.method(),
+      url: request.url(),
+      requestHeaders: request.headers(),
+      postData: request.postData(),
+      status: status,
+      statusText: response.statusText(),
+      headers: response.headers(),
+      body: body
+    });
+  }
+
+  /**
+   * @description Wait for the responses we're still reading.
+   */
+  async settle() {
+    while (this._pending.size > 0) {
+      await Promise.all([...this._pending]);
+    }
+  }
+
+  /**
+   * @description Look up the next archived response to a request.
+   * @return {Object} { status, statusText, headers, body }, where body is a Buffer; or null.
+   */
+  lookup(method, url) {
+    if (!this._index) {
+      this._index = new Map();
+      for (const entry of this.entries) {
+        const key = archiveKey(entry.request.method, entry.request.url);
+        this._index.set(key, (this._index.get(key) || []).concat([entry]));
+      }
+    }
+
+    const key = archiveKey(method, url);
+    const entries = this._index.get(key);
+    if (!entries) {
+      this.misses += 1;
+      return null;
+    }
+    const served = this._served.get(key) || 0;
+    this._served.set(key, served + 1);
+    const { response } = entries[Math.min(served, entries.length - 1)];
+
+    const content = response.content || {};
+    return {
+      status: response.status,
+      statusText: response.statusText || "",
+      headers: fromHarHeaders(response.headers),
+      body: Buffer.from(
+        content.text || "",
+        content.encoding == "base64" ? "base64" : "utf8"
+      )
+    };
+  }
+
+  /**
+   * @description Answer an intercepted puppeteer Request from the archive, or fail it.
+   */
+  replay(request) {
+    const archived = this.lookup(request.method(), request.url());
+    if (!archived) {
+      console.error(
+        `jscrape: ${request.method()} ${request.url()} isn't in the archive; failing it.`
+      );
+      request.abort("internetdisconnected");
+      return;
+    }
+    request.respond({
+      status: archived.status,
+      headers: archived.headers,
+      body: archived.body
+    });
+  }
+
+  /**
+   * @description Look up a page fetched with a GET, following archived redirects.
+   * @return {Object} { url, status, headers, body }, where url is the final URL; or null.
+   */
+  replayFetch(url) {
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const archived = this.lookup("GET", url);
+      if (!archived) {
+        return null;
+      }
+      const location = archived.headers.location;
+      if (archived.status < 300 || archived.status >= 400 || !location) {
+        return Object.assign({ url: url }, archived);
+      }
+      url = new URL(location, url).href;
+    }
+    return null;
+  }
+
+  /**
+   * @description Record a page fetched with a GET, as returned by request, including any redirect.
+   */
+  recordFetch(url, response) {
+    const finalUrl = response.request.uri.href;
+    if (finalUrl.split("#")[0] != url.split("#")[0]) {
+      this.record({
+        url: url,
+        status: 302,
+        statusText: "Found",
+        headers: { location: finalUrl }
+      });
+    }
+    this.record({
+      url: finalUrl,
+      requestHeaders: response.request.headers,
+      status: response.statusCode,
+      statusText: response.statusMessage,
+      headers: response.headers,
+      body: response.body
+    });
+  }
+
+  /**
+   * @description Write the archive as HAR.
+   */
+  save(path = this.path) {
+    const har = {
+      log: {
+        version: "1.2",
+        creator: { name: "jscrape", version: "1" },
+        pages: [],
+        entries: this.entries
+      }
+    };
+    const temporaryPath = `${path}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(har, null, 2));
+    fs.renameSync(temporaryPath, path);
+  }
+}
+exports.NetworkArchive = NetworkArchive;
@@ -0,0 +1,229 @@
+/**
+ * @file
+ * Captures evidence when a page fails: a full-page screenshot, the serialized
+ * DOM, the page's console output and its most recent network requests.
+ *
+ * Console and network activity can't be recovered after the fact, so we
+ * record it as it happens, into bounded buffers attached to each page.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// A Symbol can't collide with anything in Puppeteer, and passes straight
+// through our page proxies to the underlying page.
+const RECORDER = Symbol("jscrape.artifacts.recorder");
+
+/**
+ * @description Resolve to a promise's value, or to null if it fails or takes too long.
+ */
+const settle = async (promise, timeout) => {
+  let timer = null;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), timeout);
+      })
+    ]);
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * @description Records a page's recent console messages and network requests.
+ */
+class PageRecorder {
+  /**
+   * @description Create a recorder.
+   * @param {number} limit The number of console messages, and of requests, to keep. (Default: 100)
+   */
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.console = [];
+    this.network = [];
+    this._requests = new WeakMap();
+  }
+
+  /**
+   * @description Start recording a puppeteer Page.
+   */
+  attach(page) {
+    page.on("console", message =>
+      this._push(this.console, {
+        time: new Date().toISOString(),
+        type: message.type(),
+        text: message.text()
+      })
+    );
+    page.on("pageerror", error =>
+      this._push(this.console, {
+        time: new Date().toISOString(),
+        type: "pageerror",
+        text: `${error}`
+      })
+    );
+    page.on("request", request => {
+      const entry = {
+        time: new Date().toISOString(),
+        method: request.method(),
+        url: request.url(),
+        resourceType: request.resourceType(),
+        status: null,
+        failure: null
+      };
+      this._requests.set(request, entry);
+      this._push(this.network, entry);
+    });
+    page.on("response", response => {
+      const entry = this._requests.get(response.request());
+      if (entry) {
+        entry.status = response.status();
+      }
+    });
+    page.on("requestfailed", request => {
+      const entry = this._requests.get(request);
+      if (entry) {
+        const failure = request.failure();
+        entry.failure = failure ? failure.errorText : "failed";
+      }
+    });
+    page[RECORDER] = this;
+  }
+
+  _push(buffer, entry) {
+    buffer.push(entry);
+    if (buffer.length > this.limit) {
+      buffer.shift();
+    }
+  }
+}
+exports.PageRecorder = PageRecorder;
+
+/**
+ * @description Return the recorder attached to a page, or null.
+ */
+const recorderFor = page => (page && page[RECORDER]) || null;
+exports.recorderFor = recorderFor;
+
+/**
+ * @description Writes failure artifacts into a directory.
+ */
+class ArtifactStore {
+  /**
+   * @description Create a store.
+   * @param {string} directory Where to write artifacts. Created if needed.
+   * @param {Object} options
+   * @param {number} options.limit The number of console messages, and of requests, to keep per page. (Default: 100)
+   * @param {number} options.timeout The longest we'll wait for a screenshot or the DOM, in milliseconds. (Default: 10000)
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.limit = options.limit || 100;
+    this.timeout = options.timeout || 10000;
+    this._count = 0;
+  }
+
+  /**
+   * @description Start recording console and network activity on a newly opened page.
+   */
+  watch(page) {
+    new PageRecorder(this.limit).attach(page);
+  }
+
+  /**
+   * @description Gather artifacts from a page into memory.
+   *
+   * Every part is best effort: a page that has crashed may give us nothing
+   * but what its recorder saw.
+   */
+  async snapshot(page) {
+    let url = null;
+    try {
+      url = page.url();
+    } catch (error) {
+      url = null;
+    }
+
+    const recorder = recorderFor(page);
+    return {
+      url: url,
+      screenshot: await settle(
+        page.screenshot({ fullPage: true }),
+        this.timeout
+      ),
+      html: await settle(page.content(), this.timeout),
+      console: recorder ? recorder.console.slice() : [],
+      network: recorder ? recorder.network.slice() : []
+    };
+  }
+
+  /**
+   * @description Write a snapshot, and the error that prompted it, to disk.
+   * @param {Object} snapshot As returned by snapshot().
+   * @param {Error} error The error.
+   * @param {Object} context
+   * @param {string} context.scraper The name of the scraper involved.
+   * @param {string} context.url The URL involved, if the snapshot doesn't know it.
+   * @return {Object} The paths written, keyed by artifact: screenshot, html, console, network and error.
+   */
+  write(snapshot, error, context = {}) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    this._count += 1;
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const scraper = `${context.scraper || "jscrape"}`.replace(/[^\w.-]+/g, "_");
+    const base = path.join(
+      this.directory,
+      `${stamp}-${scraper}-${process.pid}-${this._count}`
+    );
+    const url = snapshot.url || context.url || null;
+    const report = (error && error.stack) || `${error}`;
+
+    const paths = {};
+    if (snapshot.screenshot) {
+      paths.screenshot = `${base}.png`;
+      fs.writeFileSync(paths.screenshot, snapshot.screenshot);
+    }
+    if (snapshot.html != null) {
+      paths.html = `${base}.html`;
+      fs.writeFileSync(paths.html, snapshot.html);
+    }
+    paths.console = `${base}.console.log`;
+    fs.writeFileSync(
+      paths.console,
+      snapshot.console
+        .map(entry => `${entry.time} [${entry.type}] ${entry.text}\n`)
+        .join("")
+    );
+    paths.network = `${base}.network.json`;
+    fs.writeFileSync(paths.network, JSON.stringify(snapshot.network, null, 2));
+    paths.error = `${base}.error.txt`;
+    fs.writeFileSync(
+      paths.error,
+      `URL: ${url}\nScraper: ${context.scraper || null}\n\n${report}\n`
+    );
+
+    return paths;
+  }
+
+  /**
+   * @description Snapshot a page and write it out in one go.
+   */
+  async capture(page, error, context = {}) {
+    return this.write(await this.snapshot(page), error, context);
+  }
+}
+exports.ArtifactStore = ArtifactStore;
+
+/**
+ * @description Describe the paths returned by ArtifactStore.write(), for an error report.
+ */
+const describeArtifacts = paths =>
+  Object.keys(paths)
+    .map(name => `${name}: ${paths[name]}`)
+    .join(", ");
+exports.describeArtifacts = describeArtifacts;
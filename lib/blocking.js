@@ -0,0 +1,171 @@
+/**
+ * @file
+ * Decides which of a page's requests to block.
+ *
+ * A RequestPolicy blocks by resource type (image, font, media, stylesheet,
+ * websocket, ...), by URL pattern, by whether a request goes to a third
+ * party, and by ad blocklist. An allow list overrides all of these. We never
+ * block the page's own navigation.
+ *
+ * URL patterns are globs, where * matches anything, matched against the
+ * whole URL; or regular expressions, given as RegExps or as "/.../flags"
+ * strings (handy in JSON).
+ *
+ * Blocked requests never download, so we can't know what they'd have cost.
+ * Instead, the policy keeps the average Content-Length of each resource type
+ * it lets through, and estimates the bytes saved from that.
+ */
+
+const ratelimits = require("./ratelimits");
+const utils = require("./utils");
+
+/**
+ * @description Compile a glob, a "/regex/flags" string or a RegExp into a RegExp.
+ */
+const compilePattern = pattern => {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+  const escaped = pattern
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+};
+exports.compilePattern = compilePattern;
+
+// Second-level labels under which country-code domains are registered.
+const SECOND_LEVELS = ["ac", "co", "com", "edu", "gov", "net", "org"];
+
+/**
+ * @description Return the site (roughly, the registrable domain) of a hostname.
+ *
+ * This is a heuristic, not the public suffix list: "a.b.co.uk" is "b.co.uk",
+ * and "a.b.com" is "b.com".
+ */
+const siteOf = hostname => {
+  if (!hostname || /^[\d.]+$/.test(hostname) || hostname.includes(":")) {
+    return hostname;
+  }
+  const labels = hostname.split(".");
+  const count =
+    labels.length > 2 &&
+    labels[labels.length - 1].length == 2 &&
+    SECOND_LEVELS.includes(labels[labels.length - 2])
+      ? 3
+      : 2;
+  return labels.slice(-count).join(".");
+};
+exports.siteOf = siteOf;
+
+/**
+ * @description Return true if a request goes to a different site than its page.
+ *
+ * Only network requests count; data: and blob: URLs never do.
+ */
+const isThirdParty = (requestUrl, pageUrl) => {
+  const network = /^(https?|wss?):/i;
+  if (!network.test(requestUrl) || !network.test(pageUrl || "")) {
+    return false;
+  }
+  const pageHost = ratelimits.hostnameOf(pageUrl);
+  const requestHost = ratelimits.hostnameOf(requestUrl);
+  return siteOf(requestHost) != siteOf(pageHost);
+};
+exports.isThirdParty = isThirdParty;
+
+/**
+ * @description Decides which requests to block.
+ */
+class RequestPolicy {
+  /**
+   * @description Create a policy.
+   * @param {Object} options
+   * @param {Array<string>} options.resourceTypes Puppeteer resource types to block: image, media, font, stylesheet, websocket, etc.
+   * @param {Array<string or RegExp>} options.urls URL patterns to block.
+   * @param {boolean} options.thirdParty If true, block requests to sites other than the page's own. (Default: false)
+   * @param {Array<string or RegExp>} options.allow URL patterns never to block, whatever the rules above say.
+   * @param {boolean} options.images If false, block images too. (Default: true)
+   * @param {AdBlockClient} options.adclient If provided, block requests that it matches.
+   */
+  constructor(options = {}) {
+    this.resourceTypes = new Set(utils.listify(options.resourceTypes));
+    if (!utils.boolify(options.images, true)) {
+      this.resourceTypes.add("image");
+    }
+    this.urls = utils.listify(options.urls).map(compilePattern);
+    this.thirdParty = utils.boolify(options.thirdParty, false);
+    this.allow = utils.listify(options.allow).map(compilePattern);
+    this.adclient = options.adclient || null;
+    this._sizes = {}; // resourceType -> { responses, bytes }
+  }
+
+  /**
+   * @description True if the policy might block anything at all.
+   */
+  get active() {
+    return Boolean(
+      this.resourceTypes.size > 0 ||
+        this.urls.length > 0 ||
+        this.thirdParty ||
+        this.adclient
+    );
+  }
+
+  /**
+   * @description Decide whether to block a request.
+   * @param {string} requestUrl The URL requested.
+   * @param {string} resourceType The request's Puppeteer resource type.
+   * @param {Object} options
+   * @param {string} options.pageUrl The URL of the page making the request.
+   * @param {boolean} options.navigation If true, the request is the page's own navigation, and is never blocked.
+   * @return {string} Why to block the request ("resourceType", "url", "thirdParty" or "ad"), or null to let it through.
+   */
+  decide(requestUrl, resourceType, options = {}) {
+    if (options.navigation) {
+      return null;
+    }
+    if (this.allow.some(pattern => pattern.test(requestUrl))) {
+      return null;
+    }
+    if (this.resourceTypes.has(resourceType)) {
+      return "resourceType";
+    }
+    if (this.urls.some(pattern => pattern.test(requestUrl))) {
+      return "url";
+    }
+    if (this.thirdParty && isThirdParty(requestUrl, options.pageUrl)) {
+      return "thirdParty";
+    }
+    if (this.adclient && this.adclient.matches(requestUrl)) {
+      return "ad";
+    }
+    return null;
+  }
+
+  /**
+   * @description Note the size of a response we let through, from its headers.
+   */
+  observe(resourceType, headers) {
+    const length = Number(headers && headers["content-length"]);
+    if (length > 0) {
+      const sizes = this._sizes[resourceType] || { responses: 0, bytes: 0 };
+      sizes.responses += 1;
+      sizes.bytes += length;
+      this._sizes[resourceType] = sizes;
+    }
+  }
+
+  /**
+   * @description Estimate the size of a request of a resource type, or null if we've seen none.
+   */
+  estimateBytes(resourceType) {
+    const sizes = this._sizes[resourceType];
+    return sizes ? Math.round(sizes.bytes / sizes.responses) : null;
+  }
+}
+exports.RequestPolicy = RequestPolicy;
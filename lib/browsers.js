@@ -0,0 +1,231 @@
+/**
+ * @file
+ * Keeps a scraper supplied with a working browser over a long run.
+ *
+ * Chromium leaks memory over thousands of page loads, and now and then it
+ * crashes outright. A BrowserManager hands out the current browser one target
+ * at a time, retires it after a number of pages or once a page's JS heap
+ * grows too large, and launches a fresh one after a crash. A retired browser
+ * is closed once the targets still using it are done.
+ */
+
+const EventEmitter = require("events");
+
+const errors = require("./errors");
+
+class BrowserError extends errors.BaseError {}
+exports.BrowserError = BrowserError;
+
+/**
+ * @description Error messages that mean the browser, not just the page, is gone.
+ */
+const CRASH_MESSAGES = [
+  "Session closed.",
+  "Target closed.",
+  "Connection closed.",
+  "browser has disconnected"
+];
+
+/**
+ * @description Launches, recycles and relaunches browsers.
+ *
+ * Emits "launch" (browser), "retire" (browser, reason) and "crash" (browser).
+ */
+class BrowserManager extends EventEmitter {
+  /**
+   * @description Create a manager.
+   * @param {Function} launch An async function that launches and returns a new (proxied) browser.
+   * @param {Object} options
+   * @param {number} options.pages If provided, retire each browser after this many targets.
+   * @param {number} options.memory If provided, retire a browser once a page's JS heap exceeds this many megabytes.
+   * @param {number} options.maxCrashes Give up once browsers have crashed this many times. (Default: 10)
+   */
+  constructor(launch, options = {}) {
+    super();
+    this._launchBrowser = launch;
+    this.maxPages = Number(options.pages) || 0;
+    this.maxMemory = (Number(options.memory) || 0) * 1024 * 1024;
+    this.maxCrashes =
+      options.maxCrashes == null ? 10 : Number(options.maxCrashes);
+    this.launches = 0;
+    this.crashes = 0;
+    this._entries = new Map(); // browser -> { browser, pages, inFlight, retiring, closing }
+    this._current = null;
+    this._launching = null;
+  }
+
+  /**
+   * @description Return true if an error means the browser has crashed or disconnected.
+   */
+  static isCrash(error) {
+    const message = `${(error && error.message) || error}`;
+    return CRASH_MESSAGES.some(fragment => message.includes(fragment));
+  }
+
+  /**
+   * @description Return the current browser, launching one if needed, without checking it out.
+   */
+  async current() {
+    const entry = await this._currentEntry();
+    return entry.browser;
+  }
+
+  /**
+   * @description Check out a browser for a single target. Pair every call with release().
+   */
+  async acquire() {
+    const entry = await this._currentEntry();
+    entry.pages += 1;
+    entry.inFlight += 1;
+    if (this.maxPages && entry.pages >= this.maxPages) {
+      this._retire(entry, `after ${entry.pages} targets`);
+    }
+    return entry.browser;
+  }
+
+  /**
+   * @description Check a page's JS heap, retiring its browser if it's grown too large.
+   *
+   * Call this before closing the page.
+   */
+  async measure(browser, page) {
+    const entry = this._entries.get(browser);
+    if (!entry || entry.retiring || !this.maxMemory) {
+      return;
+    }
+
+    let metrics = null;
+    try {
+      metrics = await page.metrics();
+    } catch (error) {
+      return;
+    }
+    if (metrics.JSHeapUsedSize > this.maxMemory) {
+      const megabytes = Math.round(metrics.JSHeapUsedSize / 1024 / 1024);
+      this._retire(entry, `with ${megabytes}MB of JS heap in use`);
+    }
+  }
+
+  /**
+   * @description Note that a browser has crashed; the next target gets a new one.
+   */
+  crashed(browser) {
+    const entry = this._entries.get(browser);
+    if (!entry || entry.crashed) {
+      return;
+    }
+    entry.crashed = true;
+    this.crashes += 1;
+    console.error(
+      `jscrape: Browser crashed (${this.crashes} so far); relaunching.`
+    );
+    this.emit("crash", browser);
+    this._retire(entry, "after a crash");
+  }
+
+  /**
+   * @description Return true if a browser has crashed.
+   */
+  hasCrashed(browser) {
+    const entry = this._entries.get(browser);
+    return Boolean(entry && entry.crashed);
+  }
+
+  /**
+   * @description Check a browser back in, closing it if it's been retired and is no longer in use.
+   */
+  async release(browser) {
+    const entry = this._entries.get(browser);
+    if (!entry) {
+      return;
+    }
+    entry.inFlight -= 1;
+    if (entry.retiring && entry.inFlight <= 0) {
+      await this._close(entry);
+    }
+  }
+
+  /**
+   * @description Close every browser.
+   */
+  async close() {
+    for (const entry of [...this._entries.values()]) {
+      await this._close(entry);
+    }
+  }
+
+  async _currentEntry() {
+    if (this.crashes > this.maxCrashes) {
+      throw new BrowserError(
+        `Browsers crashed more than ${this.maxCrashes} times; giving up.`
+      );
+    }
+    if (this._current && !this._current.retiring) {
+      return this._current;
+    }
+    if (!this._launching) {
+      this._launching = this._launch();
+      this._launching.then(
+        () => (this._launching = null),
+        () => (this._launching = null)
+      );
+    }
+    return await this._launching;
+  }
+
+  async _launch() {
+    const browser = await this._launchBrowser();
+    const entry = {
+      browser: browser,
+      pages: 0,
+      inFlight: 0,
+      retiring: false,
+      crashed: false,
+      closing: false
+    };
+    this._entries.set(browser, entry);
+    this._current = entry;
+    this.launches += 1;
+
+    browser.on("disconnected", () => {
+      if (!entry.closing) {
+        this.crashed(browser);
+      }
+    });
+
+    this.emit("launch", browser);
+    return entry;
+  }
+
+  _retire(entry, reason) {
+    if (entry.retiring) {
+      return;
+    }
+    entry.retiring = true;
+    if (this._current === entry) {
+      this._current = null;
+    }
+    this.emit("retire", entry.browser, reason);
+    if (entry.inFlight <= 0) {
+      this._close(entry);
+    }
+  }
+
+  async _close(entry) {
+    if (entry.closing) {
+      return;
+    }
+    entry.closing = true;
+    this._entries.delete(entry.browser);
+    if (this._current === entry) {
+      this._current = null;
+    }
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      console.error(`jscrape: Failed to close a browser: ${error}; shrug.`);
+    }
+  }
+}
+
+exports.BrowserManager = BrowserManager;
@@ -0,0 +1,272 @@
+/**
+ * @file
+ * Checkpoints record the progress of a run on disk, so that a run that dies
+ * partway through can be resumed without redoing completed work.
+ *
+ * A checkpoint remembers, per scraper, which targets finished, which failed,
+ * which were skipped (say, because robots.txt disallows them), and which
+ * were enqueued during the crawl but haven't finished yet, so that a resumed
+ * crawl picks them up again (their parents, having finished, won't be
+ * scraped to rediscover them). It also remembers every URL that was
+ * successfully visited, so that a resumed crawl doesn't visit it again when
+ * it's linked from somewhere new.
+ */
+
+const fs = require("fs");
+
+const errors = require("./errors");
+
+class CheckpointError extends errors.BaseError {}
+exports.CheckpointError = CheckpointError;
+
+/**
+ * @description Serialize a value to JSON with object keys in sorted order.
+ */
+const stableStringify = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  } else if (value && typeof value == "object") {
+    const keys = Object.keys(value).sort();
+    const pairs = keys
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${pairs.join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * @description Convert a Map with string keys to a plain Object.
+ */
+const objectFromMap = map => {
+  const result = {};
+  for (const [key, value] of map) {
+    result[key] = value;
+  }
+  return result;
+};
+
+/**
+ * @description Tracks finished, failed, skipped and pending targets, and visited URLs.
+ */
+class CheckpointStore {
+  /**
+   * @description Create a checkpoint store.
+   * @param {string} path The file in which to keep state.
+   * @param {Object} options
+   * @param {number} options.interval Save at most once per interval milliseconds. (Default: 5000)
+   */
+  constructor(path, options = {}) {
+    this.path = path;
+    this.interval = options.interval == null ? 5000 : options.interval;
+    this._scrapers = {};
+    this._visited = new Set();
+    this._lastSave = 0;
+    this._dirty = false;
+  }
+
+  /**
+   * @description Return a stable key for a target (a URL string or an Object).
+   */
+  static targetKey(target) {
+    return typeof target == "string" ? target : stableStringify(target);
+  }
+
+  /**
+   * @description Load state from disk, replacing anything in memory.
+   */
+  load() {
+    if (!fs.existsSync(this.path)) {
+      throw new CheckpointError(`No checkpoint file found at ${this.path}.`);
+    }
+
+    let state = null;
+    try {
+      state = JSON.parse(fs.readFileSync(this.path, "utf8"));
+    } catch (error) {
+      throw new CheckpointError(
+        `Could not read checkpoint file ${this.path}: ${error.message}`
+      );
+    }
+
+    if (state.version != this.constructor.VERSION) {
+      throw new CheckpointError(
+        `Checkpoint file ${this.path} has unsupported version ${state.version}.`
+      );
+    }
+
+    this._scrapers = {};
+    for (const name in state.scrapers) {
+      const saved = state.scrapers[name];
+      this._scrapers[name] = {
+        finished: new Set(saved.finished),
+        failed: new Map(Object.entries(saved.failed)),
+        skipped: new Map(Object.entries(saved.skipped || {})),
+        pending: new Map(Object.entries(saved.pending || {}))
+      };
+    }
+    this._visited = new Set(state.visited);
+    this._dirty = false;
+  }
+
+  /**
+   * @description Write state to disk.
+   *
+   * We write to a temporary file and rename it into place so that a crash
+   * mid-write never leaves a truncated checkpoint behind.
+   */
+  save() {
+    const scrapers = {};
+    for (const name in this._scrapers) {
+      const progress = this._scrapers[name];
+      scrapers[name] = {
+        finished: [...progress.finished],
+        failed: objectFromMap(progress.failed),
+        skipped: objectFromMap(progress.skipped),
+        pending: objectFromMap(progress.pending)
+      };
+    }
+    const state = {
+      version: this.constructor.VERSION,
+      scrapers: scrapers,
+      visited: [...this._visited]
+    };
+
+    const temporaryPath = `${this.path}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(state));
+    fs.renameSync(temporaryPath, this.path);
+
+    this._lastSave = new Date().getTime();
+    this._dirty = false;
+  }
+
+  /**
+   * @description Save if there are changes and we haven't saved recently.
+   */
+  maybeSave() {
+    const elapsed = new Date().getTime() - this._lastSave;
+    if (this._dirty && elapsed >= this.interval) {
+      this.save();
+    }
+  }
+
+  /**
+   * @description Return true if the scraper already finished (or skipped) the target.
+   */
+  isFinished(scraperName, target) {
+    const key = this.constructor.targetKey(target);
+    const progress = this._progress(scraperName);
+    return progress.finished.has(key) || progress.skipped.has(key);
+  }
+
+  /**
+   * @description Record that the scraper finished the target.
+   */
+  markFinished(scraperName, target) {
+    const key = this.constructor.targetKey(target);
+    const progress = this._progress(scraperName);
+    progress.finished.add(key);
+    progress.failed.delete(key);
+    progress.pending.delete(key);
+    this._changed();
+  }
+
+  /**
+   * @description Record that the scraper failed the target.
+   */
+  markFailed(scraperName, target, reason = null) {
+    const key = this.constructor.targetKey(target);
+    const progress = this._progress(scraperName);
+    const previous = progress.failed.get(key);
+    progress.failed.set(key, {
+      reason: reason ? `${reason}` : null,
+      attempts: previous ? previous.attempts + 1 : 1
+    });
+    this._changed();
+  }
+
+  /**
+   * @description Record that the scraper skipped the target, which isn't a failure, and won't be retried.
+   */
+  markSkipped(scraperName, target, reason = null) {
+    const key = this.constructor.targetKey(target);
+    const progress = this._progress(scraperName);
+    progress.skipped.set(key, reason ? `${reason}` : null);
+    progress.failed.delete(key);
+    progress.pending.delete(key);
+    this._changed();
+  }
+
+  /**
+   * @description Record that the scraper enqueued a target, which is pending until it finishes.
+   *
+   * Failed targets stay pending, so that a resumed run retries them.
+   */
+  markPending(scraperName, target) {
+    const key = this.constructor.targetKey(target);
+    const progress = this._progress(scraperName);
+    if (!progress.pending.has(key) && !this.isFinished(scraperName, target)) {
+      progress.pending.set(key, target);
+      this._changed();
+    }
+  }
+
+  /**
+   * @description Return the targets the scraper enqueued that haven't finished.
+   */
+  pending(scraperName) {
+    return [...this._progress(scraperName).pending.values()];
+  }
+
+  /**
+   * @description Return an Object mapping failed target keys to their failures.
+   */
+  failures(scraperName) {
+    return objectFromMap(this._progress(scraperName).failed);
+  }
+
+  /**
+   * @description Return an Object mapping skipped target keys to the reasons they were skipped.
+   */
+  skips(scraperName) {
+    return objectFromMap(this._progress(scraperName).skipped);
+  }
+
+  /**
+   * @description Record that a URL was successfully visited.
+   */
+  markVisited(url) {
+    if (!this._visited.has(url)) {
+      this._visited.add(url);
+      this._changed();
+    }
+  }
+
+  /**
+   * @description Return true if the URL was visited by this run or a previous one.
+   */
+  hasVisited(url) {
+    return this._visited.has(url);
+  }
+
+  _progress(scraperName) {
+    if (!this._scrapers[scraperName]) {
+      this._scrapers[scraperName] = {
+        finished: new Set(),
+        failed: new Map(),
+        skipped: new Map(),
+        pending: new Map()
+      };
+    }
+    return this._scrapers[scraperName];
+  }
+
+  _changed() {
+    this._dirty = true;
+    this.maybeSave();
+  }
+}
+
+CheckpointStore.VERSION = 1;
+
+exports.CheckpointStore = CheckpointStore;
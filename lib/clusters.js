@@ -0,0 +1,506 @@
+/**
+ * @file
+ * A Runner that farms targets out to a pool of worker processes.
+ *
+ * Each worker runs its own Chromium. The parent process reads the scraper's
+ * targets into a local, journaled FileQueue and hands them to workers as they
+ * become free. Workers send back validated records, which the parent routes
+ * through its processors exactly as the single-process Runner would.
+ *
+ * Crashed workers are restarted, and their unfinished targets are requeued.
+ * A target's records are held until its worker says it's done, so that a
+ * target scraped again after a crash doesn't emit its records twice.
+ *
+ * Since workers are separate processes, rate limits and robots.txt caches
+ * are per worker, not shared across the cluster. Workers forward the events
+ * their runners emit, so listeners on the ClusterRunner hear about every page
+ * and target. Likewise, when recording network traffic, workers send each
+ * response they archive, and the parent saves them all together.
+ */
+
+const childProcess = require("child_process");
+const os = require("os");
+const path = require("path");
+
+const errors = require("./errors");
+const proxies = require("./proxies");
+const proxypools = require("./proxypools");
+const queues = require("./queues");
+const records = require("./records");
+const runners = require("./runners");
+const utils = require("./utils");
+
+class ClusterError extends errors.BaseError {}
+exports.ClusterError = ClusterError;
+
+const WORKER_PATH = path.join(__dirname, "workers.js");
+
+/**
+ * @description Rebuild an error flattened by a worker.
+ */
+const reviveError = flattened => {
+  const error =
+    flattened.name == "PageLoadError"
+      ? new proxies.PageLoadError(
+          flattened.message,
+          flattened.url,
+          flattened.status
+        )
+      : new errors.BaseError(flattened.message);
+  error.name = flattened.name;
+  error.stack = flattened.stack;
+  error.artifacts = flattened.artifacts || null;
+  return error;
+};
+
+/**
+ * @description Runs a single scraper across a set of worker processes.
+ */
+class WorkerPool {
+  constructor(runner, scraper, queue, options) {
+    this.runner = runner;
+    this.scraper = scraper;
+    this.queue = queue;
+    this.options = options;
+    this.workers = new Set();
+    this.jobs = new Map(); // job id -> target, for jobs in flight
+    this.records = new Map(); // job id -> records it has sent so far
+    this.proxies = []; // each stopped worker's proxy pool summary
+    this.restarts = 0;
+    this.finishing = false;
+    this.draining = false;
+    this.chain = Promise.resolve();
+    this.settled = false;
+  }
+
+  /**
+   * @description Run until the queue is drained. Resolves once every worker has exited.
+   */
+  run() {
+    return new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+
+      const count = Math.min(
+        this.options.workers,
+        Math.max(1, this.queue.pendingCount)
+      );
+      for (let i = 0; i < count; i++) {
+        this.spawn();
+      }
+    });
+  }
+
+  /**
+   * @description Start a worker process.
+   */
+  fork() {
+    // Workers' stdout goes to our stderr; our stdout is for records.
+    return childProcess.fork(WORKER_PATH, [], {
+      stdio: ["ignore", 2, 2, "ipc"]
+    });
+  }
+
+  spawn() {
+    const child = this.fork();
+    const worker = { child: child, ready: false, stopping: false };
+    worker.inFlight = new Set();
+    this.workers.add(worker);
+
+    child.on("message", message =>
+      this.schedule(() => this.onMessage(worker, message))
+    );
+    child.on("exit", (code, signal) =>
+      this.schedule(() => this.onExit(worker, code, signal))
+    );
+
+    child.send({
+      type: "init",
+      scraper: this.options.scraper,
+      options: this.options.workerOptions
+    });
+  }
+
+  /**
+   * @description Run f after everything scheduled before it.
+   *
+   * We handle everything in order, one message at a time, so that records
+   * are processed before the target that produced them is acknowledged.
+   */
+  schedule(f) {
+    this.chain = this.chain.then(f).catch(error => this.fail(error));
+  }
+
+  async onMessage(worker, message) {
+    const checkpoint = this.runner.checkpoint;
+
+    if (message.type == "ready") {
+      worker.ready = true;
+    } else if (message.type == "record") {
+      // Held until the target is done; see processRecords().
+      if (this.jobs.has(message.id)) {
+        if (!this.records.has(message.id)) {
+          this.records.set(message.id, []);
+        }
+        this.records.get(message.id).push(message);
+      }
+    } else if (message.type == "enqueue") {
+      for (const target of message.targets) {
+        const url = this.scraper.urlFromTarget(target);
+        // Workers have no checkpoint, so we skip what an earlier run did.
+        const finished =
+          checkpoint &&
+          (checkpoint.isFinished(this.scraper.name, target) ||
+            checkpoint.hasVisited(url));
+        if (this.scraper.frontier.markSeen(url) && !finished) {
+          this.queue.push(target);
+          if (checkpoint) {
+            checkpoint.markPending(this.scraper.name, target);
+          }
+        }
+      }
+    } else if (message.type == "done") {
+      // Failed targets are done too: the scraper has already given up on them.
+      const target = this.jobs.get(message.id);
+      await this.processRecords(message.id);
+      worker.inFlight.delete(message.id);
+      this.jobs.delete(message.id);
+      this.queue.ack(message.id);
+      if (checkpoint) {
+        if (message.skipped) {
+          checkpoint.markSkipped(this.scraper.name, target, message.skipped);
+        } else if (message.ok) {
+          checkpoint.markFinished(this.scraper.name, target);
+          checkpoint.markVisited(this.scraper.urlFromTarget(target));
+        } else {
+          checkpoint.markFailed(this.scraper.name, target, "failed in worker");
+        }
+      }
+    } else if (message.type == "error") {
+      this.runner.handleError(reviveError(message), message.url);
+    } else if (message.type == "skip") {
+      this.runner.handleSkip(message.url, message.reason);
+    } else if (message.type == "event") {
+      const context = message.context;
+      if (context.error) {
+        context.error = reviveError(context.error);
+      }
+      this.runner.emitEvent(message.event, context);
+    } else if (message.type == "archive") {
+      if (this.runner.archive) {
+        this.runner.archive.add(message.entry);
+      }
+    } else if (message.type == "proxies") {
+      this.proxies.push(message.proxies);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * @description Process the records a finished job sent.
+   */
+  async processRecords(id) {
+    const messages = this.records.get(id) || [];
+    this.records.delete(id);
+    for (const message of messages) {
+      // Transforms can't be sent to workers, so they run here.
+      const record = Object.assign(new records.Record(), message.record);
+      for (const transformed of await this.runner.transformRecord(
+        record,
+        message.recordType
+      )) {
+        await this.runner.processRecord(
+          transformed.record,
+          transformed.recordType
+        );
+      }
+    }
+  }
+
+  async onExit(worker, code, signal) {
+    this.workers.delete(worker);
+    if (this.settled) {
+      return;
+    }
+
+    if (!(worker.stopping && code == 0)) {
+      // Crashed. Put its targets back and replace it.
+      const reason = `worker exited with ${signal || code}`;
+      for (const id of worker.inFlight) {
+        const target = this.jobs.get(id);
+        this.records.delete(id);
+        if (!this.queue.release(id, reason)) {
+          console.error(
+            `jscrape: giving up on ${this.scraper.urlFromTarget(
+              target
+            )}: ${reason}`
+          );
+          this.jobs.delete(id);
+          if (this.runner.checkpoint) {
+            this.runner.checkpoint.markFailed(
+              this.scraper.name,
+              target,
+              reason
+            );
+          }
+        }
+      }
+
+      if (!this.finishing) {
+        this.restarts += 1;
+        if (this.restarts > this.options.maxRestarts) {
+          throw new ClusterError(
+            `Workers crashed more than ${
+              this.options.maxRestarts
+            } times; giving up.`
+          );
+        }
+        console.error(`jscrape: ${reason}; restarting it.`);
+        this.spawn();
+      }
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * @description Stop handing out targets; workers stop once theirs are done.
+   */
+  drain() {
+    this.draining = true;
+    this.schedule(() => this.dispatch());
+  }
+
+  /**
+   * @description Stop every worker now. Their targets stay in the queue, for next time.
+   */
+  abandon() {
+    this.draining = true;
+    this.schedule(() => this.stopWorkers());
+  }
+
+  /**
+   * @description Ask every worker to exit, and don't replace them.
+   */
+  stopWorkers() {
+    this.finishing = true;
+    for (const worker of this.workers) {
+      worker.stopping = true;
+      if (worker.child.connected) {
+        worker.child.send({ type: "stop" });
+      }
+    }
+    this.dispatch();
+  }
+
+  /**
+   * @description Hand out pending targets to ready workers, or wrap up if we're done.
+   */
+  dispatch() {
+    if (this.settled) {
+      return;
+    }
+
+    for (const worker of this.workers) {
+      while (
+        !this.draining &&
+        worker.ready &&
+        !worker.stopping &&
+        worker.child.connected &&
+        worker.inFlight.size < this.options.concurrency
+      ) {
+        const job = this.queue.lease();
+        if (!job) {
+          break;
+        }
+        this.jobs.set(job.id, job.payload);
+        worker.inFlight.add(job.id);
+        worker.child.send({ type: "target", id: job.id, target: job.payload });
+      }
+    }
+
+    const idle =
+      (this.draining || this.queue.pendingCount == 0) &&
+      this.queue.leasedCount == 0;
+    if (idle && !this.finishing) {
+      this.stopWorkers();
+      return;
+    }
+
+    if (this.finishing && this.workers.size == 0) {
+      this.settled = true;
+      this.resolve();
+    }
+  }
+
+  /**
+   * @description Tear everything down and reject.
+   */
+  fail(error) {
+    if (this.settled) {
+      return;
+    }
+    this.settled = true;
+    for (const worker of this.workers) {
+      worker.stopping = true;
+      worker.child.kill();
+    }
+    this.reject(error);
+  }
+}
+
+exports.WorkerPool = WorkerPool;
+
+/**
+ * @description Runs scrapers across many processes, each with its own browser.
+ */
+class ClusterRunner extends runners.Runner {
+  /**
+   * @description Create a cluster runner.
+   * @param {Object} options All of Runner's options, plus:
+   * @param {string} options.scraper The scraper to load in each worker, as a module path and export (foo/scraper.Scraper).
+   * @param {number} options.workers The number of worker processes. (Default: the number of CPUs)
+   * @param {string} options.queue If provided, the queue journal file. It's kept after the run, and a
+   *    rerun with the same journal picks up where the last one left off. (Default: a temporary file)
+   * @param {number} options.maxRestarts Give up once workers have crashed this many times. (Default: 10)
+   * @param {number} options.maxAttempts Give up on a target after its worker crashes this many times. (Default: 3)
+   *
+   * The concurrency option sets the number of targets each worker processes at once.
+   */
+  constructor(options = {}) {
+    // Runner decorates its options with live objects; workers get a clean copy.
+    const workerOptions = utils.merge(options, {
+      checkpoint: null,
+      resume: null,
+      scraper: null,
+      workers: null,
+      queue: null,
+      stats: null,
+      output: null,
+      processors: null,
+      transforms: null
+    });
+    super(options);
+    this._workerOptions = workerOptions;
+    this._scraperSpec = options.scraper || null;
+    this._workers = Number(options.workers) || os.cpus().length;
+    this._queuePath = options.queue || null;
+    this._maxRestarts =
+      options.maxRestarts == null ? 10 : Number(options.maxRestarts);
+    this._maxAttempts = Number(options.maxAttempts) || 3;
+    this._pool = null;
+
+    // Each worker rotates through its own copy of the proxy pool, and sends
+    // us its statistics when it stops. (A crashed worker's are lost.)
+    this.proxyPool = null;
+    this._browserOptions.proxyPool = null;
+    this._proxySummaries = [];
+  }
+
+  /**
+   * @description Include our workers' proxy statistics in the run's.
+   */
+  reportStats() {
+    if (this._proxySummaries.length > 0) {
+      this.stats.recordProxies(proxypools.mergeSummaries(this._proxySummaries));
+    }
+    super.reportStats();
+  }
+
+  /**
+   * @description Workers build their own ad blocklists; we don't need one.
+   */
+  async prepareAdClient() {
+    // intentional no-op
+  }
+
+  /**
+   * @description Shut down, letting workers finish the targets they have.
+   */
+  shutdown(reason, grace = this._shutdownGrace) {
+    super.shutdown(reason, grace);
+    if (this._pool) {
+      this._pool.drain();
+    }
+  }
+
+  /**
+   * @description Stop workers without waiting for their targets.
+   */
+  abandon() {
+    super.abandon();
+    if (this._pool) {
+      this._pool.abandon();
+    }
+  }
+
+  /**
+   * @description Run a scraper across our workers, processing records here.
+   */
+  async runScraper(scraper, browserOptions = {}) {
+    if (!this._scraperSpec) {
+      throw new ClusterError(
+        "ClusterRunner needs options.scraper, the module path and export of the scraper (foo/scraper.Scraper), to load it in each worker."
+      );
+    }
+
+    const queuePath =
+      this._queuePath ||
+      path.join(os.tmpdir(), `jscrape-${process.pid}-${scraper.name}.jsonl`);
+    const queue = new queues.FileQueue(queuePath, {
+      maxAttempts: this._maxAttempts
+    });
+    queue.open();
+
+    // Targets enqueued by an earlier run, but never finished, come first.
+    const pending = this.checkpoint
+      ? this.checkpoint.pending(scraper.name)
+      : [];
+    for (const target of pending) {
+      scraper.frontier.markSeen(scraper.urlFromTarget(target));
+      queue.push(target);
+    }
+    for await (const target of scraper.getTargets()) {
+      if (!scraper.frontier.markSeen(scraper.urlFromTarget(target))) {
+        continue;
+      }
+      if (
+        !(this.checkpoint && this.checkpoint.isFinished(scraper.name, target))
+      ) {
+        queue.push(target);
+      }
+    }
+
+    const pool = new WorkerPool(this, scraper, queue, {
+      scraper: this._scraperSpec,
+      workerOptions: this._workerOptions,
+      workers: this._workers,
+      concurrency: this._concurrency,
+      maxRestarts: this._maxRestarts
+    });
+
+    this._pool = pool;
+    try {
+      if (queue.pendingCount > 0 && !this.shutdownReason) {
+        await pool.run();
+      }
+    } finally {
+      this._pool = null;
+      this._proxySummaries.push(...pool.proxies);
+
+      // Keep a journal we were asked to keep, or one with work left in it.
+      const finished = queue.pendingCount == 0 && queue.leasedCount == 0;
+      queue.close(!this._queuePath && finished);
+      if (!finished) {
+        console.error(
+          `jscrape: Unfinished targets remain in ${queuePath}; rerun with --queue ${queuePath} to finish them.`
+        );
+      }
+    }
+
+    return true;
+  }
+}
+
+exports.ClusterRunner = ClusterRunner;
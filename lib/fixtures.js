@@ -0,0 +1,138 @@
+/**
+ * @file
+ * Serves a directory of fixture pages over HTTP, for testing scrapers.
+ *
+ * A FixtureServer listens on a random port on 127.0.0.1, so any number can
+ * run side by side and none is reachable from elsewhere. A path that names a
+ * directory serves its index.html. Anything outside the fixture directory,
+ * or missing from it, is a 404.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const url = require("url");
+
+const errors = require("./errors");
+
+class FixtureError extends errors.BaseError {}
+exports.FixtureError = FixtureError;
+
+// Content types by file extension; anything else is application/octet-stream.
+const CONTENT_TYPES = {
+  ".css": "text/css; charset=utf-8",
+  ".gif": "image/gif",
+  ".htm": "text/html; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".js": "application/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8"
+};
+exports.CONTENT_TYPES = CONTENT_TYPES;
+
+/**
+ * @description A throwaway local HTTP server for a directory of fixtures.
+ */
+class FixtureServer {
+  /**
+   * @description Create a server. Call start() to listen.
+   * @param {string} directory The directory of fixture files to serve.
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    this.requests = [];
+    this._server = null;
+    this._origin = null;
+
+    if (!fs.existsSync(this.directory)) {
+      throw new FixtureError(`No fixture directory at ${this.directory}.`);
+    }
+  }
+
+  /**
+   * @description The server's origin, like "http://127.0.0.1:54321".
+   */
+  get origin() {
+    if (!this._origin) {
+      throw new FixtureError("The fixture server hasn't started.");
+    }
+    return this._origin;
+  }
+
+  /**
+   * @description Return the absolute URL of a fixture path, like "/" or "/products/1.html".
+   */
+  url(fixturePath = "/") {
+    return new url.URL(fixturePath, this.origin).href;
+  }
+
+  /**
+   * @description Start listening.
+   */
+  async start() {
+    this._server = http.createServer((request, response) =>
+      this._serve(request, response)
+    );
+    await new Promise((resolve, reject) => {
+      this._server.once("error", reject);
+      this._server.listen(0, "127.0.0.1", resolve);
+    });
+    this._origin = `http://127.0.0.1:${this._server.address().port}`;
+  }
+
+  /**
+   * @description Stop listening.
+   */
+  async stop() {
+    if (this._server) {
+      await new Promise(resolve => this._server.close(resolve));
+      this._server = null;
+    }
+  }
+
+  /**
+   * @description Return the file a request path refers to, or null if it's outside our directory.
+   */
+  resolve(requestPath) {
+    let decoded = null;
+    try {
+      decoded = decodeURIComponent(url.parse(requestPath).pathname || "/");
+    } catch (error) {
+      return null;
+    }
+    const filePath = path.join(this.directory, path.normalize(decoded));
+    if (
+      filePath != this.directory &&
+      !filePath.startsWith(`${this.directory}${path.sep}`)
+    ) {
+      return null;
+    }
+    return fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()
+      ? path.join(filePath, "index.html")
+      : filePath;
+  }
+
+  _serve(request, response) {
+    this.requests.push(request.url);
+    const filePath = this.resolve(request.url);
+
+    fs.readFile(filePath || "", (error, data) => {
+      if (error || !filePath) {
+        response.writeHead(404, { "Content-Type": CONTENT_TYPES[".txt"] });
+        response.end(`No fixture at ${request.url}\n`);
+        return;
+      }
+      const contentType =
+        CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+        "application/octet-stream";
+      response.writeHead(200, { "Content-Type": contentType });
+      response.end(request.method == "HEAD" ? undefined : data);
+    });
+  }
+}
+exports.FixtureServer = FixtureServer;
@@ -0,0 +1,190 @@
+/**
+ * @file
+ * A Frontier is the queue of URLs a crawl has discovered but not yet visited.
+ *
+ * URLs are canonicalized before we decide whether we've seen them, so that
+ * trivially different links to the same page (a fragment, reordered query
+ * parameters, a utm_source tag, a trailing slash) are only visited once.
+ */
+
+const { URL } = require("url");
+
+const utils = require("./utils");
+
+/**
+ * @description Query parameters that identify campaigns, not content.
+ */
+const TRACKING_PARAMS = [
+  "utm_*",
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "mc_cid",
+  "mc_eid",
+  "_ga",
+  "_hsenc",
+  "_hsmi"
+];
+
+/**
+ * @description Return a canonical form of a URL, for de-duplication.
+ * @param {string} pageUrl The URL to canonicalize.
+ * @param {Object} options
+ * @param {Array<string>} options.trackingParams Query parameters to drop. Entries ending
+ *    in "*" are prefixes. (Default: Frontier.TRACKING_PARAMS)
+ * @param {boolean} options.trailingSlash If true, keep trailing slashes on paths. (Default: false)
+ *
+ * URLs we can't parse are returned unchanged.
+ */
+const canonicalizeUrl = (pageUrl, options = {}) => {
+  let parsed = null;
+  try {
+    parsed = new URL(pageUrl);
+  } catch (error) {
+    return pageUrl;
+  }
+
+  const trackingParams = options.trackingParams || TRACKING_PARAMS;
+  const isTracking = name =>
+    trackingParams.some(
+      param =>
+        param.endsWith("*")
+          ? name.startsWith(param.slice(0, -1))
+          : name == param
+    );
+
+  // Drop fragments and tracking parameters, then sort what's left. (Array
+  // sort is stable, so repeated parameters keep their relative order.)
+  parsed.hash = "";
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !isTracking(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = "";
+  for (const [name, value] of params) {
+    parsed.searchParams.append(name, value);
+  }
+
+  if (!options.trailingSlash && parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+  }
+
+  return parsed.toString();
+};
+exports.canonicalizeUrl = canonicalizeUrl;
+
+/**
+ * @description A prioritized, de-duplicating queue of crawl targets.
+ */
+class Frontier {
+  /**
+   * @description Create a frontier.
+   * @param {Object} options
+   * @param {number} options.maxDepth If provided, ignore targets deeper than this.
+   * @param {Array<string>} options.trackingParams If provided, the query parameters to ignore.
+   * @param {boolean} options.trailingSlash If true, treat trailing slashes as significant.
+   */
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth == null ? Infinity : options.maxDepth;
+    this._canonicalOptions = {
+      trackingParams: options.trackingParams || TRACKING_PARAMS,
+      trailingSlash: Boolean(options.trailingSlash)
+    };
+    this._seen = new Set();
+    this._entries = []; // sorted so that the next entry to pop is last
+    this._count = 0;
+  }
+
+  /**
+   * @description The number of targets waiting to be popped.
+   */
+  get size() {
+    return this._entries.length;
+  }
+
+  /**
+   * @description Return the canonical form of a URL.
+   */
+  canonicalize(pageUrl) {
+    return canonicalizeUrl(pageUrl, this._canonicalOptions);
+  }
+
+  /**
+   * @description Return true if we've seen the URL (or an equivalent one).
+   */
+  has(pageUrl) {
+    return this._seen.has(this.canonicalize(pageUrl));
+  }
+
+  /**
+   * @description Remember a URL without queueing it. Returns true if it was new.
+   */
+  markSeen(pageUrl) {
+    const key = this.canonicalize(pageUrl);
+    if (this._seen.has(key)) {
+      return false;
+    }
+    this._seen.add(key);
+    return true;
+  }
+
+  /**
+   * @description Queue a target, unless we've seen it before or it's too deep.
+   * @param {string or Object} target A URL, or an Object with a 'url' property.
+   * @param {Object} options
+   * @param {number} options.priority Higher priorities are popped first. (Default: 0)
+   * @param {number} options.depth The number of links followed to reach the target. (Default: 0)
+   * @return {boolean} True if the target was queued.
+   */
+  push(target, options = {}) {
+    const priority = options.priority || 0;
+    const depth = options.depth || 0;
+    const pageUrl = typeof target == "string" ? target : target.url;
+
+    if (!pageUrl || depth > this.maxDepth || !this.markSeen(pageUrl)) {
+      return false;
+    }
+
+    const fields = typeof target == "string" ? { url: target } : target;
+    const entry = {
+      target: utils.merge(fields, { depth: depth, priority: priority }),
+      priority: priority,
+      order: this._count++
+    };
+
+    // Binary search for our place: lower priorities (and, among equals,
+    // later arrivals) sort toward the front.
+    let low = 0;
+    let high = this._entries.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      const other = this._entries[middle];
+      const before =
+        other.priority < priority ||
+        (other.priority == priority && other.order > entry.order);
+      if (before) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    this._entries.splice(low, 0, entry);
+
+    return true;
+  }
+
+  /**
+   * @description Remove and return the highest priority target, or null.
+   *
+   * Targets of equal priority are popped in the order they were pushed.
+   */
+  pop() {
+    const entry = this._entries.pop();
+    return entry ? entry.target : null;
+  }
+}
+
+Frontier.TRACKING_PARAMS = TRACKING_PARAMS;
+
+exports.Frontier = Frontier;
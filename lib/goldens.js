@@ -0,0 +1,144 @@
+/**
+ * @file
+ * Golden files: the records a scraper is expected to emit, committed as JSON
+ * alongside its fixtures, and compared against what it actually emits.
+ *
+ * Differences are reported field by field, as paths into the list of
+ * records, like "[2].price: expected 10, got 12".
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const errors = require("./errors");
+
+class GoldenError extends errors.BaseError {}
+exports.GoldenError = GoldenError;
+
+// How much of a value a difference shows before trailing off.
+const MAX_SHOWN = 80;
+
+/**
+ * @description Describe a value briefly, for a difference.
+ */
+const show = value => {
+  const shown = value === undefined ? "nothing" : JSON.stringify(value);
+  return shown.length > MAX_SHOWN ? `${shown.slice(0, MAX_SHOWN)}...` : shown;
+};
+
+const isObject = value =>
+  value !== null && typeof value == "object" && !Array.isArray(value);
+
+/**
+ * @description List the differences between an expected and an actual value.
+ * @param {any} expected The expected (JSON) value.
+ * @param {any} actual The actual (JSON) value.
+ * @param {string} at The path of these values, for the messages. (Default: "")
+ * @return {Array<string>} One message per difference, or none if the values are equal.
+ */
+const diffValues = (expected, actual, at = "") => {
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    const differences = [];
+    const length = Math.max(expected.length, actual.length);
+    for (let index = 0; index < length; index++) {
+      differences.push(
+        ...diffValues(expected[index], actual[index], `${at}[${index}]`)
+      );
+    }
+    return differences;
+  }
+
+  if (isObject(expected) && isObject(actual)) {
+    const differences = [];
+    const keys = new Set(Object.keys(expected).concat(Object.keys(actual)));
+    for (const key of [...keys].sort()) {
+      differences.push(
+        ...diffValues(expected[key], actual[key], at ? `${at}.${key}` : key)
+      );
+    }
+    return differences;
+  }
+
+  if (JSON.stringify(expected) === JSON.stringify(actual)) {
+    return [];
+  }
+  return [`${at || "(top)"}: expected ${show(expected)}, got ${show(actual)}`];
+};
+exports.diffValues = diffValues;
+
+/**
+ * @description A golden file of expected records.
+ */
+class GoldenFile {
+  /**
+   * @param {string} path Where the golden JSON lives.
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  /**
+   * @description Return true if the golden file exists.
+   */
+  exists() {
+    return fs.existsSync(this.path);
+  }
+
+  /**
+   * @description Read the expected records.
+   */
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.path, "utf8"));
+    } catch (error) {
+      throw new GoldenError(
+        `Can't read golden file ${this.path}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * @description (Over)write the golden file with the given records.
+   */
+  write(records) {
+    fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true });
+    fs.writeFileSync(this.path, `${JSON.stringify(records, null, 2)}\n`);
+  }
+
+  /**
+   * @description Compare records to the golden file, or (re)write it.
+   * @param {Array<Object>} records The records actually emitted, as plain JSON values.
+   * @param {Object} options
+   * @param {boolean} options.update If true, write the records as the new golden file instead of comparing. (Default: false)
+   * @return {Object} { matched, updated, differences }
+   */
+  compare(records, options = {}) {
+    if (options.update) {
+      this.write(records);
+      return { matched: true, updated: true, differences: [] };
+    }
+    if (!this.exists()) {
+      return {
+        matched: false,
+        updated: false,
+        differences: [
+          `No golden file at ${this.path}; run again with update to create it.`
+        ]
+      };
+    }
+
+    const expected = this.read();
+    const differences = diffValues(expected, records);
+    if (Array.isArray(expected) && expected.length != records.length) {
+      differences.unshift(
+        `expected ${expected.length} records, got ${records.length}`
+      );
+    }
+    return {
+      matched: differences.length == 0,
+      updated: false,
+      differences: differences
+    };
+  }
+}
+exports.GoldenFile = GoldenFile;
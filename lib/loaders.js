@@ -0,0 +1,56 @@
+/**
+ * @file
+ * Helpers to load classes named on the command line, such as
+ * "foo/scraper.Scraper" (the Scraper export from foo/scraper.js).
+ */
+
+const path = require("path");
+
+const isModuleError = error => {
+  // TODO remove this HACK HACK
+  return error.toString().includes("Cannot find module");
+};
+
+/**
+ * @description Load a named class.
+ * @param {string} moduleAndClassName A module path and export, like foo/scraper.Scraper
+ * @param {string} defaultClassName The export to use if none is named.
+ */
+const loadClass = (moduleAndClassName, defaultClassName) => {
+  const splits = moduleAndClassName.split(".");
+  const moduleName =
+    splits.length > 1 ? splits.slice(0, -1).join(".") : splits[0];
+  const className =
+    splits.length > 1 && splits[splits.length - 1] != "js"
+      ? splits[splits.length - 1]
+      : defaultClassName;
+  let module = null;
+  try {
+    // Assume the module is in our load path by default...
+    module = require(moduleName);
+  } catch (error) {
+    // TODO XXX this logic is garbage -Dave
+
+    // Particularly when we're actively developing jscrape, an error here
+    // could indicate a bug in jscrape's code itself. For now, try to
+    // discern the difference and explode with prejudice if it's a bug in
+    // jscrape.
+    if (!isModuleError(error)) {
+      throw error;
+    }
+
+    // ...blew up? Try to load it another way.
+    const cwdModuleName = path.join(process.cwd(), moduleName);
+    module = require(cwdModuleName);
+  }
+  return module[className];
+};
+exports.loadClass = loadClass;
+
+/**
+ * @description Instantiate a named class with arbitrary arguments.
+ */
+exports.newClass = (moduleAndClassName, defaultClassName, ...args) => {
+  const klass = loadClass(moduleAndClassName, defaultClassName);
+  return new klass(...args);
+};
@@ -0,0 +1,305 @@
+/**
+ * @file
+ * Static pages: server-rendered HTML, fetched over plain HTTP and parsed
+ * with cheerio, for targets that don't need a browser.
+ *
+ * A StaticPage offers the same helpers our proxied Puppeteer pages and
+ * ElementHandles do -- $, $$, text, cleanText, attr, prop and href -- so a
+ * Scraper's process generator works unchanged on either. Anything that needs
+ * a live browser (evaluate, click, scrolling, ...) isn't available.
+ *
+ * See Scraper.fetchMode() and BrowserHandler.tryFetchPage().
+ */
+
+const cheerio = require("cheerio");
+const { URL } = require("url");
+
+const utils = require("./utils");
+
+// Elements whose contents never show up in innerText.
+const INVISIBLE = "script, style, noscript, template";
+
+// Properties that resolve to absolute URLs, as they do in a browser.
+const URL_PROPERTIES = ["href", "src", "action"];
+
+// Properties that reflect boolean attributes.
+const BOOLEAN_PROPERTIES = ["checked", "disabled", "selected", "hidden"];
+
+/**
+ * @description Resolve a possibly relative URL, or return "" if we can't.
+ */
+const resolveUrl = (relative, base) => {
+  try {
+    return new URL(relative, base).href;
+  } catch (error) {
+    return "";
+  }
+};
+
+/**
+ * @description A parsed element of a StaticPage, standing in for a proxied ElementHandle.
+ */
+class StaticElement {
+  /**
+   * @param {StaticPage} page The page the element belongs to.
+   * @param {cheerio.Element} node The underlying cheerio node.
+   */
+  constructor(page, node) {
+    this.page = page;
+    this.node = node;
+  }
+
+  /**
+   * @description Return the first matching descendant, or null.
+   */
+  async $(selector) {
+    return this._find(selector)[0] || null;
+  }
+
+  /**
+   * @description Return every matching descendant.
+   */
+  async $$(selector) {
+    return this._find(selector);
+  }
+
+  /**
+   * @description Approximate the innerText of the element (or of a matching descendant), or "".
+   *
+   * We skip scripts and styles and break lines at <br>s, but know nothing of CSS.
+   */
+  async text(selector) {
+    const element = selector ? await this.$(selector) : this;
+    if (!element) {
+      return "";
+    }
+    const $ = this.page.$root;
+    const copy = $(element.node).clone();
+    copy.find(INVISIBLE).remove();
+    copy.find("br").replaceWith("\n");
+    return copy.text() || "";
+  }
+
+  /**
+   * @description Return whitespace-cleaned/trimmed text, or an empty string.
+   */
+  async cleanText(selector) {
+    const text = await this.text(selector);
+    return utils.cleanWhitespace(text);
+  }
+
+  /**
+   * @description Return the value of a named property, as a browser would. (Contrast with attr().)
+   *
+   * @example
+   * await element.prop('href');
+   * or
+   * await element.prop('selector', 'href');
+   */
+  async prop(...args) {
+    const [selector, name] = args.length == 2 ? args : [null, args[0]];
+    const element = selector ? await this.$(selector) : this;
+    return element ? element._property(name) : null;
+  }
+
+  /**
+   * @description Return the text value of a named attribute, or "". (Contrast with prop().)
+   *
+   * @example
+   * await element.attr('style');
+   * or
+   * await element.attr('selector', 'style');
+   */
+  async attr(...args) {
+    const [selector, name] = args.length == 2 ? args : [null, args[0]];
+    const element = selector ? await this.$(selector) : this;
+    const value = element ? this.page.$root(element.node).attr(name) : null;
+    return value || "";
+  }
+
+  /**
+   * @description Return the absolute URL of the element (or of a matching descendant).
+   */
+  async href(selector) {
+    const element = selector ? await this.$(selector) : this;
+    return element ? element._property("href") : null;
+  }
+
+  /**
+   * @description Return the parent element, or null.
+   */
+  async parentNode() {
+    const parent = this.node.parent;
+    return parent && parent.type == "tag"
+      ? new StaticElement(this.page, parent)
+      : null;
+  }
+
+  _find(selector) {
+    return this.page
+      .$root(this.node)
+      .find(selector)
+      .toArray()
+      .map(node => new StaticElement(this.page, node));
+  }
+
+  _property(name) {
+    const $element = this.page.$root(this.node);
+    const attribute = $element.attr(name);
+
+    if (URL_PROPERTIES.includes(name)) {
+      return attribute == null ? "" : resolveUrl(attribute, this.page.baseUrl);
+    } else if (BOOLEAN_PROPERTIES.includes(name)) {
+      return attribute != null;
+    } else if (name == "tagName" || name == "nodeName") {
+      return this.node.name.toUpperCase();
+    } else if (name == "className") {
+      return attribute || "";
+    } else if (name == "textContent") {
+      return $element.text();
+    } else if (name == "innerHTML") {
+      return $element.html();
+    } else if (name == "outerHTML") {
+      return this.page.$root.html(this.node);
+    } else if (name == "value" && this.node.name == "textarea") {
+      return $element.text();
+    }
+
+    // Most other properties simply reflect their attributes.
+    return attribute == null ? undefined : attribute;
+  }
+}
+exports.StaticElement = StaticElement;
+
+/**
+ * @description A page fetched over HTTP and parsed, standing in for a proxied Puppeteer Page.
+ */
+class StaticPage {
+  /**
+   * @description Parse a page.
+   * @param {string} html The page's HTML.
+   * @param {Object} options
+   * @param {string} options.url The URL the page was fetched from (after redirects).
+   * @param {number} options.status The HTTP status. (Default: 200)
+   * @param {Object} options.headers The response headers. (Default: {})
+   */
+  constructor(html, options = {}) {
+    this.html = html || "";
+    this._url = options.url || "about:blank";
+    this._status = options.status || 200;
+    this._headers = options.headers || {};
+    this._closed = false;
+    this.$root = cheerio.load(this.html);
+
+    // Relative URLs resolve against <base href>, if there is one.
+    const base = this.$root("base[href]").attr("href");
+    this.baseUrl = base ? resolveUrl(base, this._url) || this._url : this._url;
+  }
+
+  /**
+   * @description The page's URL.
+   */
+  url() {
+    return this._url;
+  }
+
+  /**
+   * @description The page's full URL. (There's no JavaScript to change it.)
+   */
+  async fullUrl() {
+    return this._url;
+  }
+
+  /**
+   * @description The HTTP status of the page.
+   */
+  status() {
+    return this._status;
+  }
+
+  /**
+   * @description The HTTP response headers of the page.
+   */
+  headers() {
+    return this._headers;
+  }
+
+  /**
+   * @description The page's HTML.
+   */
+  async content() {
+    return this.html;
+  }
+
+  /**
+   * @description There's no screenshot without a browser; resolves to null.
+   */
+  async screenshot() {
+    return null;
+  }
+
+  /**
+   * @description Return the document element.
+   */
+  get documentElement() {
+    return new StaticElement(this, this.$root.root().get(0));
+  }
+
+  /**
+   * @description Return the first element matching a selector, or null.
+   */
+  async $(selector) {
+    return await this.documentElement.$(selector);
+  }
+
+  /**
+   * @description Return every element matching a selector.
+   */
+  async $$(selector) {
+    return await this.documentElement.$$(selector);
+  }
+
+  /**
+   * @description Return the text of the first element matching a selector, or "".
+   */
+  async text(selector) {
+    const element = await this.$(selector);
+    return element ? await element.text() : "";
+  }
+
+  /**
+   * @description Return the cleaned text of the first element matching a selector, or "".
+   */
+  async cleanText(selector) {
+    const element = await this.$(selector);
+    return element ? await element.cleanText() : "";
+  }
+
+  /**
+   * @description Return the first element matching a selector, or throw.
+   *
+   * A static page never changes, so there's nothing to wait for.
+   */
+  async waitForSelector(selector) {
+    const element = await this.$(selector);
+    if (!element) {
+      throw new Error(`No element matches ${selector} on ${this._url}`);
+    }
+    return element;
+  }
+
+  /**
+   * @description Return true once the page has been closed.
+   */
+  isClosed() {
+    return this._closed;
+  }
+
+  /**
+   * @description Close the page. (There's nothing to release.)
+   */
+  async close() {
+    this._closed = true;
+  }
+}
+exports.StaticPage = StaticPage;
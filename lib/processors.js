@@ -4,8 +4,13 @@
  */
 
 const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const rp = require("request-promise-native");
 
 const errors = require("./errors");
+const loaders = require("./loaders");
+const retries = require("./retries");
 const utils = require("./utils");
 
 class ProcessorError extends errors.BaseError {}
@@ -24,7 +29,13 @@ class Processor {
     // intentional no-op
   }
 
-  async process(item) {
+  /**
+   * @description Process a single item.
+   * @param {Object} item The item, usually a Record.
+   * @param {string} recordType The type the runner routed it by. (Default: the item's class name)
+   * @param {string} scraper The name of the scraper that emitted it, if known.
+   */
+  async process(item, recordType, scraper) {
     // intentional no-op
   }
 
@@ -51,10 +62,29 @@ class ConsoleProcessor extends Processor {
 }
 exports.ConsoleProcessor = ConsoleProcessor;
 
+/**
+ * @description A processor that keeps items in memory, as for tests.
+ */
+class CollectingProcessor extends Processor {
+  constructor() {
+    super();
+    this.items = [];
+  }
+
+  async process(item) {
+    this.items.push(item);
+  }
+}
+exports.CollectingProcessor = CollectingProcessor;
+
 /**
  * @description An abstract processor that emits items to a local file.
  */
 class LocalFileProcessor extends Processor {
+  /**
+   * @param {string} path The file to write.
+   * @param {Object} options Options for fs.createWriteStream(), such as { flags: "a" } to append.
+   */
   constructor(path, options = {}) {
     super();
     this.path = path;
@@ -64,18 +94,22 @@ class LocalFileProcessor extends Processor {
 
   async open() {
     if (this.stream) {
-      throw ProcessorError(
+      throw new ProcessorError(
         `Attempted to open an already-opened LocalFileProcessor with path ${
           this.path
         }.`
       );
     }
-    this.stream = fs.createWriteStream(path, options);
+    this.stream = fs.createWriteStream(this.path, this.options);
+    await new Promise((resolve, reject) => {
+      this.stream.once("open", resolve);
+      this.stream.once("error", reject);
+    });
   }
 
   async process(item) {
     if (!this.stream) {
-      throw ProcessorError(
+      throw new ProcessorError(
         `Attempted to write an un-opened LocalFileProcessor with path ${
           this.path
         }.`
@@ -85,57 +119,901 @@ class LocalFileProcessor extends Processor {
     // intentional no-op
   }
 
+  /**
+   * @description Write to the file, waiting if its buffer is full.
+   */
+  async write(data) {
+    if (!this.stream.write(data)) {
+      await new Promise(resolve => this.stream.once("drain", resolve));
+    }
+  }
+
   async close() {
     if (!this.stream) {
-      throw ProcessorError(
+      throw new ProcessorError(
         `Attempted to close an un-opened LocalFileProcessor with path ${
           this.path
         }.`
       );
     }
-    this.stream.end();
+    const stream = this.stream;
     this.stream = null;
+    await new Promise((resolve, reject) => {
+      stream.once("error", reject);
+      stream.end(resolve);
+    });
   }
 }
 exports.LocalFileProcessor = LocalFileProcessor;
 
 /**
- * @description Emits items as JSONLines to a local file.
+ * @description End a file with a newline, if it exists and doesn't already.
+ *
+ * A run that crashed mid-write may have left half a line behind; we end it,
+ * so that it doesn't run into the first line we add.
+ */
+const endLine = path => {
+  const size = fs.existsSync(path) ? fs.statSync(path).size : 0;
+  if (size == 0) {
+    return;
+  }
+  const descriptor = fs.openSync(path, "r");
+  const last = Buffer.alloc(1);
+  try {
+    fs.readSync(descriptor, last, 0, 1, size - 1);
+  } finally {
+    fs.closeSync(descriptor);
+  }
+  if (last.toString() != "\n") {
+    fs.appendFileSync(path, "\n");
+  }
+};
+
+/**
+ * @description Read what we can of a gzip file a crashed run left unfinished, then remove it.
+ *
+ * Its last gzip member was never terminated, so we can't add to it; instead
+ * we return its complete lines, to be written again. If it can't be read at
+ * all, we set it aside as path.unreadable and return nothing.
+ */
+const recoverGzip = path => {
+  if (!fs.existsSync(path)) {
+    return "";
+  }
+  let text = null;
+  try {
+    text = zlib
+      .gunzipSync(fs.readFileSync(path), {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH
+      })
+      .toString();
+  } catch (error) {
+    console.error(
+      `jscrape: can't recover ${path} (${
+        error.message
+      }); moving it to ${path}.unreadable`
+    );
+    fs.renameSync(path, `${path}.unreadable`);
+    return "";
+  }
+  fs.unlinkSync(path);
+  return text.slice(0, text.lastIndexOf("\n") + 1);
+};
+
+/**
+ * @description Emits items as JSON Lines (one compact JSON object per line) to a local file.
+ *
+ * Each file is written under a temporary name and renamed into place once
+ * it's finished, so a file at the final path is always complete.
+ *
+ * With maxRecords or maxBytes, we rotate: items go to numbered files, like
+ * out-00000.jsonl, out-00001.jsonl and so on, a new one starting once the
+ * current one is full. With gzip (the default for paths ending in .gz),
+ * files are compressed; maxBytes counts uncompressed bytes.
+ *
+ * With append (as when resuming a run), we keep what's already there: a
+ * single file is added to, numbered files continue after the last finished
+ * one, and a file an earlier run left unfinished is continued. (A gzipped
+ * one is recompressed, less any line it was in the middle of.)
  */
 class JSONLinesProcessor extends LocalFileProcessor {
+  /**
+   * @param {string} path The file to write, like out.jsonl or out.jsonl.gz.
+   * @param {Object} options
+   * @param {number} options.maxRecords If provided, start a new file after this many items.
+   * @param {number} options.maxBytes If provided, start a new file once one reaches this many bytes.
+   * @param {boolean} options.gzip If true, compress with gzip. (Default: true if path ends with .gz)
+   * @param {boolean} options.append If true, add to existing output rather than replacing it. (Default: false)
+   */
+  constructor(path, options = {}) {
+    super(path);
+    this.maxRecords = Number(options.maxRecords) || null;
+    this.maxBytes = Number(options.maxBytes) || null;
+    this.gzip = utils.boolify(options.gzip, /\.gz$/i.test(path));
+    this.append = utils.boolify(options.append, false);
+    this.files = [];
+    this._part = 0;
+    this._file = null;
+    this._records = 0;
+    this._bytes = 0;
+  }
+
+  /**
+   * @description True if we split our output across numbered files.
+   */
+  get rotating() {
+    return Boolean(this.maxRecords || this.maxBytes);
+  }
+
+  /**
+   * @description Return the final path of a numbered file.
+   */
+  partPath(index) {
+    if (!this.rotating) {
+      return this.path;
+    }
+    const [extension] = /(\.[^./\\]+)?(\.gz)?$/i.exec(this.path);
+    const stem = this.path.slice(0, this.path.length - extension.length);
+    return `${stem}-${String(index).padStart(5, "0")}${extension}`;
+  }
+
+  async open() {
+    if (this.stream) {
+      // Let LocalFileProcessor complain.
+      await super.open();
+    }
+    while (
+      this.append &&
+      this.rotating &&
+      fs.existsSync(this.partPath(this._part))
+    ) {
+      this._part += 1;
+    }
+    await this.openPart();
+  }
+
+  /**
+   * @description Start writing the next file.
+   */
+  async openPart() {
+    const finalPath = this.partPath(this._part);
+    const temporaryPath = `${finalPath}.tmp`;
+    let recovered = "";
+    if (this.append && this.gzip) {
+      recovered = recoverGzip(temporaryPath);
+    } else if (this.append) {
+      endLine(temporaryPath);
+    }
+    const file = fs.createWriteStream(temporaryPath, {
+      flags: this.append && !this.gzip ? "a" : "w"
+    });
+    await new Promise((resolve, reject) => {
+      file.once("open", resolve);
+      file.once("error", reject);
+    });
+
+    this._file = { path: finalPath, stream: file };
+    this._records = 0;
+    this._bytes = 0;
+    if (this.gzip) {
+      this.stream = zlib.createGzip();
+      this.stream.pipe(file);
+    } else {
+      this.stream = file;
+    }
+    if (recovered) {
+      this._records = recovered.split("\n").length - 1;
+      this._bytes = Buffer.byteLength(recovered);
+      await this.write(recovered);
+    }
+  }
+
+  /**
+   * @description Finish the current file, and move it into place.
+   */
+  async closePart() {
+    const { path: finalPath, stream: file } = this._file;
+    await new Promise((resolve, reject) => {
+      file.once("error", reject);
+      file.once("close", resolve);
+      this.stream.end();
+    });
+    const temporaryPath = `${finalPath}.tmp`;
+    if (this.append && fs.existsSync(finalPath)) {
+      // Concatenated gzip files are a valid gzip file, too.
+      fs.appendFileSync(finalPath, fs.readFileSync(temporaryPath));
+      fs.unlinkSync(temporaryPath);
+    } else {
+      fs.renameSync(temporaryPath, finalPath);
+    }
+    this._part += 1;
+    this.files.push(finalPath);
+    this.stream = null;
+    this._file = null;
+  }
+
   async process(item) {
-    super.process(item);
-    this.stream.write(`${JSON.stringify(item, null, 2)}\n`);
+    await super.process(item);
+    const full =
+      (this.maxRecords && this._records >= this.maxRecords) ||
+      (this.maxBytes && this._bytes >= this.maxBytes);
+    if (full) {
+      await this.closePart();
+      await this.openPart();
+    }
+
+    const line = `${JSON.stringify(item)}\n`;
+    this._records += 1;
+    this._bytes += Buffer.byteLength(line);
+    await this.write(line);
+  }
+
+  async close() {
+    if (!this.stream) {
+      // Let LocalFileProcessor complain.
+      await super.close();
+    }
+    await this.closePart();
   }
 }
 exports.JSONLinesProcessor = JSONLinesProcessor;
 
+/**
+ * @description Flatten nested objects and arrays into a single object with dotted keys.
+ *
+ * @example
+ * flatten({ a: { b: 1 }, tags: ["x", "y"] })
+ * // { "a.b": 1, "tags.0": "x", "tags.1": "y" }
+ */
+const flatten = (value, separator = ".", prefix = "", flattened = {}) => {
+  if (value !== null && typeof value == "object") {
+    for (const key of Object.keys(value)) {
+      const name = prefix ? `${prefix}${separator}${key}` : key;
+      flatten(value[key], separator, name, flattened);
+    }
+  } else if (prefix) {
+    flattened[prefix] = value;
+  }
+  return flattened;
+};
+exports.flatten = flatten;
+
+/**
+ * @description Format a value as a CSV field, quoting it if needed. (See RFC 4180.)
+ */
+const csvField = (value, delimiter = ",") => {
+  const text = value == null ? "" : `${value}`;
+  const needsQuotes =
+    text.includes(delimiter) || /["\r\n]/.test(text) || text != text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+exports.csvField = csvField;
+
+/**
+ * @description Split a single CSV line into fields. (Used to read an existing header.)
+ */
+const parseCsvLine = (line, delimiter = ",") => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quoted) {
+      if (char == '"' && line[index + 1] == '"') {
+        field += '"';
+        index++;
+      } else if (char == '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char == '"') {
+      quoted = true;
+    } else if (line.startsWith(delimiter, index)) {
+      fields.push(field);
+      field = "";
+      index += delimiter.length - 1;
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+exports.parseCsvLine = parseCsvLine;
+
 /**
  * @description Emits items as CSV lines to a local file.
+ *
+ * Nested objects and arrays are flattened into dotted columns, so
+ * { price: { amount: 10 }, tags: ["a"] } has columns "price.amount" and
+ * "tags.0".
+ *
+ * Without explicit columns, we buffer the first few items and use every
+ * column they have between them, in the order we first see them. Columns
+ * that turn up only later are left out, with a warning. When appending to
+ * a file that already has a header, we use its columns instead.
  */
 class CSVProcessor extends LocalFileProcessor {
-  constructor(path, columns, options = {}) {
-    super(path, options);
-    this.columns = utils.listify(columns);
+  /**
+   * @param {string} path The file to write.
+   * @param {Array<string>} columns The (flattened) columns to write, in order. (Default: inferred)
+   * @param {Object} options
+   * @param {string} options.delimiter The field delimiter. (Default: ",")
+   * @param {boolean} options.append If true, add to an existing file rather than replacing it. (Default: false)
+   * @param {boolean} options.header If false, don't write a header line. (Default: true)
+   * @param {number} options.sample How many items to infer columns from. (Default: 100)
+   * @param {string} options.separator The separator for flattened column names. (Default: ".")
+   * @param {string} options.lineEnding The line ending. (Default: "\n")
+   */
+  constructor(path, columns = null, options = {}) {
+    const append = utils.boolify(options.append, false);
+    super(path, { flags: append ? "a" : "w" });
+    this.columns = columns ? utils.listify(columns) : null;
+    this.delimiter = options.delimiter || ",";
+    this.append = append;
+    this.header = utils.boolify(options.header, true);
+    this.sample = options.sample == null ? 100 : Number(options.sample);
+    this.separator = options.separator || ".";
+    this.lineEnding = options.lineEnding || "\n";
+    this._buffered = [];
+    this._warned = new Set();
   }
 
   async open() {
+    // Appending to a file that's already started? Carry on with its columns.
+    const existing = this.append ? this.existingHeader() : null;
+    if (existing && !this.columns) {
+      this.columns = existing;
+    }
+    this._needsHeader = this.header && !existing;
     await super.open();
-    this.writer = csv.stringify({ header: true, columns: columns });
-    this.writer.pipe(this.stream);
+  }
+
+  /**
+   * @description Return the header of the file we're appending to, or null if it's missing or empty.
+   */
+  existingHeader() {
+    let text = "";
+    try {
+      const fd = fs.openSync(this.path, "r");
+      try {
+        const buffer = Buffer.alloc(this.constructor.HEADER_BYTES);
+        const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        text = buffer.toString("utf8", 0, length);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      return null;
+    }
+    const line = text.split(/\r?\n/)[0];
+    return line ? parseCsvLine(line, this.delimiter) : null;
   }
 
   async process(item) {
-    super.process(item);
-    this.writer.write(item);
+    await super.process(item);
+    const row = flatten(JSON.parse(JSON.stringify(item)), this.separator);
+    if (this.columns) {
+      await this.writeRow(row);
+      return;
+    }
+    this._buffered.push(row);
+    if (this._buffered.length >= this.sample) {
+      await this.flushSample();
+    }
+  }
+
+  /**
+   * @description Infer our columns from the items buffered so far, and write them out.
+   */
+  async flushSample() {
+    const columns = new Set();
+    for (const row of this._buffered) {
+      Object.keys(row).forEach(column => columns.add(column));
+    }
+    this.columns = [...columns];
+    const rows = this._buffered;
+    this._buffered = [];
+    for (const row of rows) {
+      await this.writeRow(row);
+    }
+  }
+
+  /**
+   * @description Write a flattened row, preceded by the header if it's our first.
+   */
+  async writeRow(row) {
+    if (this._needsHeader) {
+      this._needsHeader = false;
+      await this.write(this.formatLine(this.columns));
+    }
+    for (const column of Object.keys(row)) {
+      if (!this.columns.includes(column) && !this._warned.has(column)) {
+        this._warned.add(column);
+        console.error(
+          `jscrape: CSVProcessor: ${
+            this.path
+          } has no column ${column}; leaving it out.`
+        );
+      }
+    }
+    await this.write(this.formatLine(this.columns.map(column => row[column])));
+  }
+
+  /**
+   * @description Format a line of fields.
+   */
+  formatLine(values) {
+    return (
+      values
+        .map(value => csvField(value, this.delimiter))
+        .join(this.delimiter) + this.lineEnding
+    );
   }
 
   async close() {
-    this.writer.end();
+    if (this.stream && !this.columns) {
+      await this.flushSample();
+    }
     await super.close();
   }
 }
 
+// The most of an existing file we read to find its header.
+CSVProcessor.HEADER_BYTES = 65536;
+
+exports.CSVProcessor = CSVProcessor;
+
+/**
+ * @description Quote an SQL identifier.
+ */
+const sqlIdentifier = name => `"${`${name}`.replace(/"/g, '""')}"`;
+
+/**
+ * @description Flatten a JSON value into SQL column values.
+ *
+ * Nested objects become dotted columns, as for CSV; arrays are stored as
+ * JSON text, and booleans as 0 or 1.
+ */
+const sqlColumns = (value, prefix = "", columns = {}) => {
+  if (value !== null && typeof value == "object" && !Array.isArray(value)) {
+    for (const key of Object.keys(value)) {
+      sqlColumns(value[key], prefix ? `${prefix}.${key}` : key, columns);
+    }
+  } else if (Array.isArray(value)) {
+    columns[prefix] = JSON.stringify(value);
+  } else if (typeof value == "boolean") {
+    columns[prefix] = value ? 1 : 0;
+  } else if (prefix) {
+    columns[prefix] = value === undefined ? null : value;
+  }
+  return columns;
+};
+exports.sqlColumns = sqlColumns;
+
+/**
+ * @description The SQLite column type for a value.
+ */
+const sqlType = value => {
+  if (typeof value == "number") {
+    return Number.isInteger(value) ? "INTEGER" : "REAL";
+  }
+  return typeof value == "string" ? "TEXT" : "";
+};
+
+/**
+ * @description Writes records to an SQLite database, one table per record type.
+ *
+ * Tables are created as records arrive, and columns added as new fields turn
+ * up, so there's no schema to declare. Nested objects become dotted columns
+ * ("price.amount"); arrays are stored as JSON text.
+ *
+ * With a key, records are upserted: a record whose key matches an existing
+ * row updates that row (the fields it has, anyway) instead of adding another,
+ * so a re-scrape refreshes the table rather than duplicating it. A record
+ * missing its key is rejected with a ProcessorError. Without a key, every
+ * record is a new row.
+ *
+ * Rows are written in transactions of batchSize, and whatever remains when
+ * we close.
+ *
+ * Requires the better-sqlite3 package, which is optional; install it to use
+ * this processor.
+ */
+class SQLiteProcessor extends Processor {
+  /**
+   * @param {string} path The database file. Created if missing.
+   * @param {Object} options
+   * @param {string or Array<string> or Object} options.key The (flattened) field(s) identifying a record; or an
+   *    Object of them by record type, like { Product: "sku", Review: ["product", "author"] }. (Default: none)
+   * @param {string} options.table If provided, the table for every record, whatever its type. (Default: the record type)
+   * @param {number} options.batchSize The number of rows per transaction. (Default: 100)
+   * @param {Function} options.Database The better-sqlite3 Database class. (Default: required on open)
+   */
+  constructor(path, options = {}) {
+    super();
+    this.path = path;
+    this.key = options.key || null;
+    this.table = options.table || null;
+    this.batchSize = Number(options.batchSize) || 100;
+    this.Database = options.Database || null;
+    this.db = null;
+    this._tables = new Map(); // table -> Set of columns
+    this._statements = new Map(); // SQL -> prepared statement
+    this._pending = []; // [statement, values]
+  }
+
+  async open() {
+    if (this.db) {
+      throw new ProcessorError(
+        `Attempted to open an already-opened SQLiteProcessor with path ${
+          this.path
+        }.`
+      );
+    }
+    const Database = this.Database || this.constructor.loadDatabase();
+    this.db = new Database(this.path);
+  }
+
+  /**
+   * @description Require better-sqlite3, or explain how to get it.
+   */
+  static loadDatabase() {
+    try {
+      return require("better-sqlite3");
+    } catch (error) {
+      throw new ProcessorError(
+        `SQLiteProcessor needs the better-sqlite3 package (npm install better-sqlite3): ${
+          error.message
+        }`
+      );
+    }
+  }
+
+  /**
+   * @description Return the key columns for a record type, if any.
+   */
+  keyFor(recordType) {
+    const key =
+      this.key && !Array.isArray(this.key) && typeof this.key == "object"
+        ? this.key[recordType]
+        : this.key;
+    return utils.listify(key || null);
+  }
+
+  async process(item, recordType = item.constructor.name) {
+    if (!this.db) {
+      throw new ProcessorError(
+        `Attempted to write an un-opened SQLiteProcessor with path ${
+          this.path
+        }.`
+      );
+    }
+
+    const table = this.table || recordType;
+    const key = this.keyFor(recordType);
+    const row = sqlColumns(JSON.parse(JSON.stringify(item)));
+
+    // SQLite's unique indexes treat NULLs as distinct, so a record without
+    // its key would be inserted anew every time it's scraped.
+    for (const column of key) {
+      if (row[column] == null) {
+        throw new ProcessorError(
+          `SQLiteProcessor can't write a ${recordType} record missing its key field ${column}.`
+        );
+      }
+    }
+
+    // Create or migrate the table before queuing the row for it.
+    this.flushIf(!this.hasColumns(table, row));
+    this.migrate(table, row, key);
+
+    const columns = Object.keys(row);
+    this._pending.push([
+      this.statement(this.upsertSql(table, columns, key)),
+      columns.map(column => row[column])
+    ]);
+    this.flushIf(this._pending.length >= this.batchSize);
+  }
+
+  /**
+   * @description Return true if a table exists with every column of a row.
+   */
+  hasColumns(table, row) {
+    const existing = this._tables.get(table);
+    return Boolean(existing && Object.keys(row).every(c => existing.has(c)));
+  }
+
+  /**
+   * @description Create a table, or add any columns it lacks, for a row.
+   */
+  migrate(table, row, key) {
+    if (this.hasColumns(table, row)) {
+      return;
+    }
+
+    let existing = this._tables.get(table);
+    if (!existing) {
+      const info = this.db
+        .prepare(`PRAGMA table_info(${sqlIdentifier(table)})`)
+        .all();
+      existing = new Set(info.map(column => column.name));
+      this._tables.set(table, existing);
+    }
+
+    const missing = Object.keys(row).filter(column => !existing.has(column));
+    const definitions = missing.map(column =>
+      `${sqlIdentifier(column)} ${sqlType(row[column])}`.trim()
+    );
+    if (existing.size == 0) {
+      this.db.exec(
+        `CREATE TABLE ${sqlIdentifier(table)} (${definitions.join(", ")})`
+      );
+    } else {
+      for (const definition of definitions) {
+        this.db.exec(
+          `ALTER TABLE ${sqlIdentifier(table)} ADD COLUMN ${definition}`
+        );
+      }
+    }
+    missing.forEach(column => existing.add(column));
+
+    // Upserts need a unique index on the key to conflict with.
+    if (key.length > 0) {
+      const index = sqlIdentifier(`${table}_${key.join("_")}_key`);
+      const keyColumns = key.map(sqlIdentifier).join(", ");
+      this.db.exec(
+        `CREATE UNIQUE INDEX IF NOT EXISTS ${index} ON ${sqlIdentifier(
+          table
+        )} (${keyColumns})`
+      );
+    }
+  }
+
+  /**
+   * @description The SQL that inserts (or, with a key, upserts) a row with the given columns.
+   */
+  upsertSql(table, columns, key) {
+    const names = columns.map(sqlIdentifier).join(", ");
+    const values = columns.map(() => "?").join(", ");
+    let sql = `INSERT INTO ${sqlIdentifier(
+      table
+    )} (${names}) VALUES (${values})`;
+    if (key.length > 0) {
+      const updates = columns
+        .filter(column => !key.includes(column))
+        .map(
+          column =>
+            `${sqlIdentifier(column)} = excluded.${sqlIdentifier(column)}`
+        );
+      sql += ` ON CONFLICT (${key.map(sqlIdentifier).join(", ")}) DO ${
+        updates.length > 0 ? `UPDATE SET ${updates.join(", ")}` : "NOTHING"
+      }`;
+    }
+    return sql;
+  }
+
+  /**
+   * @description Return a (cached) prepared statement.
+   */
+  statement(sql) {
+    if (!this._statements.has(sql)) {
+      this._statements.set(sql, this.db.prepare(sql));
+    }
+    return this._statements.get(sql);
+  }
+
+  /**
+   * @description Write every pending row, in one transaction, if a condition holds.
+   */
+  flushIf(condition) {
+    if (!condition || this._pending.length == 0) {
+      return;
+    }
+    const pending = this._pending;
+    this._pending = [];
+    this.db.transaction(() => {
+      for (const [statement, values] of pending) {
+        statement.run(...values);
+      }
+    })();
+  }
+
+  async close() {
+    if (!this.db) {
+      throw new ProcessorError(
+        `Attempted to close an un-opened SQLiteProcessor with path ${
+          this.path
+        }.`
+      );
+    }
+    this.flushIf(true);
+    this.db.close();
+    this.db = null;
+    this._statements.clear();
+    this._tables.clear();
+  }
+}
+exports.SQLiteProcessor = SQLiteProcessor;
+
+/**
+ * @description Raised when an HTTP sink responds with an error status.
+ */
+class DeliveryError extends ProcessorError {
+  constructor(message, status = null) {
+    super(message);
+    this.status = status;
+  }
+}
+exports.DeliveryError = DeliveryError;
+
+/**
+ * @description POSTs records to an HTTP endpoint, in batches.
+ *
+ * A batch is sent once it has batchSize records, or once its oldest record
+ * has waited flushInterval, whichever comes first. Batches are sent one at a
+ * time, as a JSON array or as NDJSON (one object per line).
+ *
+ * Failed deliveries are retried with backoff, per a RetryPolicy: network
+ * errors and transient statuses (429, 503, ...) are retried; other error
+ * statuses aren't. A batch that can't be delivered is appended to a local
+ * dead-letter file, as JSON Lines, so nothing is lost while the endpoint is
+ * down; re-send it later however you like.
+ *
+ * close() sends everything still buffered before resolving.
+ */
+class HTTPProcessor extends Processor {
+  /**
+   * @param {string} url The endpoint to POST to.
+   * @param {Object} options
+   * @param {string} options.format "json" (an array per batch) or "ndjson". (Default: "json")
+   * @param {number} options.batchSize Send once a batch has this many records. (Default: 100)
+   * @param {number} options.flushInterval Send a batch once its first record has waited this long, in milliseconds; 0 never does. (Default: 5000)
+   * @param {Object} options.headers Extra request headers, such as Authorization.
+   * @param {number} options.timeout How long to wait for each request, in milliseconds. (Default: 30000)
+   * @param {Object} options.retry Options for the RetryPolicy. (Default: 5 attempts, starting 1 second apart)
+   * @param {string or boolean} options.deadLetter The file to append undeliverable records to, or false to
+   *    throw instead. (Default: "jscrape-dead-letters.jsonl")
+   */
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.format = options.format || "json";
+    if (!["json", "ndjson"].includes(this.format)) {
+      throw new ProcessorError(`Unknown HTTPProcessor format ${this.format}.`);
+    }
+    this.batchSize = Number(options.batchSize) || 100;
+    this.flushInterval =
+      options.flushInterval == null ? 5000 : Number(options.flushInterval);
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 30000;
+    this.retryPolicy = new retries.RetryPolicy(
+      utils.merge({ attempts: 5 }, options.retry)
+    );
+    this.deadLetter =
+      options.deadLetter === false
+        ? null
+        : options.deadLetter || this.constructor.DEAD_LETTER;
+    this.delivered = 0;
+    this.deadLettered = 0;
+    this._batch = [];
+    this._timer = null;
+    this._sending = Promise.resolve();
+    this._error = null;
+  }
+
+  async process(item) {
+    this.rethrow();
+    this._batch.push(item);
+    if (this._batch.length >= this.batchSize) {
+      await this.flush();
+    } else if (this.flushInterval > 0 && !this._timer) {
+      this._timer = setTimeout(
+        () => this.flush().catch(error => (this._error = error)),
+        this.flushInterval
+      );
+    }
+  }
+
+  /**
+   * @description Send whatever is buffered, after any batch already on its way.
+   */
+  async flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    const batch = this._batch;
+    this._batch = [];
+    if (batch.length == 0) {
+      await this._sending;
+      return;
+    }
+    const sending = this._sending.then(() => this.deliver(batch));
+    this._sending = sending.catch(() => null);
+    await sending;
+  }
+
+  /**
+   * @description Send a batch, retrying as need be, or spill it to the dead-letter file.
+   */
+  async deliver(batch) {
+    try {
+      await this.retryPolicy.run(
+        () => this.send(batch),
+        (error, attempt, delay) => {
+          console.error(
+            `jscrape: HTTPProcessor: attempt ${attempt} to send ${
+              batch.length
+            } records to ${this.url} failed: ${error}; retrying in ${delay}ms.`
+          );
+        }
+      );
+      this.delivered += batch.length;
+    } catch (error) {
+      if (!this.deadLetter) {
+        throw error;
+      }
+      fs.appendFileSync(
+        this.deadLetter,
+        batch.map(item => `${JSON.stringify(item)}\n`).join("")
+      );
+      this.deadLettered += batch.length;
+      console.error(
+        `jscrape: HTTPProcessor: couldn't send ${batch.length} records to ${
+          this.url
+        } (${error.message}); wrote them to ${this.deadLetter}.`
+      );
+    }
+  }
+
+  /**
+   * @description POST a batch once.
+   */
+  async send(batch) {
+    const body =
+      this.format == "ndjson"
+        ? batch.map(item => `${JSON.stringify(item)}\n`).join("")
+        : JSON.stringify(batch);
+    const contentType =
+      this.format == "ndjson" ? "application/x-ndjson" : "application/json";
+    const response = await rp({
+      method: "POST",
+      uri: this.url,
+      body: body,
+      headers: utils.merge({ "Content-Type": contentType }, this.headers),
+      timeout: this.timeout,
+      resolveWithFullResponse: true,
+      simple: false
+    });
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new DeliveryError(
+        `${this.url} responded with HTTP ${response.statusCode}`,
+        response.statusCode
+      );
+    }
+  }
+
+  /**
+   * @description Throw any error from a delivery made in the background.
+   */
+  rethrow() {
+    if (this._error) {
+      const error = this._error;
+      this._error = null;
+      throw error;
+    }
+  }
+
+  async close() {
+    await this.flush();
+    this.rethrow();
+  }
+}
+
+HTTPProcessor.DEAD_LETTER = "jscrape-dead-letters.jsonl";
+
+exports.HTTPProcessor = HTTPProcessor;
+
 /**
  * @description Delegates to any number of child processors.
  */
@@ -151,9 +1029,9 @@ class DelegatingProcessor extends Processor {
     }
   }
 
-  async process(item) {
+  async process(item, recordType, scraper) {
     for (const processor of this.processors) {
-      await processor.process(item);
+      await processor.process(item, recordType, scraper);
     }
   }
 
@@ -164,3 +1042,179 @@ class DelegatingProcessor extends Processor {
   }
 }
 exports.DelegatingProcessor = DelegatingProcessor;
+
+/**
+ * @description Return a test of whether a route matches a record.
+ * @param {string or Object} route A record type name, or an Object of conditions, all of which must hold:
+ * @param {string or Function or Array} route.recordType Record type names or Record classes to match.
+ * @param {string or Array<string>} route.scraper Scraper names to match.
+ * @param {Function} route.when A predicate, called as when(record, { recordType, scraper }).
+ */
+const routeMatcher = (route = {}) => {
+  if (typeof route == "string") {
+    route = { recordType: route };
+  }
+  const recordTypes = route.recordType ? utils.listify(route.recordType) : null;
+  const scrapers = route.scraper ? utils.listify(route.scraper) : null;
+  const when = route.when || null;
+  if (when && !(when instanceof Function)) {
+    throw new ProcessorError("A route's when must be a function.");
+  }
+
+  return (item, recordType, scraper) => {
+    // Records from workers are revived as plain Records, so classes match
+    // by name as well as by instanceof.
+    if (
+      recordTypes &&
+      !recordTypes.some(
+        type =>
+          type instanceof Function
+            ? item instanceof type || type.name == recordType
+            : type == recordType
+      )
+    ) {
+      return false;
+    }
+    if (scrapers && !scrapers.includes(scraper)) {
+      return false;
+    }
+    return !when || Boolean(when(item, { recordType, scraper }));
+  };
+};
+exports.routeMatcher = routeMatcher;
+
+/**
+ * @description Delegates each item to the processors whose routes match it.
+ *
+ * An item goes to every processor with a matching route, in the order they
+ * were added, or to the fallback if none match. A processor may be routed
+ * to more than once; it's still opened and closed just once.
+ *
+ * @example
+ * const router = new RoutingProcessor(new ConsoleProcessor());
+ * router.route(new CSVProcessor("products.csv"), { recordType: Product });
+ * router.route(new JSONLinesProcessor("shop.jsonl"), { scraper: "shop" });
+ * router.route(alerts, { when: record => record.price < 1 });
+ */
+class RoutingProcessor extends DelegatingProcessor {
+  /**
+   * @param {Processor} fallback The processor for items no route matches. (Default: none; they're dropped)
+   */
+  constructor(fallback = null) {
+    super(fallback ? [fallback] : []);
+    this.fallback = fallback;
+    this.routes = [];
+  }
+
+  /**
+   * @description Send items matching a route to a processor.
+   * @param {Processor} processor The processor.
+   * @param {string or Object} route What to match, as for routeMatcher(). (Default: everything)
+   * @return {RoutingProcessor} This router, for chaining.
+   */
+  route(processor, route = {}) {
+    this.routes.push({ processor: processor, matches: routeMatcher(route) });
+    if (!this.processors.includes(processor)) {
+      this.processors.push(processor);
+    }
+    return this;
+  }
+
+  /**
+   * @description Return the processors an item should go to.
+   */
+  processorsFor(item, recordType = item.constructor.name, scraper = null) {
+    const matched = [];
+    for (const { processor, matches } of this.routes) {
+      if (!matched.includes(processor) && matches(item, recordType, scraper)) {
+        matched.push(processor);
+      }
+    }
+    if (matched.length == 0 && this.fallback) {
+      matched.push(this.fallback);
+    }
+    return matched;
+  }
+
+  async process(item, recordType = item.constructor.name, scraper = null) {
+    for (const processor of this.processorsFor(item, recordType, scraper)) {
+      await processor.process(item, recordType, scraper);
+    }
+  }
+}
+exports.RoutingProcessor = RoutingProcessor;
+
+/**
+ * @description Processor types that may be named in configuration, and how to make each.
+ */
+const PROCESSOR_TYPES = {
+  console: () => new ConsoleProcessor(),
+  jsonl: entry => new JSONLinesProcessor(entry.path, entry.options),
+  csv: entry =>
+    new CSVProcessor(entry.path, entry.options.columns, entry.options),
+  sqlite: entry => new SQLiteProcessor(entry.path, entry.options),
+  http: entry => new HTTPProcessor(entry.url, entry.options)
+};
+exports.PROCESSOR_TYPES = PROCESSOR_TYPES;
+
+/**
+ * @description Make the processor a configuration entry describes.
+ * @param {Object} entry
+ * @param {string} entry.type One of PROCESSOR_TYPES: "console", "jsonl", "csv", "sqlite" or "http".
+ * @param {string} entry.module Instead of a type, a module and export to construct with the options, like foo/processor.Processor.
+ * @param {Processor} entry.processor Instead of a type, the processor itself (from a JS configuration file).
+ * @param {string} entry.path The file to write, for jsonl, csv and sqlite.
+ * @param {string} entry.url The endpoint, for http.
+ * @param {Object} entry.options Options for the processor.
+ */
+const processorFromConfig = entry => {
+  if (entry.processor) {
+    return entry.processor;
+  }
+  entry = utils.merge(entry, { options: entry.options || {} });
+  if (entry.module) {
+    return loaders.newClass(entry.module, "Processor", entry.options);
+  }
+  const make = PROCESSOR_TYPES[entry.type];
+  if (!make) {
+    throw new ProcessorError(
+      `Unknown processor type ${entry.type}; use one of ${Object.keys(
+        PROCESSOR_TYPES
+      ).join(", ")}.`
+    );
+  }
+  return make(entry);
+};
+exports.processorFromConfig = processorFromConfig;
+
+/**
+ * @description Read a processor configuration file: a JSON (or JS) list of entries.
+ *
+ * Each entry is as for processorFromConfig(), plus its route (recordType,
+ * scraper and, from JS, when), or fallback: true for the processor that
+ * gets records no route matches. Paths are relative to the file.
+ *
+ * @example
+ * [
+ *   { "type": "csv", "path": "products.csv", "recordType": "Product" },
+ *   { "type": "sqlite", "path": "shop.db", "scraper": "shop", "options": { "key": "sku" } },
+ *   { "type": "jsonl", "path": "everything-else.jsonl", "fallback": true }
+ * ]
+ */
+const readProcessorConfig = file => {
+  const config = require(path.resolve(file));
+  const entries = Array.isArray(config) ? config : config.processors;
+  if (!Array.isArray(entries)) {
+    throw new ProcessorError(
+      `${file} should hold a list of processors, or { processors: [...] }.`
+    );
+  }
+  const directory = path.dirname(path.resolve(file));
+  return entries.map(
+    entry =>
+      entry.path
+        ? utils.merge(entry, { path: path.resolve(directory, entry.path) })
+        : entry
+  );
+};
+exports.readProcessorConfig = readProcessorConfig;
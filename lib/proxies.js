@@ -13,8 +13,47 @@
  * point. I hope. -Dave
  */
 
+const rp = require("request-promise-native");
+
+const artifacts = require("./artifacts");
+const blocking = require("./blocking");
+const errors = require("./errors");
+const pages = require("./pages");
+const ratelimits = require("./ratelimits");
+const retries = require("./retries");
 const utils = require("./utils");
 
+/**
+ * @description Raised (or reported) when a page cannot be loaded.
+ */
+class PageLoadError extends errors.BaseError {
+  constructor(message, url = null, status = null) {
+    super(message);
+    this.url = url;
+    this.status = status;
+  }
+}
+exports.PageLoadError = PageLoadError;
+
+/**
+ * @description Throw a PageLoadError for a response with a retryable status, if we'll retry it.
+ *
+ * On the last attempt, we keep the response: a 503 page is still a page, and
+ * the scraper may make something of it.
+ */
+const failForRetry = (policy, url, status, isFinal) => {
+  if (policy.statuses.includes(status)) {
+    const error = new PageLoadError(
+      `${url} responded with HTTP ${status}`,
+      url,
+      status
+    );
+    if (!isFinal(error)) {
+      throw error;
+    }
+  }
+};
+
 /**
  * Hello! We're using Javascript Proxy() objects to provide nice wrappers
  * around puppeteer Page and ElementHandle instances, and maybe more in the
@@ -31,6 +70,19 @@ const utils = require("./utils");
  * @param {number} options.waitTimeout If provided, override the default wait timeout.
  * @param {Array<string>} options.waitUntil If provided, override the default navigation waitUntil.
  * @param {number} options.throttle If provided, override the default throttling time.
+ * @param {Object} options.rateLimit If provided, options for a per-host RateLimiter.
+ * @param {RateLimiter} options.rateLimiter If provided, a RateLimiter to share with other browsers.
+ * @param {CheckpointStore} options.checkpoint If provided, record successfully visited URLs in it.
+ * @param {Object} options.retry If provided, options for the RetryPolicy used by tryOpenPage.
+ * @param {Function} options.errorHandler If provided, called with (error, url) when tryOpenPage gives up.
+ * @param {RobotsCache} options.robots If provided, refuse to load URLs that robots.txt disallows.
+ * @param {Function} options.skipHandler If provided, called with (url, reason) when a URL is refused.
+ * @param {Function} options.eventHandler If provided, called with (event, context) for Runner events.
+ * @param {ArtifactStore} options.artifacts If provided, record each page's activity and capture artifacts when loads fail.
+ * @param {Object} options.blocking If provided, options for the RequestPolicy that decides which requests to block.
+ * @param {Object} options.fetchProxy If provided, the proxy ({ url, auth }) for tryFetchPage. (Default: proxy)
+ * @param {ProxyPool} options.proxyPool If provided, the pool our proxy relays through; told the status of each page load.
+ * @param {NetworkArchive} options.archive If provided, record network traffic into it, or (in replay mode) answer requests from it.
  *
  */
 const browserProxy = (browser, options = {}) => {
@@ -456,30 +508,46 @@ class PageHandler extends BaseHandler {
    * @description A Page.goto method that proxies and uses local nav options.
    */
   async goto(page, url, options = {}) {
-    await this.__browserHandler__.throttle();
-    await this.maybeClearCookies(page);
-    const fullOptions = utils.merge(this.__navigationOptions__, options);
-    return await page.goto(url, fullOptions);
+    if (!(await this.__browserHandler__.robotsAllow(url))) {
+      return null;
+    }
+    const release = await this.__browserHandler__.throttle(url, options);
+    try {
+      await this.maybeClearCookies(page);
+      const fullOptions = utils.merge(this.__navigationOptions__, options);
+      return await page.goto(url, fullOptions);
+    } finally {
+      release();
+    }
   }
 
   /**
    * @description A Page.goBack method that proxies and uses local nav options.
    */
   async goBack(page, options = {}) {
-    await this.__browserHandler__.throttle();
-    await this.maybeClearCookies(page);
-    const fullOptions = utils.merge(this.__navigationOptions__, options);
-    return await page.goBack(fullOptions);
+    // We can't know where we're headed, so we throttle against where we are.
+    const release = await this.__browserHandler__.throttle(page.url());
+    try {
+      await this.maybeClearCookies(page);
+      const fullOptions = utils.merge(this.__navigationOptions__, options);
+      return await page.goBack(fullOptions);
+    } finally {
+      release();
+    }
   }
 
   /**
    * @description A Page.goForward method that proxies and uses local nav options.
    */
   async goForward(page, options = {}) {
-    await this.__browserHandler__.throttle();
-    await this.maybeClearCookies(page);
-    const fullOptions = utils.merge(this.__navigationOptions__, options);
-    return await page.goForward(fullOptions);
+    const release = await this.__browserHandler__.throttle(page.url());
+    try {
+      await this.maybeClearCookies(page);
+      const fullOptions = utils.merge(this.__navigationOptions__, options);
+      return await page.goForward(fullOptions);
+    } finally {
+      release();
+    }
   }
 
   /**
@@ -488,10 +556,10 @@ class PageHandler extends BaseHandler {
    * @returns true on success, false on failure (such as a navigation timeout)
    */
   async clickAndNavigate(page, elementHandle) {
-    await this.__browserHandler__.throttle();
-    await this.maybeClearCookies(page);
+    const release = await this.__browserHandler__.throttle(page.url());
     let success = true;
     try {
+      await this.maybeClearCookies(page);
       const [response] = await Promise.all([
         page.waitForNavigation(this.__navigationOptions__).catch(error => {
           console.error(
@@ -509,6 +577,8 @@ class PageHandler extends BaseHandler {
       // most likely, a navigation failure
       console.error(`jscrape: clickAndNavigate failed: ${error}`);
       success = false;
+    } finally {
+      release();
     }
     return success;
   }
@@ -633,6 +703,29 @@ class BrowserHandler extends BaseHandler {
     this.__loadImages__ = utils.boolify(options.images, true);
     this.__loadAds__ = utils.boolify(options.ads, true);
     this.__adclient__ = options.adclient || null;
+    this.__checkpoint__ = options.checkpoint || null;
+    this.__retryPolicy__ = new retries.RetryPolicy(options.retry || {});
+    this.__errorHandler__ = options.errorHandler || null;
+    this.__skipHandler__ = options.skipHandler || null;
+    this.__robots__ = options.robots || null;
+    this.__eventHandler__ = options.eventHandler || null;
+    this.__artifacts__ = options.artifacts || null;
+    this.__proxyPool__ = options.proxyPool || null;
+    this.__archive__ = options.archive || null;
+    this.__fetchProxy__ = options.fetchProxy || options.proxy || null;
+    this.__fetchTimeout__ =
+      options.navigationTimeout || PageHandler.NAVIGATION_TIMEOUT;
+    this.__requestPolicy__ = new blocking.RequestPolicy(
+      utils.merge(options.blocking, {
+        images: this.__loadImages__,
+        adclient: this.__adclient__
+      })
+    );
+    this.__rateLimiter__ =
+      options.rateLimiter ||
+      new ratelimits.RateLimiter(
+        utils.merge({ interval: options.throttle }, options.rateLimit)
+      );
     this.__pageOptions__ = options;
     this.__clearCookies__ = utils.boolify(options.clearCookies, false);
     this.__clearCache__ = utils.boolify(options.clearCache, false);
@@ -640,7 +733,6 @@ class BrowserHandler extends BaseHandler {
       width: options.viewportWidth || 960,
       height: options.viewportHeight || 1200
     };
-    this.__lastPageLoad = 0;
 
     if (this.__browserConsole__) {
       console.error(
@@ -654,6 +746,13 @@ class BrowserHandler extends BaseHandler {
    */
   async newPage(browser) {
     const rawPage = await browser.newPage();
+    if (this.__artifacts__) {
+      this.__artifacts__.watch(rawPage);
+    }
+    const archive = this.__archive__;
+    if (archive && archive.recording) {
+      archive.watch(rawPage);
+    }
 
     const page = pageProxy(rawPage, this.__pageOptions__, this);
     page.setUserAgent(this.__userAgent__);
@@ -661,24 +760,39 @@ class BrowserHandler extends BaseHandler {
       await page.setCacheEnabled(false);
     }
 
-    // Prevent image or ad loads if desired
-    if (!this.__loadImages__ || this.__adclient__) {
+    // Block images, ads and whatever else our request policy says to, and
+    // answer the rest from our archive when we're replaying one
+    const policy = this.__requestPolicy__;
+    const replaying = Boolean(archive && archive.replaying);
+    if (policy.active || replaying) {
       await page.setRequestInterception(true);
       page.on("request", request => {
-        // If image blocking is enabled and this is an image, abort...
-        const abortForImage =
-          !this.__loadImages__ && request.resourceType() === "image";
-        // If ad blocking is enabled and this is an ad, abort...
-        const abortForAd =
-          this.__adclient__ && this.__adclient__.matches(request.url());
-        // Should we abort?
-        const abort = abortForImage || abortForAd;
-        if (abortForImage || abortForAd) {
-          request.abort();
+        const resourceType = request.resourceType();
+        // Compare raw frames: page.mainFrame() makes a new proxy every time.
+        const reason = policy.decide(request.url(), resourceType, {
+          pageUrl: page.url(),
+          navigation:
+            request.isNavigationRequest() &&
+            request.frame() === rawPage.mainFrame()
+        });
+        if (reason) {
+          request.abort("blockedbyclient");
+          this.reportEvent("requestBlocked", {
+            url: request.url(),
+            pageUrl: page.url(),
+            resourceType: resourceType,
+            reason: reason,
+            estimatedBytes: policy.estimateBytes(resourceType)
+          });
+        } else if (replaying) {
+          archive.replay(request);
         } else {
           request.continue();
         }
       });
+      page.on("response", response =>
+        policy.observe(response.request().resourceType(), response.headers())
+      );
     }
 
     // Install the Proxy auth header. (Not the same thing as a javascript proxy!)
@@ -746,62 +860,295 @@ class BrowserHandler extends BaseHandler {
   /**
    * @description Convenience method that tries to open a new page to a given URL.
    *
-   * Returns null if the load fails -- for example, if it times out.
+   * Failed loads (and responses with a retryable HTTP status) are retried
+   * according to our retry policy. If every attempt fails, we report a
+   * PageLoadError and return null. A retryable status on the last attempt
+   * isn't a failure, though: the scraper gets the page, whatever its status.
    */
   async tryOpenPage(browser, url, options = {}) {
-    // wait the right amount of time
-    await this.throttle(options);
+    return await this.tryLoad(browser, url, isFinal =>
+      this.openPageOnce(browser, url, options, isFinal)
+    );
+  }
+
+  /**
+   * @description Like tryOpenPage, but fetch the page over plain HTTP, without a browser tab.
+   *
+   * Resolves to a StaticPage (see pages.js), or null. Robots.txt, rate limits,
+   * retries and checkpoints all apply just as they do to tryOpenPage.
+   */
+  async tryFetchPage(browser, url, options = {}) {
+    return await this.tryLoad(browser, url, isFinal =>
+      this.fetchPageOnce(browser, url, options, isFinal)
+    );
+  }
+
+  /**
+   * @description Load a page with loadOnce(), retrying according to our retry policy.
+   *
+   * loadOnce is passed a function that, given the error an attempt failed
+   * with, returns true if that attempt is our last.
+   */
+  async tryLoad(browser, url, loadOnce) {
+    // don't even open a tab for URLs robots.txt disallows
+    if (!(await this.robotsAllow(url))) {
+      return null;
+    }
 
-    // open a blank tab
     let page = null;
+    let attempts = 0;
+
+    try {
+      page = await this.__retryPolicy__.run(
+        async attempt => {
+          attempts = attempt;
+          return await loadOnce(
+            error => !this.__retryPolicy__.willRetry(error, attempt)
+          );
+        },
+        (error, attempt, delay) => {
+          console.error(
+            `BrowserHandler.tryLoad: attempt ${attempt} to load ${url} failed: ${error}; retrying in ${delay}ms.`
+          );
+        }
+      );
+    } catch (error) {
+      let message = `Failed to load ${url} after ${attempts} attempt(s): ${
+        error.message
+      }`;
+      let paths = null;
+      if (this.__artifacts__ && error.artifactSnapshot) {
+        try {
+          paths = this.__artifacts__.write(error.artifactSnapshot, error, {
+            url: url
+          });
+          message = `${message} (${artifacts.describeArtifacts(paths)})`;
+        } catch (writeError) {
+          console.error(
+            `BrowserHandler.tryLoad: failed to save artifacts: ${writeError}`
+          );
+        }
+      }
+      const wrapped = new PageLoadError(message, url, error.status);
+      wrapped.artifacts = paths;
+      this.reportEvent("pageFailed", { url: url, error: wrapped });
+      this.reportError(browser, wrapped, url);
+      page = null;
+    }
+
+    if (page) {
+      this.reportEvent("pageOpened", { url: url });
+    }
+    if (page && this.__checkpoint__) {
+      this.__checkpoint__.markVisited(url);
+    }
+
+    return page;
+  }
 
+  /**
+   * @description Make a single attempt to open a new page to a given URL.
+   *
+   * Throws on failure, making sure the new page is closed first. Responses
+   * with a retryable status are failures too, unless isFinal(error) says this
+   * was our last attempt. If it was, a failure's error carries an
+   * artifactSnapshot of the page, when we're saving artifacts.
+   */
+  async openPageOnce(browser, url, options = {}, isFinal = () => true) {
+    // open a blank tab. (page.goto will wait for the right amount of time.)
+    let page = null;
     try {
       page = await this.newPage(browser);
     } catch (error) {
       console.error(
-        `BrowserHandler.tryOpenPage: failed to await newPage: ${error}; closing.`
+        `BrowserHandler.openPageOnce: failed to await newPage: ${error}.`
       );
-      page = null;
+      throw error;
     }
 
     // try to open the page
-    if (page) {
+    try {
+      const response = await page.goto(url, options);
+      const status = response ? response.status() : null;
+      if (this.__proxyPool__ && status) {
+        this.__proxyPool__.reportResponse(url, status);
+      }
+      failForRetry(this.__retryPolicy__, url, status, isFinal);
+    } catch (error) {
+      // drat, we probably had a navigation timeout. if we're not going to
+      // try again, grab what we can of the page. then close it.
+      if (this.__artifacts__ && error instanceof Object && isFinal(error)) {
+        error.artifactSnapshot = await this.__artifacts__.snapshot(page);
+      }
       try {
-        await page.goto(url, options);
-      } catch (error) {
-        // drat, we probably had a navigation timeout. try to close it.
-        try {
-          console.error(
-            `BrowserHandler.tryOpenPage: failed to load ${url}: ${error}; closing.`
-          );
-          await page.close();
-        } catch (error) {
-          // who even knows what happened here?
-          console.error(
-            `BrowserHandler.tryOpenPage: failed to close ${url}: ${error}; shrug.`
-          );
-        }
-
-        page = null;
+        await page.close();
+      } catch (closeError) {
+        // who even knows what happened here?
+        console.error(
+          `BrowserHandler.openPageOnce: failed to close ${url}: ${closeError}; shrug.`
+        );
       }
+      throw error;
     }
 
     return page;
   }
 
   /**
-   * @description Throttle to make sure we are being good citizens
-   * We want to keep track of the last time a page was opened, and make sure that
-   * we maintain a reasonable time between new page loads.
-   * @param {number} options.throttle If provided, override the default throttle rate.
+   * @description Make a single attempt to fetch a page over HTTP, and parse it.
+   *
+   * Responses with a retryable status are errors, unless isFinal(error) says
+   * this was our last attempt.
+   */
+  async fetchPageOnce(browser, url, options = {}, isFinal = () => true) {
+    const archive = this.__archive__;
+    if (archive && archive.replaying) {
+      return this.replayPageOnce(url, isFinal);
+    }
+
+    const request = {
+      uri: url,
+      resolveWithFullResponse: true,
+      simple: false,
+      gzip: true,
+      timeout: this.__fetchTimeout__,
+      headers: { "User-Agent": this.__userAgent__ }
+    };
+    const proxy = this.__fetchProxy__;
+    if (proxy && proxy.url) {
+      request.proxy = proxy.url;
+      if (proxy.auth) {
+        const basicAuth = Buffer.from(proxy.auth).toString("base64");
+        request.headers["Proxy-Authorization"] = `Basic ${basicAuth}`;
+      }
+    }
+
+    let response = null;
+    const release = await this.throttle(url, options);
+    try {
+      response = await rp(request);
+    } finally {
+      release();
+    }
+
+    if (archive) {
+      archive.recordFetch(url, response);
+    }
+
+    const status = response.statusCode;
+    if (this.__proxyPool__) {
+      this.__proxyPool__.reportResponse(url, status);
+    }
+    failForRetry(this.__retryPolicy__, url, status, isFinal);
+
+    return new pages.StaticPage(response.body, {
+      url: response.request.uri.href,
+      status: status,
+      headers: response.headers
+    });
+  }
+
+  /**
+   * @description Like fetchPageOnce, but answer from the archive we're replaying.
    */
-  async throttle(options = {}) {
-    const throttle = options.throttle || this.__pageOptions__.throttle || 0;
-    const duration = new Date().getTime() - this.__lastPageLoad;
-    if (duration < throttle) {
-      await utils.sleep(throttle - duration);
+  replayPageOnce(url, isFinal = () => true) {
+    const archived = this.__archive__.replayFetch(url);
+    if (!archived) {
+      throw new PageLoadError(`${url} isn't in the archive`, url);
     }
-    this.__lastPageLoad = new Date().getTime();
+    failForRetry(this.__retryPolicy__, url, archived.status, isFinal);
+    return new pages.StaticPage(archived.body.toString(), {
+      url: archived.url,
+      status: archived.status,
+      headers: archived.headers
+    });
+  }
+
+  /**
+   * @description Convenience method: return false (and report a skip) if robots.txt disallows a URL.
+   *
+   * Scrapers check this before trying to load a target, so that they can
+   * tell a skipped target from a failed one.
+   */
+  async allowsUrl(browser, url) {
+    return await this.robotsAllow(url);
+  }
+
+  /**
+   * @description Return false (and report a skip) if robots.txt disallows a URL.
+   *
+   * Along the way, we feed any Crawl-delay into our rate limiter.
+   */
+  async robotsAllow(url) {
+    if (!this.__robots__) {
+      return true;
+    }
+
+    const { allowed, crawlDelay } = await this.__robots__.check(url);
+    if (crawlDelay) {
+      const hostname = ratelimits.hostnameOf(url);
+      const limits = this.__rateLimiter__.limitsFor(hostname);
+      const interval = crawlDelay * 1000;
+      if (limits.interval / limits.requests < interval) {
+        this.__rateLimiter__.setHostLimits(hostname, {
+          requests: 1,
+          interval: interval
+        });
+      }
+    }
+
+    if (!allowed) {
+      this.reportSkip(url, "disallowed by robots.txt");
+    }
+    return allowed;
+  }
+
+  /**
+   * @description Hand a skipped URL to our skip handler, or just log it.
+   */
+  reportSkip(url, reason) {
+    this.reportEvent("pageSkipped", { url: url, reason: reason });
+    if (this.__skipHandler__) {
+      this.__skipHandler__(url, reason);
+    } else {
+      console.error(`BrowserHandler: skipping ${url}: ${reason}`);
+    }
+  }
+
+  /**
+   * @description Hand an event to our event handler, if we have one.
+   */
+  reportEvent(event, context) {
+    if (this.__eventHandler__) {
+      this.__eventHandler__(event, context);
+    }
+  }
+
+  /**
+   * @description Hand an error to our error handler, or just log it.
+   */
+  reportError(browser, error, url = null) {
+    if (this.__errorHandler__) {
+      this.__errorHandler__(error, url);
+    } else {
+      console.error(`BrowserHandler: ${error.message}`);
+    }
+  }
+
+  /**
+   * @description Throttle to make sure we are being good citizens
+   * We rate limit page loads per host, making sure that we maintain a
+   * reasonable time between loads (and, optionally, a cap on simultaneous
+   * loads) for each site we visit.
+   * @param {string} url The URL about to be loaded.
+   * @param {number} options.throttle If provided, override the throttle interval for this load.
+   * @return {Function} Call this once the load completes.
+   */
+  async throttle(url, options = {}) {
+    const overrides = options.throttle
+      ? { requests: 1, interval: options.throttle }
+      : {};
+    return await this.__rateLimiter__.acquire(url, overrides);
   }
 
   /**
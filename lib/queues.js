@@ -0,0 +1,195 @@
+/**
+ * @file
+ * A durable, local job queue backed by an append-only journal file.
+ *
+ * Every change to the queue (a push, an acknowledgement, a job given up on)
+ * is appended to the journal as a line of JSON. Reopening a journal replays
+ * it, so a queue survives the death of the process that owns it: jobs that
+ * were leased but never acknowledged simply become pending again.
+ *
+ * No external broker is involved; the queue lives in a single process and
+ * hands jobs to workers itself.
+ */
+
+const fs = require("fs");
+
+const checkpoints = require("./checkpoints");
+const errors = require("./errors");
+
+class QueueError extends errors.BaseError {}
+exports.QueueError = QueueError;
+
+/**
+ * @description A FIFO job queue journaled to a local file.
+ */
+class FileQueue {
+  /**
+   * @description Create a queue.
+   * @param {string} path The journal file.
+   * @param {Object} options
+   * @param {number} options.maxAttempts Give up on a job after it's been released this many times. (Default: 3)
+   */
+  constructor(path, options = {}) {
+    this.path = path;
+    this.maxAttempts = options.maxAttempts || 3;
+    this._jobs = new Map(); // id -> { id, payload, attempts }
+    this._keys = new Set();
+    this._pending = [];
+    this._leased = new Set();
+    this._nextId = 1;
+    this._fd = null;
+  }
+
+  /**
+   * @description Open the journal, replaying it if it already exists.
+   */
+  open() {
+    if (this._fd != null) {
+      throw new QueueError(`Queue ${this.path} is already open.`);
+    }
+
+    if (fs.existsSync(this.path)) {
+      this._replay(fs.readFileSync(this.path, "utf8"));
+    }
+    this._fd = fs.openSync(this.path, "a");
+  }
+
+  /**
+   * @description Close the journal.
+   * @param {boolean} remove If true, delete the journal file too.
+   */
+  close(remove = false) {
+    if (this._fd != null) {
+      fs.closeSync(this._fd);
+      this._fd = null;
+    }
+    if (remove && fs.existsSync(this.path)) {
+      fs.unlinkSync(this.path);
+    }
+  }
+
+  /**
+   * @description The number of jobs waiting to be leased.
+   */
+  get pendingCount() {
+    return this._pending.length;
+  }
+
+  /**
+   * @description The number of jobs leased but not yet acknowledged.
+   */
+  get leasedCount() {
+    return this._leased.size;
+  }
+
+  /**
+   * @description Add a job, unless an identical payload was ever added.
+   * @return {number} The new job's id, or null if it was a duplicate.
+   */
+  push(payload) {
+    const key = checkpoints.CheckpointStore.targetKey(payload);
+    if (this._keys.has(key)) {
+      return null;
+    }
+    const id = this._nextId++;
+    this._write({ op: "push", id: id, payload: payload });
+    this._add(id, payload, key);
+    return id;
+  }
+
+  /**
+   * @description Take the next pending job, or return null if there isn't one.
+   * @return {Object} The job: { id, payload, attempts }.
+   */
+  lease() {
+    const id = this._pending.shift();
+    if (id == null) {
+      return null;
+    }
+    this._leased.add(id);
+    return this._jobs.get(id);
+  }
+
+  /**
+   * @description Mark a leased job as complete.
+   */
+  ack(id) {
+    this._write({ op: "ack", id: id });
+    this._finish(id);
+  }
+
+  /**
+   * @description Return a leased job to the front of the queue, say because its worker crashed.
+   * @return {boolean} True if the job was requeued; false if it has run out of attempts and was dropped.
+   */
+  release(id, reason = null) {
+    const job = this._jobs.get(id);
+    this._leased.delete(id);
+    job.attempts += 1;
+    if (job.attempts >= this.maxAttempts) {
+      this.drop(id, reason);
+      return false;
+    }
+    this._write({ op: "release", id: id });
+    this._pending.unshift(id);
+    return true;
+  }
+
+  /**
+   * @description Give up on a job for good.
+   */
+  drop(id, reason = null) {
+    this._write({ op: "drop", id: id, reason: reason ? `${reason}` : null });
+    this._finish(id);
+  }
+
+  _add(id, payload, key) {
+    this._jobs.set(id, { id: id, payload: payload, attempts: 0 });
+    this._keys.add(key);
+    this._pending.push(id);
+  }
+
+  _finish(id) {
+    this._leased.delete(id);
+    this._jobs.delete(id);
+  }
+
+  _write(entry) {
+    if (this._fd == null) {
+      throw new QueueError(`Queue ${this.path} is not open.`);
+    }
+    fs.writeSync(this._fd, `${JSON.stringify(entry)}\n`);
+  }
+
+  _replay(journal) {
+    for (const line of journal.split("\n")) {
+      if (!line) {
+        continue;
+      }
+
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Most likely the last line, cut short by a crash.
+        continue;
+      }
+
+      if (entry.op == "push") {
+        const key = checkpoints.CheckpointStore.targetKey(entry.payload);
+        this._add(entry.id, entry.payload, key);
+        this._nextId = Math.max(this._nextId, entry.id + 1);
+      } else if (entry.op == "release" && this._jobs.has(entry.id)) {
+        this._jobs.get(entry.id).attempts += 1;
+      } else if (entry.op == "ack" || entry.op == "drop") {
+        this._jobs.delete(entry.id);
+      }
+    }
+
+    // Anything left over is pending, including jobs that were leased when
+    // the previous owner died.
+    this._pending = [...this._jobs.keys()];
+  }
+}
+
+exports.FileQueue = FileQueue;
@@ -0,0 +1,147 @@
+/**
+ * @file
+ * Rate limiting for page loads, keyed by hostname.
+ *
+ * Each host gets its own token bucket: it may make `burst` requests back to
+ * back, after which it is limited to `requests` per `interval` milliseconds.
+ * Hosts may also be limited to a number of simultaneous navigations.
+ *
+ * A single RateLimiter can be shared by every browser in a run, so that
+ * scrapers hitting the same site coordinate with each other.
+ */
+
+const url = require("url");
+
+const utils = require("./utils");
+
+/**
+ * @description Return the hostname of a URL, or an empty string.
+ */
+const hostnameOf = pageUrl => {
+  try {
+    return (url.parse(pageUrl || "").hostname || "").toLowerCase();
+  } catch (error) {
+    return "";
+  }
+};
+exports.hostnameOf = hostnameOf;
+
+/**
+ * @description Limits the rate of requests made to each host.
+ */
+class RateLimiter {
+  /**
+   * @description Create a rate limiter.
+   * @param {Object} options
+   * @param {number} options.requests The number of requests allowed per interval, per host. (Default: 1)
+   * @param {number} options.interval The interval, in milliseconds. Zero means no rate limit. (Default: 0)
+   * @param {number} options.burst The number of requests a quiet host may make back to back. (Default: 1)
+   * @param {number} options.maxInFlight The maximum simultaneous navigations per host. Zero means no limit. (Default: 0)
+   * @param {Object} options.domains Overrides of the above, keyed by domain. A domain
+   *   also applies to its subdomains; the most specific domain wins.
+   */
+  constructor(options = {}) {
+    this.defaults = {
+      requests: Number(options.requests) || 1,
+      interval: Number(options.interval) || 0,
+      burst: Number(options.burst) || 1,
+      maxInFlight: Number(options.maxInFlight) || 0
+    };
+    this.domains = options.domains || {};
+    this._hostLimits = {};
+    this._buckets = {};
+  }
+
+  /**
+   * @description Return the effective limits for a hostname.
+   */
+  limitsFor(hostname) {
+    const matches = Object.keys(this.domains)
+      .filter(domain => hostname == domain || hostname.endsWith(`.${domain}`))
+      .sort((a, b) => a.length - b.length);
+    const overrides = matches.map(domain => this.domains[domain]);
+    return utils.merge(this.defaults, ...overrides, this._hostLimits[hostname]);
+  }
+
+  /**
+   * @description Override limits for a single host at runtime.
+   *
+   * For example, to honor a Crawl-delay found in robots.txt.
+   */
+  setHostLimits(hostname, limits) {
+    this._hostLimits[hostname] = utils.merge(
+      this._hostLimits[hostname],
+      limits
+    );
+  }
+
+  /**
+   * @description Wait until a request to the URL is allowed.
+   * @param {string} pageUrl The URL about to be requested.
+   * @param {Object} overrides Optional limits that apply to just this request.
+   * @return {Function} Call this once the request completes.
+   */
+  async acquire(pageUrl, overrides = {}) {
+    const hostname = hostnameOf(pageUrl);
+    const bucket = this._bucket(hostname);
+    const limits = utils.merge(this.limitsFor(hostname), overrides);
+
+    // Queue up behind earlier requests to this host, so slots are handed
+    // out in order.
+    const turn = bucket.queue.then(() => this._take(bucket, limits));
+    bucket.queue = turn.catch(() => {});
+    await turn;
+
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        bucket.inFlight -= 1;
+        const waiter = bucket.waiters.shift();
+        if (waiter) {
+          waiter();
+        }
+      }
+    };
+  }
+
+  async _take(bucket, limits) {
+    while (limits.maxInFlight && bucket.inFlight >= limits.maxInFlight) {
+      await new Promise(resolve => bucket.waiters.push(resolve));
+    }
+
+    if (limits.interval > 0) {
+      const rate = limits.requests / limits.interval; // tokens per millisecond
+      this._refill(bucket, limits, rate);
+      if (bucket.tokens < 1) {
+        await utils.sleep(Math.ceil((1 - bucket.tokens) / rate));
+        this._refill(bucket, limits, rate);
+      }
+      bucket.tokens -= 1;
+    }
+
+    bucket.inFlight += 1;
+  }
+
+  _refill(bucket, limits, rate) {
+    const now = new Date().getTime();
+    const elapsed = now - bucket.updated;
+    bucket.tokens = Math.min(limits.burst, bucket.tokens + elapsed * rate);
+    bucket.updated = now;
+  }
+
+  _bucket(hostname) {
+    if (!this._buckets[hostname]) {
+      this._buckets[hostname] = {
+        tokens: this.limitsFor(hostname).burst,
+        updated: new Date().getTime(),
+        inFlight: 0,
+        waiters: [],
+        queue: Promise.resolve()
+      };
+    }
+    return this._buckets[hostname];
+  }
+}
+
+exports.RateLimiter = RateLimiter;
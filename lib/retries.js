@@ -0,0 +1,113 @@
+/**
+ * @file
+ * Retry policies decide whether, and how long after, a failed operation
+ * should be attempted again.
+ *
+ * Delays grow exponentially with each attempt and are jittered, so that many
+ * tabs failing at once don't all come back at the same moment.
+ */
+
+const utils = require("./utils");
+
+/**
+ * @description A retry policy with exponential backoff and jitter.
+ */
+class RetryPolicy {
+  /**
+   * @description Create a retry policy.
+   * @param {Object} options
+   * @param {number} options.attempts The maximum number of attempts, including the first. (Default: 1)
+   * @param {number} options.delay The delay before the first retry, in milliseconds. (Default: 1000)
+   * @param {number} options.factor Multiply the delay by this after every retry. (Default: 2)
+   * @param {number} options.maxDelay Never wait longer than this between attempts. (Default: 30000)
+   * @param {number} options.jitter Randomly shave up to this fraction off of each delay. (Default: 0.5)
+   * @param {Array<string>} options.errors Retry errors whose name equals, or whose message contains, one of these.
+   * @param {Array<number>} options.statuses Retry responses with one of these HTTP statuses. Once out of
+   *    attempts, such a response is kept, not treated as a failure.
+   */
+  constructor(options = {}) {
+    this.attempts = Math.max(1, Number(options.attempts) || 1);
+    this.delay = options.delay == null ? 1000 : options.delay;
+    this.factor = options.factor == null ? 2 : options.factor;
+    this.maxDelay = options.maxDelay == null ? 30000 : options.maxDelay;
+    this.jitter = options.jitter == null ? 0.5 : options.jitter;
+    this.errors = utils.listify(options.errors || this.constructor.ERRORS);
+    this.statuses = utils.listify(
+      options.statuses || this.constructor.STATUSES
+    );
+    this.random = Math.random;
+  }
+
+  /**
+   * @description Return the number of milliseconds to wait after the given
+   * (1-based) failed attempt.
+   */
+  backoff(attempt) {
+    const exponential = this.delay * Math.pow(this.factor, attempt - 1);
+    const capped = Math.min(this.maxDelay, exponential);
+    return Math.round(capped * (1 - this.jitter * this.random()));
+  }
+
+  /**
+   * @description Return true if the error is worth another attempt.
+   *
+   * Errors with a numeric `status` are judged by status alone.
+   */
+  isRetryable(error) {
+    if (error && error.status != null) {
+      return this.statuses.includes(error.status);
+    }
+    const name = (error && error.name) || "";
+    const message = (error && error.message) || `${error}`;
+    return this.errors.some(
+      pattern => name == pattern || message.includes(pattern)
+    );
+  }
+
+  /**
+   * @description Return true if we'd make another attempt after the given (1-based) attempt failed with the error.
+   */
+  willRetry(error, attempt) {
+    return attempt < this.attempts && this.isRetryable(error);
+  }
+
+  /**
+   * @description Invoke f(attempt) until it succeeds or we run out of attempts.
+   *
+   * Rethrows the final error, or the first error that isn't retryable.
+   *
+   * @param {Function} f An async function of the (1-based) attempt number.
+   * @param {Function} onRetry Optionally called with (error, attempt, delay) before each retry.
+   */
+  async run(f, onRetry = null) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await f(attempt);
+      } catch (error) {
+        if (!this.willRetry(error, attempt)) {
+          throw error;
+        }
+        const delay = this.backoff(attempt);
+        if (onRetry) {
+          onRetry(error, attempt, delay);
+        }
+        await utils.sleep(delay);
+      }
+    }
+  }
+}
+
+/**
+ * @description By default, retry timeouts and network-level failures.
+ *
+ * Chromium reports the latter as net::ERR_*; in fetch mode, the request
+ * library reports them as RequestErrors.
+ */
+RetryPolicy.ERRORS = ["TimeoutError", "net::ERR_", "RequestError"];
+
+/**
+ * @description By default, retry rate limiting and transient server errors.
+ */
+RetryPolicy.STATUSES = [408, 429, 500, 502, 503, 504];
+
+exports.RetryPolicy = RetryPolicy;
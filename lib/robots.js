@@ -0,0 +1,275 @@
+/**
+ * @file
+ * Support for honoring robots.txt.
+ *
+ * We fetch each host's robots.txt at most once per run, pick the group of
+ * rules that applies to our user agent, and answer whether a given URL may be
+ * loaded. Matching follows RFC 9309: the longest matching rule wins, ties go
+ * to Allow, and `*` and `$` are supported in paths.
+ */
+
+const url = require("url");
+const rp = require("request-promise-native");
+
+/**
+ * @description Parse the text of a robots.txt file into groups of rules.
+ * @return {Array<Object>} Groups of { agents, rules, crawlDelay }.
+ */
+const parseRobots = text => {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || "").split(/\r\n|\r|\n/)) {
+    const line = rawLine.split("#")[0].trim();
+    const colon = line.indexOf(":");
+    if (colon < 0) {
+      continue;
+    }
+    const field = line
+      .slice(0, colon)
+      .trim()
+      .toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (field == "user-agent") {
+      // Consecutive user-agent lines share a single group.
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) {
+      continue;
+    }
+
+    if (field == "allow" || field == "disallow") {
+      // An empty Disallow allows everything, so we can skip it.
+      if (value) {
+        group.rules.push({ allow: field == "allow", path: value });
+      }
+    } else if (field == "crawl-delay") {
+      const delay = parseFloat(value);
+      if (!isNaN(delay)) {
+        group.crawlDelay = delay;
+      }
+    }
+  }
+
+  return groups;
+};
+exports.parseRobots = parseRobots;
+
+/**
+ * @description Return the length of the rule's match against path, or -1.
+ */
+const matchLength = (rulePath, path) => {
+  const anchored = rulePath.endsWith("$");
+  const pattern = anchored ? rulePath.slice(0, -1) : rulePath;
+  const escaped = pattern
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  const regex = new RegExp(`^${escaped}${anchored ? "$" : ""}`);
+  return regex.test(path) ? pattern.length : -1;
+};
+
+/**
+ * @description The rules from a single robots.txt file.
+ */
+class RobotsRules {
+  /**
+   * @param {Array<Object>} groups Parsed groups, as returned by parseRobots().
+   * @param {boolean} disallowAll If true, nothing is allowed, regardless of groups.
+   */
+  constructor(groups = [], disallowAll = false) {
+    this.groups = groups;
+    this.disallowAll = disallowAll;
+  }
+
+  /**
+   * @description Parse robots.txt text into rules.
+   */
+  static parse(text) {
+    return new RobotsRules(parseRobots(text));
+  }
+
+  /**
+   * @description Return the group that applies to the user agent, if any.
+   *
+   * The group naming the longest matching agent wins; "*" is the fallback.
+   */
+  groupFor(userAgent) {
+    const agent = userAgent.toLowerCase();
+    let best = null;
+    let bestLength = 0;
+    let fallback = null;
+
+    for (const group of this.groups) {
+      for (const name of group.agents) {
+        if (name == "*") {
+          fallback = fallback || group;
+        } else if (agent.includes(name) && name.length > bestLength) {
+          best = group;
+          bestLength = name.length;
+        }
+      }
+    }
+
+    return best || fallback;
+  }
+
+  /**
+   * @description Return true if the user agent may load the URL.
+   */
+  isAllowed(pageUrl, userAgent) {
+    if (this.disallowAll) {
+      return false;
+    }
+
+    const group = this.groupFor(userAgent);
+    if (!group) {
+      return true;
+    }
+
+    const parsed = url.parse(pageUrl);
+    const path = parsed.path || "/";
+    let bestLength = -1;
+    let allowed = true;
+
+    for (const rule of group.rules) {
+      const length = matchLength(rule.path, path);
+      if (length > bestLength || (length == bestLength && rule.allow)) {
+        bestLength = length;
+        allowed = rule.allow;
+      }
+    }
+
+    return allowed;
+  }
+
+  /**
+   * @description Return the crawl delay for the user agent, in seconds, or null.
+   */
+  crawlDelay(userAgent) {
+    const group = this.groupFor(userAgent);
+    return group ? group.crawlDelay : null;
+  }
+}
+exports.RobotsRules = RobotsRules;
+
+/**
+ * @description Fetches and caches robots.txt rules for every host we visit.
+ */
+class RobotsCache {
+  /**
+   * @description Create a robots.txt cache.
+   * @param {Object} options
+   * @param {string} options.userAgent The agent name to match against robots.txt groups. (Default: "jscrape")
+   * @param {number} options.timeout How long to wait for a robots.txt, in milliseconds. (Default: 30000)
+   * @param {Object} options.proxy If provided, fetch robots.txt through this proxy ({ url, auth }).
+   * @param {NetworkArchive} options.archive If provided, record each robots.txt into it, or (in replay mode) read them from it.
+   */
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || this.constructor.USER_AGENT;
+    this.timeout = options.timeout || 30000;
+    this.proxy = options.proxy || null;
+    this.archive = options.archive || null;
+    this._rules = {};
+  }
+
+  /**
+   * @description Return (a promise for) the rules that apply to a URL's host.
+   */
+  rulesFor(pageUrl) {
+    const parsed = url.parse(pageUrl);
+    const origin = `${parsed.protocol}//${parsed.host}`;
+    if (!this._rules[origin]) {
+      this._rules[origin] = this.fetchRules(`${origin}/robots.txt`);
+    }
+    return this._rules[origin];
+  }
+
+  /**
+   * @description Fetch and parse a robots.txt.
+   *
+   * A missing robots.txt (4xx) allows everything. A robots.txt we can't
+   * reach (5xx, or a network failure) disallows everything, to be safe.
+   * When replaying an archive, a robots.txt it doesn't have counts as missing.
+   */
+  async fetchRules(robotsUrl) {
+    if (this.archive && this.archive.replaying) {
+      const archived = this.archive.replayFetch(robotsUrl);
+      return archived
+        ? this.parseResponse(archived.status, archived.body.toString())
+        : new RobotsRules();
+    }
+
+    const request = {
+      uri: robotsUrl,
+      resolveWithFullResponse: true,
+      simple: false,
+      timeout: this.timeout,
+      headers: { "User-Agent": this.userAgent }
+    };
+    if (this.proxy && this.proxy.url) {
+      request.proxy = this.proxy.url;
+      if (this.proxy.auth) {
+        const basicAuth = Buffer.from(this.proxy.auth).toString("base64");
+        request.headers["Proxy-Authorization"] = `Basic ${basicAuth}`;
+      }
+    }
+
+    let response = null;
+    try {
+      response = await rp(request);
+    } catch (error) {
+      console.error(`jscrape: could not fetch ${robotsUrl}: ${error.message}`);
+      return new RobotsRules([], true);
+    }
+
+    if (this.archive) {
+      this.archive.recordFetch(robotsUrl, response);
+    }
+    return this.parseResponse(response.statusCode, response.body);
+  }
+
+  /**
+   * @description Return the rules a robots.txt response amounts to.
+   */
+  parseResponse(status, body) {
+    if (status >= 200 && status < 300) {
+      return RobotsRules.parse(body);
+    } else if (status >= 400 && status < 500) {
+      return new RobotsRules();
+    }
+    return new RobotsRules([], true);
+  }
+
+  /**
+   * @description Decide whether a URL may be loaded.
+   * @return {Object} { allowed, crawlDelay }, where crawlDelay is in seconds (or null).
+   */
+  async check(pageUrl) {
+    // robots.txt only means something for the web.
+    const protocol = url.parse(pageUrl || "").protocol;
+    if (protocol != "http:" && protocol != "https:") {
+      return { allowed: true, crawlDelay: null };
+    }
+
+    const rules = await this.rulesFor(pageUrl);
+    return {
+      allowed: rules.isAllowed(pageUrl, this.userAgent),
+      crawlDelay: rules.crawlDelay(this.userAgent)
+    };
+  }
+}
+
+RobotsCache.USER_AGENT = "jscrape";
+
+exports.RobotsCache = RobotsCache;
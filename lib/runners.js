@@ -5,6 +5,43 @@
  * Runners construct and invoke Scrapers, collecting the Records they emit
  * and (optionally) passing them through an abitrary set of Processors.
  *
+ * Records are routed to processors with addProcessor(): by record class, by
+ * the scraper that emitted them, or by any predicate. A record goes to every
+ * processor whose route matches it, or, if none do, to defaultProcessor.
+ * Before that, records pass through the transforms Pipeline (see
+ * transforms.js), which may change, drop or split them.
+ *
+ * Runners are EventEmitters, announcing what happens over the course of a
+ * run so that plugins can log, alert or monitor without subclassing. Every
+ * event carries a single context Object, which always includes the name of
+ * the scraper involved (if any), as 'scraper'.
+ *
+ *   runStart         { scrapers }                  scrapers is a list of names
+ *   runEnd           { stats }                     stats is the run's summary
+ *   scraperStart     { scraper }
+ *   scraperEnd       { scraper }
+ *   targetStart      { scraper, target, url }
+ *   targetEnd        { scraper, target, url, succeeded, skipped, milliseconds }
+ *   pageOpened       { scraper, url }
+ *   pageFailed       { scraper, url, error }       after all retries
+ *   pageSkipped      { scraper, url, reason }      say, disallowed by robots.txt
+ *   requestBlocked   { scraper, url, pageUrl, resourceType, reason, estimatedBytes }
+ *                                                  see blocking.js
+ *   recordEmitted    { scraper, item }             as yielded by the scraper
+ *   recordValidated  { scraper, record }
+ *   recordRejected   { scraper, record, error }    failed validation
+ *   recordDropped    { scraper, record, recordType }
+ *                                                  by a transform
+ *   recordProcessed  { scraper, record, recordType, processor }
+ *   errorRecovered   { scraper, error, url }       caught by Scraper.recoverable
+ *   errorHandled     { scraper, error, url }       passed to handleError
+ *   shutdown         { scraper, reason }           see Runner.shutdown()
+ *   browserLaunched  { scraper }
+ *   browserRetired   { scraper, reason }           recycled, or crashed
+ *   browserCrashed   { scraper }
+ *
+ * (There's no "error" event; EventEmitter treats that name specially.)
+ *
  * Right now, we only offer a simple runner that keeps our work in a single
  * process, but you can imagine arbitrarily complex runners that farm out work
  * to a set of processes across a cluster of machines.
@@ -13,54 +50,185 @@
 // XXX after revisiting this today, I'm pretty sure the options management code
 // is hot spaghetti nonsense. NEEDS IMMEDIATE CLEANUP. -Dave 7/2/2018
 
+const EventEmitter = require("events");
 const puppeteer = require("puppeteer");
 
+const adblock = require("./adblock");
+const archives = require("./archives");
+const artifacts = require("./artifacts");
+const browsers = require("./browsers");
+const checkpoints = require("./checkpoints");
 const errors = require("./errors");
 const processors = require("./processors");
 const proxies = require("./proxies");
+const proxypools = require("./proxypools");
+const ratelimits = require("./ratelimits");
 const records = require("./records");
+const robots = require("./robots");
+const stats = require("./stats");
+const transforms = require("./transforms");
 const utils = require("./utils");
 
-const fs = require("fs");
-const path = require("path");
-const rp = require("request-promise-native");
-const { AdBlockClient, FilterOptions } = require("ad-block");
+// What getScraperItems sees when we give up on the pages in progress.
+const ABANDONED = Symbol("jscrape.runners.abandoned");
 
 /**
  * @description Provides an environment for and executes scrapers to completion.
  */
-class Runner {
+class Runner extends EventEmitter {
   /**
    * @description Create a runner with one or more scrapers.
    * @param {Object} options Options for puppeteer.
    * @param {boolean} options.headless If true, run the browser in headless mode. (Default: true).
    * @param {boolean} options.images If true, allow the browser to load images. (Default: true)
    * @param {boolean} options.ads If true, allow the browser to load ad-like things. (Default: true)
+   * @param {Object} options.adblock If provided, where our ad blocking rules come from, when ads is false.
+   * @param {Array<string>} options.adblock.files Local filter files to block with, besides the usual blocklists.
+   * @param {Array<string>} options.adblock.rules Inline filter rules to block with, besides the usual blocklists.
+   * @param {Array<Object>} options.adblock.blocklists If provided, remote blocklists ({ title, url }) to use instead of the usual ones.
+   * @param {string} options.adblock.snapshot If provided, a serialized ad blocking client, loaded instead of everything else. Saved if missing.
+   * @param {string} options.adblock.cache The directory in which to cache downloaded and parsed blocklists. (Default: ~/.cache/jscrape/blocklists)
+   * @param {number} options.adblock.refresh How long cached blocklists stay fresh, in milliseconds. (Default: 1 day)
+   * @param {boolean} options.adblock.offline If true, never download blocklists; use the cached ones, however old. (Default: false)
    * @param {boolean} options.browserConsole If true, capture and emit console.logs from the browser context. (Default: false).
    * @param {boolean} options.sandbox If true, run chromium sandboxed. (Default: true).
-   * @param {boolean} options.throttle If provided, limit page loads to one per throttle milliseconds. (Default: 0).
+   * @param {boolean} options.throttle If provided, limit page loads to one per throttle milliseconds, per host. (Default: 0).
+   * @param {Object} options.rateLimit If provided, finer-grained per-host limits. Overrides throttle.
+   * @param {number} options.rateLimit.requests The number of page loads allowed per interval, per host. (Default: 1)
+   * @param {number} options.rateLimit.interval The interval, in milliseconds. (Default: 0)
+   * @param {number} options.rateLimit.burst The number of page loads a quiet host may make back to back. (Default: 1)
+   * @param {number} options.rateLimit.maxInFlight The maximum simultaneous page loads per host. (Default: unlimited)
+   * @param {Object} options.rateLimit.domains Overrides of the above, keyed by domain (which includes its subdomains).
+   * @param {boolean} options.robots If true, honor robots.txt: skip disallowed URLs and respect Crawl-delay. (Default: false)
+   * @param {string} options.robotsUserAgent The agent name we match against robots.txt. (Default: "jscrape")
    * @param {string} options.userAgent If provided, override the default user agent.
    * @param {number} options.navigationTimeout If provided, override the default navigation timeout.
-   * @param {number} options.hardTimeout If provided, override the default result timeout of 10 minutes. A new result must be produced in this amount of time.
+   * @param {number} options.hardTimeout If provided, override the default result timeout of 10 minutes. A new result must be produced in
+   *    this amount of time, or we shut down, abandoning the pages in progress.
+   * @param {Object} options.recycle If provided, when to replace the browser. Scrapers may override individual settings via browserOptions().
+   * @param {number} options.recycle.pages If provided, launch a fresh browser after this many targets.
+   * @param {number} options.recycle.memory If provided, launch a fresh browser once a page's JS heap exceeds this many megabytes.
+   * @param {number} options.recycle.maxCrashes Give up once browsers have crashed this many times; until then, we relaunch. (Default: 10)
+   * @param {number} options.shutdownGrace When shutting down, the time allowed for pages in progress to finish, in milliseconds. (Default: 30000)
    * @param {boolean} options.slow If true, run chromium slowly. (Default: false).
    * @param {Object} options.proxy If provided, override various proxy settings.
    * @param {string} options.proxy.url If provided, the URL for a proxy to scrape through
    * @param {string} options.proxy.auth If provided, an auth string to use for HTTP Proxy Authentication
+   * @param {Object} options.proxyPool If provided, rotate page loads across a pool of proxies. Overrides proxy.
+   * @param {Array<string or Object>} options.proxyPool.proxies The proxies, as URLs (with optional user:pass@) or { url, auth } Objects.
+   * @param {string} options.proxyPool.strategy "roundRobin", "sticky" (per domain) or "random". (Default: "roundRobin")
+   * @param {number} options.proxyPool.maxFailures Eject a proxy from rotation after this many failures in a row. (Default: 3)
+   * @param {number} options.proxyPool.cooldown How long an ejected proxy sits out, in milliseconds. (Default: 60000)
+   * @param {Array<number>} options.proxyPool.statuses Page load statuses that mean a proxy has been blocked. (Default: [403, 407, 429])
    * @param {boolean} options.clearCookies If true, remove cookies prior to every page load. (Default: false)
    * @param {boolean} options.clearCache If true, clear cache prior to every page load.
+   * @param {number} options.concurrency If provided, the number of targets each scraper processes at once, in separate tabs. (Default: 1)
+   * @param {boolean} options.ordered If true, emit records in target order when running concurrently. (Default: false)
+   * @param {string} options.checkpoint If provided, a file in which to record which targets finished, failed, and which URLs were visited.
+   * @param {string} options.resume If provided, a checkpoint file from a previous run. Finished targets are skipped, and progress continues to be recorded there.
+   *    Output is added to what that run wrote, rather than replacing it.
+   * @param {Object} options.retry If provided, the retry policy for page loads. Scrapers may override individual settings via browserOptions().
+   * @param {number} options.retry.attempts The maximum number of attempts per page load. (Default: 1)
+   * @param {number} options.retry.delay The delay before the first retry, in milliseconds; doubles after each retry. (Default: 1000)
+   * @param {number} options.retry.maxDelay The longest delay between attempts. (Default: 30000)
+   * @param {number} options.retry.jitter The fraction of each delay that is randomized. (Default: 0.5)
+   * @param {Array<string>} options.retry.errors Error names, or message fragments, that are retryable.
+   * @param {Array<number>} options.retry.statuses HTTP statuses that are retryable.
+   * @param {Object} options.blocking If provided, which requests to block. Scrapers may override individual settings via browserOptions().
+   * @param {Array<string>} options.blocking.resourceTypes Resource types to block: image, media, font, stylesheet, websocket, etc.
+   * @param {Array<string or RegExp>} options.blocking.urls URL globs (* matches anything) or regexes ("/.../flags" strings, or RegExps) to block.
+   * @param {boolean} options.blocking.thirdParty If true, block requests to sites other than the page's own. (Default: false)
+   * @param {Array<string or RegExp>} options.blocking.allow URL globs or regexes never to block, whatever the other rules (and ad blocking) say.
+   * @param {string} options.stats If provided, a file to which we write the run's statistics, as JSON, when it ends.
+   * @param {string} options.artifacts If provided, a directory in which to save a screenshot, the DOM, console output
+   *    and recent network requests whenever a page fails to load or a scraper recovers from an error.
+   * @param {string or Object} options.output If provided, write records as JSON Lines to this file, rather than the console.
+   *    May be an Object of JSONLinesProcessor options, with a path: { path, maxRecords, maxBytes, gzip }.
+   * @param {string} options.record If provided, a HAR file in which to record every response the run receives.
+   * @param {string} options.replay If provided, a HAR file (as recorded) from which to answer every request, offline.
+   *    Requests it doesn't have fail. Overrides record.
+   * @param {string or Array<Object>} options.processors If provided, processors to route records to: a
+   *    configuration file, or a list of entries, as for processors.readProcessorConfig().
+   * @param {Array<Function or Object>} options.transforms If provided, transform stages to pass records through
+   *    before processing, as for transforms.Pipeline. More may be added to runner.transforms.
    */
   constructor(options = {}) {
-    this.defaultProcessor = new processors.ConsoleProcessor();
+    super();
+    this.defaultProcessor = this.outputProcessor(
+      options.output,
+      Boolean(options.resume)
+    );
     this.processors = {};
+    this.router = new processors.RoutingProcessor();
+    this.configureProcessors(options.processors);
+    this.transforms = new transforms.Pipeline(options.transforms || []);
     this._headless = utils.boolify(options.headless, true);
     this._sandbox = utils.boolify(options.sandbox, true);
     this._slow = utils.boolify(options.slow, false);
     this._ads = utils.boolify(options.ads, true);
     this._adclient = null;
+    this._adblockOptions = options.adblock || {};
     this._proxy = options.proxy || null;
     this._hardTimeout =
-      options.hardTimeout == null ? 600000 : options.hardTimeout; // Must see new results within 10 minutes of previous, or we tear down the process.
+      options.hardTimeout == null ? 600000 : options.hardTimeout; // Must see new results within 10 minutes of previous, or we shut down.
+    this._shutdownGrace =
+      options.shutdownGrace == null ? 30000 : Number(options.shutdownGrace);
+    this.shutdownReason = null;
+    this._abandonTimer = null;
+    this._abandoned = false;
+    this._onAbandon = null; // set while getScraperItems waits on the scraper
+    this._concurrency = Math.max(1, Number(options.concurrency) || 1);
+    this._ordered = utils.boolify(options.ordered, false);
     this._browserOptions = options;
+    this.currentScraperName = null;
+    this._currentScraper = null;
+
+    // One rate limiter, shared by every browser we launch, unless a
+    // scraper sets limits of its own (see rateLimiterFor()).
+    this.rateLimiter = new ratelimits.RateLimiter(
+      utils.merge({ interval: options.throttle }, options.rateLimit)
+    );
+    this._browserOptions.rateLimiter = this.rateLimiter;
+    this._scraperRateLimiters = new WeakMap();
+
+    // One archive of network traffic, if we're recording or replaying one.
+    this.archive = this.openArchive(options);
+    this._browserOptions.archive = this.archive;
+
+    // Likewise, one robots.txt cache, if we're asked to honor robots.txt.
+    this.robots = utils.boolify(options.robots, false)
+      ? new robots.RobotsCache({
+          userAgent: options.robotsUserAgent,
+          proxy: options.proxy,
+          archive: this.archive
+        })
+      : null;
+    this._browserOptions.robots = this.robots;
+
+    // A pool of proxies to rotate through, relayed by a local forwarding proxy.
+    this.proxyPool =
+      options.proxyPool && options.proxyPool.proxies
+        ? new proxypools.ProxyPool(options.proxyPool.proxies, options.proxyPool)
+        : null;
+    this._forwardingProxy = null;
+    this._browserOptions.proxyPool = this.proxyPool;
+
+    // Statistics for the whole run, summarized when it ends.
+    this.stats = new stats.StatsCollector();
+    this.stats.listen(this);
+    this._statsPath = options.stats || null;
+
+    // Failure artifacts, if we're asked to keep them.
+    this.artifacts = options.artifacts
+      ? new artifacts.ArtifactStore(options.artifacts)
+      : null;
+    this._browserOptions.artifacts = this.artifacts;
+
+    const checkpointPath = options.resume || options.checkpoint || null;
+    this._resume = Boolean(options.resume);
+    this.checkpoint = checkpointPath
+      ? new checkpoints.CheckpointStore(checkpointPath)
+      : null;
   }
 
   /**
@@ -69,47 +237,296 @@ class Runner {
    * @param {jscrape.Scraper or Array[jscrape.Scraper]} scrapers The scrapers to run.
    */
   async run(scrapers) {
+    // pick up where a previous run left off, if requested
+    if (this.checkpoint) {
+      if (this._resume) {
+        this.checkpoint.load();
+        console.error(`jscrape: Resuming from ${this.checkpoint.path}`);
+      }
+      this._browserOptions.checkpoint = this.checkpoint;
+    }
+
     // build ad blocklist, if requested
+    await this.prepareAdClient();
+
+    // start relaying through our proxy pool, if we have one
+    await this.prepareProxyPool();
+
+    // run the scrapers, unless and until we're asked to shut down
+    const scraperList = utils.listify(scrapers);
+    const opened = [];
+    let completed = false;
+    let closeError = null;
+    this.emitEvent("runStart", {
+      scrapers: scraperList.map(scraper => scraper.name)
+    });
+    try {
+      // open processors; only those that open are closed
+      for (const processor of this.allProcessors()) {
+        await processor.open();
+        opened.push(processor);
+      }
+
+      for (const scraper of scraperList) {
+        if (this.shutdownReason) {
+          break;
+        }
+        this._currentScraper = scraper;
+        this.currentScraperName = scraper.name;
+        this.emitEvent("scraperStart");
+        await this.runScraper(scraper, scraper.browserOptions());
+        this.emitEvent("scraperEnd");
+      }
+      completed = true;
+    } finally {
+      this._currentScraper = null;
+      this.currentScraperName = null;
+      clearTimeout(this._abandonTimer);
+
+      // close processors, the default last. One failing to close doesn't
+      // keep the rest, or anything below, from finishing up.
+      for (const processor of opened.reverse()) {
+        try {
+          await processor.close();
+        } catch (error) {
+          console.error(
+            `jscrape: Failed to close ${processor.constructor.name}: ${error}`
+          );
+          closeError = closeError || error;
+        }
+      }
+
+      await this.stopProxyPool();
+      await this.saveArchive();
+
+      // record our final progress
+      if (this.checkpoint) {
+        this.checkpoint.save();
+      }
+
+      // summarize the run
+      this.reportStats();
+      this.emitEvent("runEnd", { stats: this.stats.summary() });
+    }
+
+    // Unless something else went wrong first, a processor that couldn't
+    // finish its output is an error.
+    if (completed && closeError) {
+      throw closeError;
+    }
+  }
+
+  /**
+   * @description Wind the run down early.
+   *
+   * We stop pulling new targets at once, and give pages in progress the grace
+   * period to finish before abandoning them. Either way, run() then closes
+   * the browser and processors, saves the checkpoint and reports statistics
+   * as usual, and resolves. Calling shutdown() again does nothing.
+   *
+   * @param {string} reason Why: "SIGINT", "SIGTERM", "hardTimeout" or anything else. Sets exitCode.
+   * @param {number} grace Milliseconds to wait for pages in progress. (Default: options.shutdownGrace)
+   */
+  shutdown(reason, grace = this._shutdownGrace) {
+    if (this.shutdownReason) {
+      return;
+    }
+    this.shutdownReason = reason;
+    console.error(
+      `jscrape: Shutting down (${reason}); waiting up to ${grace}ms for pages in progress...`
+    );
+    this.emitEvent("shutdown", { reason: reason });
+
+    if (this._currentScraper) {
+      this._currentScraper.stop();
+    }
+    this._abandonTimer = setTimeout(() => this.abandon(), grace);
+  }
+
+  /**
+   * @description Give up on pages in progress. Called once the shutdown grace period is over.
+   */
+  abandon() {
+    this._abandoned = true;
+    if (this._onAbandon) {
+      this._onAbandon();
+    }
+  }
+
+  /**
+   * @description The process exit code appropriate to how the run ended.
+   */
+  get exitCode() {
+    if (!this.shutdownReason) {
+      return 0;
+    }
+    return this.constructor.EXIT_CODES[this.shutdownReason] || 1;
+  }
+
+  /**
+   * @description Emit an event, adding the current scraper's name to its context.
+   */
+  emitEvent(event, context = {}) {
+    this.emit(
+      event,
+      utils.merge({ scraper: this.currentScraperName }, context)
+    );
+  }
+
+  /**
+   * @description Print a summary of the run, and write it out as JSON if asked.
+   */
+  reportStats() {
+    this.stats.finished();
+    if (this.proxyPool) {
+      this.stats.recordProxies(this.proxyPool.summary());
+    }
+    console.error(this.stats.format());
+    if (this._statsPath) {
+      this.stats.write(this._statsPath);
+      console.error(`jscrape: Wrote statistics to ${this._statsPath}`);
+    }
+  }
+
+  /**
+   * @description Build the ad blocklist for our browsers, if we're blocking ads.
+   */
+  async prepareAdClient() {
     if (!this._ads) {
       this._adclient = await this.buildAdClient();
       this._browserOptions.adclient = this._adclient;
     }
+  }
+
+  /**
+   * @description Start the local proxy that relays our browsers' requests through the proxy pool.
+   */
+  async prepareProxyPool() {
+    if (this.proxyPool) {
+      this._forwardingProxy = new proxypools.ForwardingProxy(this.proxyPool);
+      await this._forwardingProxy.start();
+      console.error(
+        `jscrape: Relaying through ${this.proxyPool.proxies.length} proxies (${
+          this.proxyPool.strategy
+        }) via ${this._forwardingProxy.url}`
+      );
+    }
+  }
 
-    // open processors
-    await this.defaultProcessor.open();
-    for (const processorName in this.processors) {
-      await this.processors[processorName].open();
+  /**
+   * @description Stop relaying through the proxy pool.
+   */
+  async stopProxyPool() {
+    if (this._forwardingProxy) {
+      await this._forwardingProxy.stop();
+      this._forwardingProxy = null;
     }
+  }
 
-    // run the scrapers
-    const scraperList = utils.listify(scrapers);
-    for (const scraper of scraperList) {
-      await this.runScraper(scraper, scraper.browserOptions());
+  /**
+   * @description Return the processor for records that have no processor of their own.
+   *
+   * When resuming, the output file is added to rather than replaced, so the
+   * records of the run we're resuming aren't lost.
+   */
+  outputProcessor(output, resuming = false) {
+    if (!output) {
+      return new processors.ConsoleProcessor();
+    }
+    const outputOptions = typeof output == "string" ? { path: output } : output;
+    return new processors.JSONLinesProcessor(
+      outputOptions.path,
+      utils.merge({ append: resuming }, outputOptions)
+    );
+  }
+
+  /**
+   * @description Route records to a processor.
+   * @param {Processor} processor The processor.
+   * @param {string or Object} route Which records to send it, as for processors.routeMatcher():
+   *    { recordType, scraper, when }. (Default: every record)
+   * @return {Processor} The processor.
+   */
+  addProcessor(processor, route = {}) {
+    this.router.route(processor, route);
+    return processor;
+  }
+
+  /**
+   * @description Add the processors a configuration describes, as for the processors option.
+   */
+  configureProcessors(config) {
+    if (!config) {
+      return;
+    }
+    const entries =
+      typeof config == "string"
+        ? processors.readProcessorConfig(config)
+        : utils.listify(config);
+    for (const entry of entries) {
+      const processor = processors.processorFromConfig(entry);
+      if (entry.fallback) {
+        this.defaultProcessor = processor;
+      } else {
+        this.addProcessor(processor, entry);
+      }
+    }
+  }
+
+  /**
+   * @description Return every processor we might route to, each once, the default first.
+   */
+  allProcessors() {
+    const all = [this.defaultProcessor];
+    for (const processor of Object.values(this.processors).concat(
+      this.router.processors
+    )) {
+      if (!all.includes(processor)) {
+        all.push(processor);
+      }
+    }
+    return all;
+  }
+
+  /**
+   * @description Return the NetworkArchive to record into or replay from, or null.
+   */
+  openArchive(options) {
+    if (options.replay) {
+      const archive = archives.NetworkArchive.load(options.replay);
+      console.error(
+        `jscrape: Replaying ${archive.entries.length} responses from ${
+          options.replay
+        }`
+      );
+      return archive;
     }
+    return options.record ? new archives.NetworkArchive(options.record) : null;
+  }
 
-    // close processors
-    for (const processorName in this.processors) {
-      await this.processors[processorName].close();
+  /**
+   * @description Write out the traffic we recorded, if we're recording.
+   */
+  async saveArchive() {
+    if (this.archive && this.archive.recording && this.archive.path) {
+      await this.archive.settle();
+      this.archive.save();
+      console.error(
+        `jscrape: Recorded ${this.archive.entries.length} responses to ${
+          this.archive.path
+        }`
+      );
     }
-    await this.defaultProcessor.close();
   }
 
   /**
-   * @description Load uBlock origin block lists into a bloom filter.
+   * @description Load uBlock origin block lists (and any of our own rules) into a bloom filter.
+   *
+   * Blocklists are cached on disk; see adblock.js.
    */
   async buildAdClient() {
     console.error("jscrape: Loading blocklists...");
-    const client = new AdBlockClient();
-    const blocklistList = path.join(__dirname, "./blocklists.json");
-    const blocklists = JSON.parse(fs.readFileSync(blocklistList));
-    for (const blocklist of blocklists) {
-      console.error(`jscrape: Downloading ${blocklist.title}...`);
-      const list = await rp(blocklist.url);
-      console.error(`jscrape: Processing ${blocklist.title}...`);
-      client.parse(list);
-    }
-    console.error("jscrape: All blocklists processed.");
-    return client;
+    return await new adblock.AdBlockBuilder(this._adblockOptions).build();
   }
 
   /**
@@ -122,9 +539,13 @@ class Runner {
       chromeArgs.push("--no-sandbox", "--disable-setuid-sandbox");
     }
 
-    const useProxy = Boolean(this._proxy && this._proxy.url);
+    // A proxy pool is reached through our local forwarding proxy.
+    const proxyUrl = this._forwardingProxy
+      ? this._forwardingProxy.url
+      : this._proxy && this._proxy.url;
+    const useProxy = Boolean(proxyUrl);
     if (useProxy) {
-      chromeArgs.push(`--proxy-server=${this._proxy.url}`);
+      chromeArgs.push(`--proxy-server=${proxyUrl}`);
     }
 
     const launchArgs = {
@@ -144,50 +565,145 @@ class Runner {
       this._browserOptions,
       browserOptions
     );
+
+    // Scrapers override individual retry settings, not the whole policy.
+    finalBrowserOptions.retry = utils.merge(
+      this._browserOptions.retry,
+      browserOptions && browserOptions.retry
+    );
+
+    // Likewise for request blocking.
+    finalBrowserOptions.blocking = utils.merge(
+      this._browserOptions.blocking,
+      browserOptions && browserOptions.blocking
+    );
+
+    finalBrowserOptions.rateLimiter = this.rateLimiterFor(browserOptions);
+
+    // Fetch mode needs to reach our proxy pool, too.
+    if (this._forwardingProxy) {
+      finalBrowserOptions.fetchProxy = { url: this._forwardingProxy.url };
+    }
+
+    // Page loads that fail for good are reported to us.
+    finalBrowserOptions.errorHandler = (error, url) =>
+      this.handleError(error, url);
+
+    // As are URLs we decline to load.
+    finalBrowserOptions.skipHandler = (url, reason) =>
+      this.handleSkip(url, reason);
+
+    // And everything else worth announcing.
+    finalBrowserOptions.eventHandler = (event, context) =>
+      this.emitEvent(event, context);
+
     return proxies.browserProxy(browser, finalBrowserOptions);
   }
 
   /**
-   * @description Get a processor (or the default) for a given record type.
+   * @description Get a processor (or the default) for a given record.
    */
   getProcessorFor(record) {
-    return this.processors[record.constructor.name] || this.defaultProcessor;
+    return this.getProcessorForType(record.constructor.name);
+  }
+
+  /**
+   * @description Get every processor a record is routed to (or just the default).
+   * @param {Record} record The record.
+   * @param {string} recordType The type to route it by. (Default: the record's class name)
+   * @param {string} scraper The name of the scraper that emitted it. (Default: the current scraper)
+   */
+  getProcessorsFor(
+    record,
+    recordType = record.constructor.name,
+    scraper = this.currentScraperName
+  ) {
+    const routed = this.router.processorsFor(record, recordType, scraper);
+    const typed = this.processors[recordType];
+    if (typed && !routed.includes(typed)) {
+      routed.unshift(typed);
+    }
+    return routed.length > 0 ? routed : [this.defaultProcessor];
+  }
+
+  /**
+   * @description Get a processor (or the default) for a record type name.
+   */
+  getProcessorForType(recordType) {
+    return this.processors[recordType] || this.defaultProcessor;
   }
 
   /**
    * @description Wrapper around scraper.scrape() that catches all exceptions.
+   *
+   * If the scraper goes hardTimeout without producing a result, or we're
+   * shutting down and the grace period runs out, we stop waiting on it.
    */
-  async *getScraperItems(browser, scraper) {
-    const makeHardTimeout = () => {
-      return setTimeout(() => {
-        // This error will throw outward and tear down the containing
-        // node process.
-        throw new errors.BaseError(
-          `Runner.getScraperItems: hardTimeout of ${
-            this._hardTimeout
-          } was hit. Hard bailing on scraper.`
-        );
-      }, this._hardTimeout);
+  async *getScraperItems(browser, scraper, scrapeOptions = {}) {
+    let timeout = null;
+    const resetHardTimeout = () => {
+      clearTimeout(timeout);
+      if (this._hardTimeout) {
+        timeout = setTimeout(() => {
+          console.error(
+            `jscrape: Runner.getScraperItems: hardTimeout of ${
+              this._hardTimeout
+            } was hit.`
+          );
+          this.shutdown("hardTimeout", 0);
+        }, this._hardTimeout);
+      }
     };
 
-    try {
-      let timeout = this._hardTimeout ? makeHardTimeout() : null;
+    // Wait for the scraper's next item, unless we're abandoned first. (A
+    // fresh promise each time, rather than a race against one that may never
+    // settle, so that nothing piles up over a long run.)
+    const nextOrAbandoned = next =>
+      new Promise((resolve, reject) => {
+        this._onAbandon = () => resolve(ABANDONED);
+        if (this._abandoned) {
+          resolve(ABANDONED);
+        }
+        next.then(resolve, reject);
+      });
 
-      for await (const item of scraper.scrape(browser)) {
-        if (this._hardTimeout) {
-          clearTimeout(timeout);
+    const items = scraper.scrape(browser, scrapeOptions);
+    let exhausted = false;
+    try {
+      resetHardTimeout();
+      while (true) {
+        const next = items.next();
+        const result = await nextOrAbandoned(next);
+        this._onAbandon = null;
+        if (result === ABANDONED) {
+          // Pages in progress will fail once the browser closes; we no
+          // longer care how.
+          next.catch(() => {});
+          console.error("jscrape: Abandoning pages in progress.");
+          break;
         }
-        yield item;
-        if (this._hardTimeout) {
-          timeout = makeHardTimeout();
+        if (result.done) {
+          exhausted = true;
+          break;
         }
-      }
 
-      if (this._hardTimeout) {
         clearTimeout(timeout);
+        yield result.value;
+        resetHardTimeout();
       }
     } catch (error) {
+      exhausted = true;
       this.handleUnwrappedError(error);
+    } finally {
+      this._onAbandon = null;
+      clearTimeout(timeout);
+
+      // If we stopped early, let the scraper wind down (and close its pages)
+      // once whatever it's waiting on settles. We don't wait for that: after
+      // an abandon, it may only settle once the browser closes.
+      if (!exhausted) {
+        items.return().catch(() => {});
+      }
     }
   }
 
@@ -195,41 +711,193 @@ class Runner {
    * @description Run a scraper, pipelining scraped data to our processor.
    */
   async runScraper(scraper, browserOptions = {}) {
-    const browser = await this.launchBrowser(browserOptions);
-
-    for await (const item of this.getScraperItems(browser, scraper)) {
-      // Scrapers can yield any type they like, typically bare
-      // objects like { name: 'value' }. If we see bare values,
-      // we wrap them in the base Record class.
-      //
-      // More advanced scrapers can yield their own Record types,
-      // which can have advanced cleaning/post-processing methods on them.
-      let record = item;
-
-      // Wrap bare values.
-      if (!(item instanceof records.Record)) {
-        record = Object.assign(new records.Record(), item);
-      }
+    const browserManager = this.browserManager(browserOptions);
+    const browser = await browserManager.current();
+
+    // Scrapers may override concurrency settings via browserOptions().
+    const scraperOptions = browserOptions || {};
+    const scrapeOptions = {
+      concurrency: scraperOptions.concurrency || this._concurrency,
+      ordered: utils.boolify(scraperOptions.ordered, this._ordered),
+      checkpoint: this.checkpoint,
+      browsers: browserManager
+    };
 
-      // Validate the record.
-      try {
-        record.validate();
-      } catch (error) {
-        this.handleUnwrappedError(error);
+    try {
+      for await (const item of this.getScraperItems(
+        browser,
+        scraper,
+        scrapeOptions
+      )) {
+        const record = this.prepareRecord(item);
+        if (!record) {
+          continue;
+        }
+        for (const transformed of await this.transformRecord(record)) {
+          await this.processRecord(transformed.record, transformed.recordType);
+        }
       }
+    } finally {
+      await browserManager.close();
+    }
+
+    return true;
+  }
+
+  /**
+   * @description Return the rate limiter for a scraper's browsers.
+   *
+   * Scrapers whose browserOptions() set throttle or rateLimit get a limiter
+   * of their own, shared by every browser launched with those options. The
+   * rest share ours.
+   */
+  rateLimiterFor(browserOptions) {
+    if (
+      !browserOptions ||
+      (browserOptions.throttle == null && !browserOptions.rateLimit)
+    ) {
+      return this.rateLimiter;
+    }
+    if (!this._scraperRateLimiters.has(browserOptions)) {
+      // A scraper's throttle means one page load per interval, as for
+      // BrowserHandler.throttle(); its rateLimit overrides ours piecemeal.
+      const defaults = utils.merge(
+        { interval: this._browserOptions.throttle },
+        this._browserOptions.rateLimit
+      );
+      const overrides = browserOptions.rateLimit || {
+        requests: 1,
+        interval: browserOptions.throttle
+      };
+      this._scraperRateLimiters.set(
+        browserOptions,
+        new ratelimits.RateLimiter(utils.merge(defaults, overrides))
+      );
+    }
+    return this._scraperRateLimiters.get(browserOptions);
+  }
+
+  /**
+   * @description Create a BrowserManager that launches browsers for a scraper, and announces what it does.
+   */
+  browserManager(browserOptions = {}) {
+    const recycle = utils.merge(
+      this._browserOptions.recycle,
+      browserOptions && browserOptions.recycle
+    );
+    const manager = new browsers.BrowserManager(
+      () => this.launchBrowser(browserOptions),
+      recycle
+    );
+    manager.on("launch", () => this.emitEvent("browserLaunched"));
+    manager.on("retire", (browser, reason) => {
+      console.error(`jscrape: Retiring browser ${reason}.`);
+      this.emitEvent("browserRetired", { reason: reason });
+    });
+    manager.on("crash", () => this.emitEvent("browserCrashed"));
+    return manager;
+  }
+
+  /**
+   * @description Wrap an item yielded by a scraper in a Record, if needed, and validate it.
+   * @return {Record} The record, or null if it failed validation (and handleError didn't throw).
+   */
+  prepareRecord(item) {
+    // Scrapers can yield any type they like, typically bare
+    // objects like { name: 'value' }. If we see bare values,
+    // we wrap them in the base Record class.
+    //
+    // More advanced scrapers can yield their own Record types,
+    // which can have advanced cleaning/post-processing methods on them.
+    let record = item;
+    this.emitEvent("recordEmitted", { item: item });
+
+    // Wrap bare values.
+    if (!(item instanceof records.Record)) {
+      record = Object.assign(new records.Record(), item);
+    }
+
+    // Validate the record.
+    try {
+      record.validate();
+    } catch (error) {
+      this.emitEvent("recordRejected", { record: record, error: error });
+      this.handleUnwrappedError(error);
+      return null;
+    }
+    this.emitEvent("recordValidated", { record: record });
+
+    return record;
+  }
+
+  /**
+   * @description Pass a prepared record through our transforms.
+   * @param {Record} record The record.
+   * @param {string} recordType The record's type. (Default: its class name)
+   * @return {Array<Object>} The records to process, as { record, recordType }s: none if it was dropped.
+   */
+  async transformRecord(record, recordType = record.constructor.name) {
+    let transformed = null;
+    try {
+      transformed = await this.transforms.run(record, {
+        recordType: recordType,
+        scraper: this.currentScraperName,
+        runner: this
+      });
+    } catch (error) {
+      this.handleUnwrappedError(error);
+      return [];
+    }
+    if (transformed.length == 0) {
+      this.emitEvent("recordDropped", {
+        record: record,
+        recordType: recordType
+      });
+    }
+    return transformed;
+  }
 
-      // Process the record.
-      const processor = this.getProcessorFor(record);
+  /**
+   * @description Hand a prepared record to each processor it's routed to.
+   *
+   * Every processor gets the record, even if another fails on it. Then
+   * any failures go to handleError(), which, by default, raises them: a
+   * processor error ends the run.
+   *
+   * @param {Record} record The record.
+   * @param {string} recordType The type used to choose processors. (Default: the record's class name)
+   */
+  async processRecord(record, recordType = record.constructor.name) {
+    const scraper = this.currentScraperName;
+    const failures = [];
+    for (const processor of this.getProcessorsFor(
+      record,
+      recordType,
+      scraper
+    )) {
       try {
-        await processor.process(record);
+        await processor.process(record, recordType, scraper);
+        this.emitEvent("recordProcessed", {
+          record: record,
+          recordType: recordType,
+          processor: processor
+        });
       } catch (error) {
-        this.handleUnwrappedError(error);
+        failures.push(error);
       }
     }
+    for (const error of failures) {
+      this.handleUnwrappedError(error);
+    }
+  }
 
-    await browser.close();
-
-    return true;
+  /**
+   * @description Note a URL that we declined to load, such as one disallowed by robots.txt.
+   *
+   * Skips are not errors. By default, we just log them.
+   */
+  handleSkip(url, reason) {
+    console.error(`jscrape: skipped ${url}: ${reason}`);
   }
 
   /**
@@ -245,11 +913,27 @@ class Runner {
   /**
    * @description Process a ScrapeError instance.
    *
-   * By default, just raises it outward; derived runners can do as they please.
+   * By default, page load failures are logged and the scrape moves on, while
+   * everything else is raised outward; derived runners can do as they please,
+   * though they should call up to us so that the error is announced.
    */
   handleError(error, url = null) {
+    this.emitEvent("errorHandled", { error: error, url: url });
+    if (error instanceof proxies.PageLoadError) {
+      console.error(`jscrape: ${error.message}`);
+      return;
+    }
     throw error;
   }
 }
 
+/**
+ * @description Process exit codes for each reason to shut down.
+ */
+Runner.EXIT_CODES = {
+  SIGINT: 130,
+  SIGTERM: 143,
+  hardTimeout: 124
+};
+
 exports.Runner = Runner;
@@ -15,7 +15,10 @@
 const Page = require("puppeteer/lib/Page");
 const { Browser } = require("puppeteer/lib/Browser");
 
+const artifacts = require("./artifacts");
 const errors = require("./errors");
+const frontiers = require("./frontiers");
+const pages = require("./pages");
 const utils = require("./utils");
 
 /**
@@ -34,6 +37,13 @@ class Scraper {
     this.runner = runner;
     this.targets = targets ? utils.listify(targets) : null;
     this.name = this.constructor.scraperName || this.constructor.name;
+    this.frontier = new frontiers.Frontier({
+      maxDepth: this.constructor.maxDepth
+    });
+    this._outstandingTargets = 0;
+    this._frontierWaiters = [];
+    this._stopping = false;
+    this.browsers = null;
   }
 
   /**
@@ -51,6 +61,123 @@ class Scraper {
     }
   }
 
+  /**
+   * @description Queue a newly discovered target to be scraped after this one.
+   *
+   * Targets are de-duplicated by canonical URL, so it's fine to enqueue
+   * every link you find. With a checkpoint, queued targets are remembered
+   * until they finish, so a resumed run doesn't lose them, and URLs an
+   * earlier run visited aren't queued again.
+   *
+   * @param {string or Object} target A URL, or an Object with a 'url' property.
+   * @param {Object} options
+   * @param {Object} options.from The target on which this one was discovered; sets the depth.
+   * @param {number} options.depth If provided, the depth of the new target. (Default: from.depth + 1)
+   * @param {number} options.priority Higher priority targets are scraped first. (Default: 0)
+   * @return {boolean} True if the target was queued.
+   */
+  enqueue(target, options = {}) {
+    let depth = options.depth;
+    if (depth == null) {
+      const from = options.from;
+      depth = from && typeof from == "object" ? (from.depth || 0) + 1 : 1;
+    }
+    // The frontier would add depth and priority itself; we add them first,
+    // so that the target we remember is the one that'll be popped.
+    const priority = options.priority || 0;
+    const fields = typeof target == "string" ? { url: target } : target;
+    const queuedTarget = utils.merge(fields, {
+      depth: depth,
+      priority: priority
+    });
+    // A URL an earlier run visited isn't worth visiting again. (If its
+    // target never finished, the checkpoint still has it pending.)
+    const url = this.urlFromTarget(queuedTarget);
+    if (this.checkpoint && this.checkpoint.hasVisited(url)) {
+      return false;
+    }
+    const queued = this.frontier.push(queuedTarget, {
+      depth: depth,
+      priority: priority
+    });
+    if (queued) {
+      if (this.checkpoint) {
+        this.checkpoint.markPending(this.name, queuedTarget);
+      }
+      this._wakeFrontier();
+    }
+    return queued;
+  }
+
+  /**
+   * @description Generate our targets, followed by anything enqueued along the way.
+   *
+   * Before pulling each new target from getTargets(), we drain whatever has
+   * been enqueued so far. Once getTargets() is exhausted, we keep waiting on
+   * the frontier until every outstanding target has finished.
+   *
+   * Targets a checkpoint says were enqueued by an earlier run, but never
+   * finished, come first. Targets we've already seen are skipped.
+   *
+   * After stop(), we generate nothing more.
+   */
+  async *crawlTargets() {
+    const next = async function*() {
+      while (!this._stopping && this.frontier.size > 0) {
+        this._outstandingTargets += 1;
+        yield this.frontier.pop();
+      }
+    }.bind(this);
+
+    if (this.checkpoint) {
+      for (const target of this.checkpoint.pending(this.name)) {
+        this.frontier.push(target, {
+          depth: target.depth,
+          priority: target.priority
+        });
+      }
+    }
+
+    for await (const target of this.getTargets()) {
+      // Remember initial targets, so we don't visit them again if linked,
+      // or listed twice.
+      const fresh = this.frontier.markSeen(this.urlFromTarget(target));
+      yield* next();
+      if (this._stopping) {
+        return;
+      }
+      if (!fresh) {
+        continue;
+      }
+      this._outstandingTargets += 1;
+      yield target;
+    }
+
+    while (true) {
+      yield* next();
+      if (this._stopping || this._outstandingTargets == 0) {
+        break;
+      }
+      await new Promise(resolve => this._frontierWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * @description Stop generating targets; those already started are left to finish.
+   */
+  stop() {
+    this._stopping = true;
+    this._wakeFrontier();
+  }
+
+  _wakeFrontier() {
+    const waiters = this._frontierWaiters;
+    this._frontierWaiters = [];
+    for (const waiter of waiters) {
+      waiter();
+    }
+  }
+
   /**
    * @description Provide browser options that override the runner's default.
    */
@@ -58,6 +185,23 @@ class Scraper {
     return null;
   }
 
+  /**
+   * @description Return true to fetch a target over plain HTTP rather than open it in the browser.
+   *
+   * Server-rendered pages don't need Chromium. In fetch mode, process() gets
+   * a StaticPage (see pages.js), which has the same $, $$, text, cleanText,
+   * attr, prop and href helpers as a browser page, but can't run scripts,
+   * click or scroll.
+   *
+   * @example
+   * fetchMode(target) {
+   *   return !target.url.includes("/app/");
+   * }
+   */
+  fetchMode(target) {
+    return false;
+  }
+
   /**
    * @description Enter a error-recoverable context.
    *
@@ -75,12 +219,17 @@ class Scraper {
    * async *doScaryStuff(argument1) {
    *   throw new Error('Mwahaha. I blew up. Let recoverable(...) handle me.');
    * }
+   *
+   * The delegating yield* evaluates to true if f completed, false if it
+   * failed and we recovered.
    */
   async *recoverable(f, ...args) {
     try {
       yield* f.bind(this)(...args);
+      return true;
     } catch (error) {
-      // Special case: we do *not* allow ourselves to recover from session closed errors.
+      // Special case: we do *not* allow ourselves to recover from session
+      // closed errors. The browser is gone; scrapeTarget deals with that.
       if (`${error}`.includes("Session closed.")) {
         console.error(
           "jscrape: Scraper.recoverable saw nonrecoverable SESSION CLOSED."
@@ -88,32 +237,62 @@ class Scraper {
         throw error;
       }
 
+      let page = null;
       let url = null;
       try {
-        url = await this._sniffCurrentUrl(...args);
+        page = await this._sniffCurrentPage(...args);
+        url = page ? page.url() : null;
       } catch (innerError) {
         url = null;
       }
+
+      // Capture what we can of the page, if the runner wants artifacts.
+      const store = this.runner ? this.runner.artifacts : null;
+      let paths = null;
+      if (store && page) {
+        try {
+          paths = await store.capture(page, error, {
+            scraper: this.name,
+            url: url
+          });
+        } catch (captureError) {
+          console.error(
+            `jscrape: Scraper.recoverable failed to save artifacts: ${captureError}`
+          );
+        }
+        if (paths && error instanceof Object) {
+          error.artifacts = paths;
+        }
+      }
+
+      this.notify("errorRecovered", {
+        error: error,
+        url: url,
+        artifacts: paths
+      });
       if (url) {
-        console.error(`jscrape: Scraper.recoverable on ${url}: ${error}`);
+        const saved = paths ? ` (${artifacts.describeArtifacts(paths)})` : "";
+        console.error(
+          `jscrape: Scraper.recoverable on ${url}: ${error}${saved}`
+        );
       }
+      return false;
     }
   }
 
   /**
-   * @description A HACK to determine the current URL from arbitrary arguments
+   * @description A HACK to determine the current page from arbitrary arguments
    */
-  async _sniffCurrentUrl(...args) {
+  async _sniffCurrentPage(...args) {
     // TODO refactor so nonsense like this is not needed
 
     // extra clever HACKNOLOGY:
-    // *attempt* to determine the url we're on when failing...
-    let url = null;
+    // *attempt* to determine the page we're on when failing...
     let page = null;
     let browser = null;
 
     for (const arg of args) {
-      if (arg instanceof Page) {
+      if (arg instanceof Page || arg instanceof pages.StaticPage) {
         page = arg;
         break;
       } else if (arg instanceof Browser) {
@@ -122,11 +301,22 @@ class Scraper {
     }
 
     page = page || (await browser.currentPage());
-    if (page) {
-      url = page.url();
-    }
 
-    return url;
+    return page || null;
+  }
+
+  /**
+   * @description Announce an event through our runner, if we have one.
+   *
+   * See runners.js for the events a Runner emits.
+   */
+  notify(event, context = {}) {
+    if (this.runner) {
+      this.runner.emitEvent(
+        event,
+        utils.merge({ scraper: this.name }, context)
+      );
+    }
   }
 
   /**
@@ -147,25 +337,185 @@ class Scraper {
   /**
    * @description Run the scrape, using the provided puppeteer browser.
    * @param {puppeteer.Browser} browser A puppeteer Browser instance
+   * @param {Object} options
+   * @param {number} options.concurrency The number of targets to process at once, each in its own tab. (Default: 1)
+   * @param {boolean} options.ordered If true, emit records in target order even when concurrent. (Default: false)
+   * @param {CheckpointStore} options.checkpoint If provided, skip targets it has finished and record progress in it.
+   * @param {BrowserManager} options.browsers If provided, check out a browser from it for each target, so that
+   *    browsers can be recycled, and a crashed browser only costs us the targets it was working on.
    *
    * It's unlikely that derived classes will wish to override this.
    */
-  async *scrape(browser) {
+  async *scrape(browser, options = {}) {
     this.browser = browser;
-    for await (const target of this.getTargets()) {
-      const url = this.urlFromTarget(target);
-      const page = await browser.tryOpenPage(url);
-      if (page) {
-        yield* this.recoverable(this.process, page, target);
-        await page.close();
+    this.checkpoint = options.checkpoint || null;
+    if (options.browsers) {
+      this.useBrowsers(options.browsers);
+    }
+
+    const scrapeTracked = async function*(target) {
+      try {
+        yield* this.scrapeTarget(browser, target);
+      } finally {
+        this._outstandingTargets -= 1;
+        this._wakeFrontier();
+      }
+    }.bind(this);
+
+    yield* utils.concurrentFlatMap(this.crawlTargets(), scrapeTracked, {
+      concurrency: options.concurrency,
+      ordered: options.ordered
+    });
+  }
+
+  /**
+   * @description Check out a browser from a BrowserManager for each target, rather than using a fixed one.
+   */
+  useBrowsers(browserManager) {
+    this.browsers = browserManager;
+    browserManager.on("launch", browser => (this.browser = browser));
+  }
+
+  /**
+   * @description Open a single target in a new page and process it.
+   *
+   * The delegating yield* evaluates to false if the target failed, or to the
+   * reason it was skipped if robots.txt disallows it. Skipped targets aren't
+   * failures, so a resumed run doesn't retry them.
+   */
+  async *scrapeTarget(browser, target) {
+    if (this.checkpoint && this.checkpoint.isFinished(this.name, target)) {
+      return true;
+    }
+
+    const url = this.urlFromTarget(target);
+    const started = Date.now();
+    this.notify("targetStart", { target: target, url: url });
+
+    // With a BrowserManager, each target uses whichever browser is current.
+    // Targets in fetch mode don't use the browser, so don't count against it.
+    const fetching = Boolean(this.fetchMode(target));
+    const browsers = fetching ? null : this.browsers;
+    if (browsers) {
+      browser = await browsers.acquire();
+    }
+
+    let failure = null;
+    let skipped = null;
+    try {
+      if (browser.allowsUrl && !(await browser.allowsUrl(url))) {
+        skipped = "disallowed by robots.txt";
+      } else {
+        failure = yield* this._scrapePage(browser, target, url, fetching);
+      }
+    } catch (error) {
+      this._saveArtifacts(error, url);
+
+      // A crashed browser takes its targets down with it, but with a
+      // BrowserManager, the next target gets a fresh browser.
+      const crashed =
+        browsers &&
+        (browsers.hasCrashed(browser) || browsers.constructor.isCrash(error));
+      if (!crashed) {
+        throw error;
+      }
+      browsers.crashed(browser);
+      failure = `browser crashed on ${url}: ${error.message || error}`;
+      console.error(`jscrape: Scraper.scrapeTarget: ${failure}`);
+    } finally {
+      if (browsers) {
+        await browsers.release(browser);
       }
     }
+
+    if (this.checkpoint) {
+      if (failure) {
+        this.checkpoint.markFailed(this.name, target, failure);
+      } else if (skipped) {
+        this.checkpoint.markSkipped(this.name, target, skipped);
+      } else {
+        this.checkpoint.markFinished(this.name, target);
+      }
+    }
+    this.notify("targetEnd", {
+      target: target,
+      url: url,
+      succeeded: !failure,
+      skipped: skipped,
+      milliseconds: Date.now() - started
+    });
+
+    return failure ? false : skipped || true;
+  }
+
+  /**
+   * @description Open and process the page for a target.
+   *
+   * The delegating yield* evaluates to null on success, or to the reason the target failed.
+   */
+  async *_scrapePage(browser, target, url, fetching = false) {
+    const page = fetching
+      ? await browser.tryFetchPage(url)
+      : await browser.tryOpenPage(url);
+    if (!page) {
+      return `failed to load ${url}`;
+    }
+
+    let succeeded = false;
+    try {
+      succeeded = yield* this.recoverable(this.process, page, target);
+    } catch (error) {
+      // This error is fatal to the target, if not the run; grab what we can
+      // of the page while it's still open, for scrapeTarget to save.
+      const store = this.runner ? this.runner.artifacts : null;
+      if (store && error instanceof Object) {
+        error.artifactSnapshot = await store.snapshot(page);
+      }
+      throw error;
+    }
+    if (this.browsers && !fetching) {
+      await this.browsers.measure(browser, page);
+    }
+    await page.close();
+
+    return succeeded ? null : `failed to process ${url}`;
+  }
+
+  /**
+   * @description Save the artifactSnapshot an error that escaped a target carries, if any.
+   */
+  _saveArtifacts(error, url) {
+    const store = this.runner ? this.runner.artifacts : null;
+    const snapshot = error instanceof Object ? error.artifactSnapshot : null;
+    if (!snapshot) {
+      return;
+    }
+    // Screenshots are big; don't drag one along with the error.
+    delete error.artifactSnapshot;
+    if (!store) {
+      return;
+    }
+    try {
+      error.artifacts = store.write(snapshot, error, {
+        scraper: this.name,
+        url: url
+      });
+      console.error(
+        `jscrape: Scraper.scrapeTarget on ${url}: ${error} (${artifacts.describeArtifacts(
+          error.artifacts
+        )})`
+      );
+    } catch (writeError) {
+      console.error(
+        `jscrape: Scraper.scrapeTarget failed to save artifacts: ${writeError}`
+      );
+    }
   }
 
   /**
    * @description Process a puppeteer page, yielding data records along the way.
    * @param {puppeteer.Browser} browser A puppeteer Browser instance
-   * @param {puppeteer.Page} page A puppeteer Page instance
+   * @param {puppeteer.Page} page A puppeteer Page instance (or, in fetch mode, a StaticPage)
    * @param {puppeteer.Target} string or Object The raw scrape target
    *
    * Derived classes should override this. The simplest scraper implementations
@@ -195,4 +545,11 @@ class Scraper {
  */
 Scraper.targets = undefined;
 
+/**
+ * @description If provided, ignore enqueued targets deeper than this.
+ *
+ * Initial targets have depth 0; targets enqueued from them have depth 1; etc.
+ */
+Scraper.maxDepth = undefined;
+
 exports.Scraper = Scraper;
@@ -0,0 +1,182 @@
+/**
+ * @file
+ * An interactive shell for prototyping extraction against a live page.
+ *
+ * A ShellSession opens a page (in a browser, or in fetch mode as a
+ * StaticPage) and starts a Node REPL with `page`, `browser` and our helpers
+ * bound in its context, so that, say,
+ *
+ *   > await cleanText("h1")
+ *   > await href("a.next")
+ *   > await attr("img.hero", "src")
+ *
+ * work just as they would in a scraper's process(). Top-level await works in
+ * the REPL, so nothing needs wrapping in an async function. open(url) moves
+ * the session to another page.
+ *
+ * Local files may be opened by path; they're loaded as file:// URLs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const repl = require("repl");
+const url = require("url");
+
+const errors = require("./errors");
+const pages = require("./pages");
+const utils = require("./utils");
+
+class ShellError extends errors.BaseError {}
+exports.ShellError = ShellError;
+
+// Page methods that are bound as helpers, calling through to the current page.
+const PAGE_HELPERS = [
+  "$",
+  "$$",
+  "text",
+  "cleanText",
+  "content",
+  "evaluate",
+  "findFrame",
+  "frames",
+  "fullUrl",
+  "goto",
+  "goBack",
+  "goForward",
+  "clickAndNavigate",
+  "screenshot",
+  "scrollToTop",
+  "scrollToBottom",
+  "waitForSelector"
+];
+exports.PAGE_HELPERS = PAGE_HELPERS;
+
+// Element methods that are bound as helpers, applied to the first element matching a selector.
+const ELEMENT_HELPERS = ["attr", "href", "prop", "parentNode"];
+exports.ELEMENT_HELPERS = ELEMENT_HELPERS;
+
+/**
+ * @description Return the URL to open for a URL, or a path to a local file.
+ */
+const shellUrl = target => {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+    return target;
+  }
+  if (fs.existsSync(target)) {
+    return url.pathToFileURL(path.resolve(target)).href;
+  }
+  return `http://${target}`;
+};
+exports.shellUrl = shellUrl;
+
+/**
+ * @description A page, a browser and the helpers to poke at them, for a REPL.
+ */
+class ShellSession {
+  /**
+   * @description Create a session. Call open() to load a page.
+   * @param {Object} browser A proxied puppeteer Browser (see proxies.browserProxy()).
+   * @param {Object} options
+   * @param {boolean} options.fetch If true, fetch pages over HTTP as StaticPages instead of opening them in the browser. (Default: false)
+   */
+  constructor(browser, options = {}) {
+    this.browser = browser;
+    this.fetch = utils.boolify(options.fetch, false);
+    this.page = null;
+  }
+
+  /**
+   * @description Open a URL (or local file) as the session's page, closing any previous one.
+   * @return {Object} The page.
+   */
+  async open(target) {
+    const pageUrl = shellUrl(target);
+    if (this.page) {
+      await this.page.close();
+      this.page = null;
+    }
+
+    if (this.fetch && pageUrl.startsWith("file:")) {
+      // There's no HTTP to fetch a local file with; just read it.
+      const html = fs.readFileSync(url.fileURLToPath(pageUrl), "utf8");
+      this.page = new pages.StaticPage(html, { url: pageUrl });
+    } else if (this.fetch) {
+      this.page = await this.browser.tryFetchPage(pageUrl);
+    } else {
+      this.page = await this.browser.tryOpenPage(pageUrl);
+    }
+
+    if (!this.page) {
+      throw new ShellError(`Couldn't open ${pageUrl}.`);
+    }
+    return this.page;
+  }
+
+  /**
+   * @description Return the helpers to bind in the REPL, each calling through to the current page.
+   */
+  helpers() {
+    const helpers = {
+      open: target => this.open(target)
+    };
+
+    for (const name of PAGE_HELPERS) {
+      helpers[name] = (...args) => {
+        const page = this._currentPage();
+        if (!(page[name] instanceof Function)) {
+          throw new ShellError(`${name}() isn't available on this page.`);
+        }
+        return page[name](...args);
+      };
+    }
+
+    // attr("img", "src") is the src of the first <img>, and so on.
+    for (const name of ELEMENT_HELPERS) {
+      helpers[name] = async (selector, ...args) => {
+        const element = await this._currentPage().$(selector);
+        if (!element) {
+          throw new ShellError(`No element matches ${selector}.`);
+        }
+        return await element[name](...args);
+      };
+    }
+
+    return helpers;
+  }
+
+  /**
+   * @description Start a REPL bound to this session. Resolves once it exits.
+   * @param {Object} context Anything else to make available in the REPL, like { jscrape }.
+   */
+  async start(context = {}) {
+    const server = repl.start({ prompt: "jscrape> " });
+    Object.assign(server.context, context, this.helpers());
+    Object.defineProperty(server.context, "page", {
+      get: () => this.page,
+      configurable: true
+    });
+    Object.defineProperty(server.context, "browser", {
+      get: () => this.browser,
+      configurable: true
+    });
+    await new Promise(resolve => server.on("exit", resolve));
+  }
+
+  /**
+   * @description Close the page. (The browser belongs to whoever made it.)
+   */
+  async close() {
+    if (this.page) {
+      await this.page.close();
+      this.page = null;
+    }
+  }
+
+  _currentPage() {
+    if (!this.page) {
+      throw new ShellError("No page is open; open(url) one first.");
+    }
+    return this.page;
+  }
+}
+exports.ShellSession = ShellSession;
@@ -0,0 +1,285 @@
+/**
+ * @file
+ * Collects statistics about a run: page loads, records, errors, blocked
+ * requests and timings, broken down by scraper, domain, record type,
+ * processor, error class and resource type.
+ *
+ * A collector listens to a Runner's events. At the end of a run, the Runner
+ * prints a summary and can write it as JSON.
+ */
+
+const fs = require("fs");
+
+const ratelimits = require("./ratelimits");
+
+/**
+ * @description Increment a named counter in an Object.
+ */
+const increment = (counters, key, amount = 1) => {
+  counters[key] = (counters[key] || 0) + amount;
+};
+
+/**
+ * @description Accumulates run statistics.
+ */
+class StatsCollector {
+  constructor() {
+    this.startedAt = new Date();
+    this.finishedAt = null;
+    this.counts = {
+      scrapers: {},
+      domains: {},
+      recordTypes: {},
+      processors: {},
+      errors: {},
+      blocked: {},
+      blockReasons: {}
+    };
+    this.targets = [];
+    this.proxies = [];
+  }
+
+  /**
+   * @description Count the events a Runner emits.
+   */
+  listen(runner) {
+    runner.on("scraperStart", ({ scraper }) => this.scraperStarted(scraper));
+    runner.on("pageOpened", ({ scraper, url }) =>
+      this.pageLoaded(url, scraper)
+    );
+    runner.on("pageFailed", ({ scraper, url }) =>
+      this.pageFailed(url, scraper)
+    );
+    runner.on("pageSkipped", ({ scraper, url }) =>
+      this.pageSkipped(url, scraper)
+    );
+    runner.on(
+      "requestBlocked",
+      ({ scraper, resourceType, reason, estimatedBytes }) =>
+        this.requestBlocked(resourceType, reason, estimatedBytes, scraper)
+    );
+    runner.on("errorHandled", ({ error }) => this.errorSeen(error));
+    runner.on("errorRecovered", ({ scraper, error }) =>
+      this.errorRecovered(error, scraper)
+    );
+    runner.on("recordProcessed", ({ scraper, recordType, processor }) =>
+      this.recordProcessed(recordType, processor.constructor.name, scraper)
+    );
+    runner.on("targetEnd", ({ scraper, url, milliseconds, succeeded }) =>
+      this.targetFinished(scraper, url, milliseconds, succeeded)
+    );
+  }
+
+  /**
+   * @description Note that a scraper has started, so that it's listed even if it does nothing.
+   */
+  scraperStarted(scraperName) {
+    this._scraper(scraperName);
+  }
+
+  /**
+   * @description Note the end of the run.
+   */
+  finished() {
+    this.finishedAt = new Date();
+  }
+
+  /**
+   * @description Count a successful page load.
+   */
+  pageLoaded(url, scraperName = null) {
+    increment(this._scraper(scraperName), "pagesLoaded");
+    increment(this._domain(url), "loaded");
+  }
+
+  /**
+   * @description Count a page load that failed for good.
+   */
+  pageFailed(url, scraperName = null) {
+    increment(this._scraper(scraperName), "pagesFailed");
+    increment(this._domain(url), "failed");
+  }
+
+  /**
+   * @description Count a page we declined to load.
+   */
+  pageSkipped(url, scraperName = null) {
+    increment(this._scraper(scraperName), "pagesSkipped");
+    increment(this._domain(url), "skipped");
+  }
+
+  /**
+   * @description Count a blocked request, and the bytes we think it saved.
+   */
+  requestBlocked(resourceType, reason, estimatedBytes, scraperName = null) {
+    increment(this._scraper(scraperName), "requestsBlocked");
+    const blocked = this.counts.blocked[resourceType] || {};
+    increment(blocked, "requests");
+    increment(blocked, "estimatedBytes", estimatedBytes || 0);
+    this.counts.blocked[resourceType] = blocked;
+    increment(this.counts.blockReasons, reason);
+  }
+
+  /**
+   * @description Count an error, by class.
+   */
+  errorSeen(error) {
+    increment(this.counts.errors, (error && error.name) || "Error");
+  }
+
+  /**
+   * @description Count an error that a scraper recovered from.
+   */
+  errorRecovered(error, scraperName = null) {
+    increment(this._scraper(scraperName), "recovered");
+    this.errorSeen(error);
+  }
+
+  /**
+   * @description Count a record handed to a processor.
+   */
+  recordProcessed(recordType, processorName, scraperName = null) {
+    increment(this._scraper(scraperName), "records");
+    increment(this.counts.recordTypes, recordType);
+    increment(this.counts.processors, processorName);
+  }
+
+  /**
+   * @description Note how long a target took, and whether it succeeded.
+   */
+  targetFinished(scraperName, url, milliseconds, succeeded) {
+    const scraper = this._scraper(scraperName);
+    increment(scraper, succeeded ? "targets" : "targetsFailed");
+    increment(scraper, "targetMilliseconds", milliseconds);
+    this.targets.push({
+      scraper: scraperName,
+      url: url,
+      milliseconds: milliseconds,
+      succeeded: succeeded
+    });
+  }
+
+  /**
+   * @description Note per-proxy statistics, as returned by ProxyPool.summary().
+   */
+  recordProxies(proxies) {
+    this.proxies = proxies;
+  }
+
+  /**
+   * @description Return the statistics as a JSON-friendly Object.
+   */
+  summary() {
+    const finishedAt = this.finishedAt || new Date();
+    return {
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      milliseconds: finishedAt - this.startedAt,
+      scrapers: this.counts.scrapers,
+      domains: this.counts.domains,
+      recordTypes: this.counts.recordTypes,
+      processors: this.counts.processors,
+      errors: this.counts.errors,
+      blocked: this.counts.blocked,
+      blockReasons: this.counts.blockReasons,
+      proxies: this.proxies,
+      targets: this.targets
+    };
+  }
+
+  /**
+   * @description Return a human-readable summary.
+   */
+  format() {
+    const summary = this.summary();
+    const lines = [
+      `jscrape: run took ${(summary.milliseconds / 1000).toFixed(1)}s`
+    ];
+
+    const section = (title, counters, describe) => {
+      const keys = Object.keys(counters).sort();
+      if (keys.length > 0) {
+        lines.push(`  ${title}:`);
+        for (const key of keys) {
+          lines.push(`    ${key}: ${describe(counters[key])}`);
+        }
+      }
+    };
+
+    section("scrapers", summary.scrapers, scraper => {
+      const targets = (scraper.targets || 0) + (scraper.targetsFailed || 0);
+      const mean = targets
+        ? Math.round((scraper.targetMilliseconds || 0) / targets)
+        : 0;
+      return (
+        `${scraper.targets || 0} targets (${scraper.targetsFailed ||
+          0} failed, mean ${mean}ms), ` +
+        `${scraper.pagesLoaded || 0} pages (${scraper.pagesFailed ||
+          0} failed, ${scraper.pagesSkipped || 0} skipped), ` +
+        `${scraper.records || 0} records, ${scraper.recovered ||
+          0} recovered errors`
+      );
+    });
+    section(
+      "domains",
+      summary.domains,
+      domain =>
+        `${domain.loaded || 0} loaded, ${domain.failed ||
+          0} failed, ${domain.skipped || 0} skipped`
+    );
+    section("record types", summary.recordTypes, count => `${count}`);
+    section("processors", summary.processors, count => `${count}`);
+    section("errors", summary.errors, count => `${count}`);
+    section(
+      "blocked requests",
+      summary.blocked,
+      blocked =>
+        `${blocked.requests} requests, ~${Math.round(
+          blocked.estimatedBytes / 1024
+        )}KB saved`
+    );
+    section("block reasons", summary.blockReasons, count => `${count}`);
+
+    const proxies = {};
+    for (const proxy of summary.proxies) {
+      proxies[proxy.url] = proxy;
+    }
+    section(
+      "proxies",
+      proxies,
+      proxy =>
+        `${proxy.requests} requests, ${proxy.failures} failures (${
+          proxy.blocked
+        } blocked), ${proxy.ejections} ejections${
+          proxy.ejected ? ", ejected" : ""
+        }`
+    );
+
+    return lines.join("\n");
+  }
+
+  /**
+   * @description Write the summary to a file, as JSON.
+   */
+  write(path) {
+    fs.writeFileSync(path, JSON.stringify(this.summary(), null, 2));
+  }
+
+  _scraper(scraperName = null) {
+    const name = scraperName || "(none)";
+    if (!this.counts.scrapers[name]) {
+      this.counts.scrapers[name] = {};
+    }
+    return this.counts.scrapers[name];
+  }
+
+  _domain(url) {
+    const hostname = ratelimits.hostnameOf(url) || "(none)";
+    if (!this.counts.domains[hostname]) {
+      this.counts.domains[hostname] = {};
+    }
+    return this.counts.domains[hostname];
+  }
+}
+
+exports.StatsCollector = StatsCollector;
@@ -0,0 +1,132 @@
+/**
+ * @file
+ * A harness for testing scrapers against local fixtures.
+ *
+ * A ScraperTest serves a directory of fixture pages from a throwaway local
+ * server (see fixtures.js), runs a scraper against it with a real Runner,
+ * collects the records it emits in memory, and compares them to a committed
+ * golden file (see goldens.js). With update, it rewrites the golden file
+ * instead.
+ *
+ * Records still pass through the runner's transforms, since they shape what a
+ * run emits, but never reach its processors: every one is collected.
+ *
+ * Fixture pages should link to each other with relative URLs, since the
+ * server's port changes from run to run. For the same reason, the server's
+ * origin is replaced with FIXTURE_ORIGIN in every string the scraper emits,
+ * so goldens say "http://fixtures.test/products/1.html".
+ *
+ * @example
+ * const result = await new ScraperTest({
+ *   scraper: ProductScraper,
+ *   fixtures: "test/fixtures/products",
+ *   golden: "test/goldens/products.json"
+ * }).run();
+ * expect(result.differences).toEqual([]);
+ */
+
+const fixtures = require("./fixtures");
+const goldens = require("./goldens");
+const loaders = require("./loaders");
+const processors = require("./processors");
+const runners = require("./runners");
+const utils = require("./utils");
+
+// What the fixture server's origin becomes in collected records.
+const FIXTURE_ORIGIN = "http://fixtures.test";
+exports.FIXTURE_ORIGIN = FIXTURE_ORIGIN;
+
+/**
+ * @description Replace every occurrence of one origin with another, throughout a JSON value.
+ */
+const replaceOrigin = (value, from, to) => {
+  if (typeof value == "string") {
+    return value.split(from).join(to);
+  } else if (Array.isArray(value)) {
+    return value.map(item => replaceOrigin(item, from, to));
+  } else if (value && typeof value == "object") {
+    const replaced = {};
+    for (const key of Object.keys(value)) {
+      replaced[key] = replaceOrigin(value[key], from, to);
+    }
+    return replaced;
+  }
+  return value;
+};
+exports.replaceOrigin = replaceOrigin;
+
+/**
+ * @description Runs a scraper against fixtures and checks its records against a golden file.
+ */
+class ScraperTest {
+  /**
+   * @description Create a test.
+   * @param {Object} options
+   * @param {Function or string} options.scraper The Scraper class, or a module and export (foo/scraper.Scraper).
+   * @param {string} options.fixtures The directory of fixture pages to serve.
+   * @param {string} options.golden The golden JSON file of expected records.
+   * @param {string or Array<string>} options.targets Fixture paths to start scraping from. (Default: "/")
+   * @param {boolean} options.update If true, rewrite the golden file with whatever the scraper emits. (Default: false)
+   * @param {Function} options.Runner The Runner class to run with. (Default: Runner)
+   * @param {Object} options.runnerOptions Options for the Runner, such as { sandbox: false }. Its processors are ignored.
+   */
+  constructor(options = {}) {
+    this.Scraper =
+      typeof options.scraper == "string"
+        ? loaders.loadClass(options.scraper, "Scraper")
+        : options.scraper;
+    this.fixtures = options.fixtures;
+    this.golden = new goldens.GoldenFile(options.golden);
+    this.targets = utils.listify(options.targets || "/");
+    this.update = utils.boolify(options.update, false);
+    this.Runner = options.Runner || runners.Runner;
+    this.runnerOptions = options.runnerOptions || {};
+  }
+
+  /**
+   * @description Run the scraper and compare what it emits to the golden file.
+   * @return {Object} { passed, updated, records, differences, errors }, where
+   *    records are as compared (plain JSON, with FIXTURE_ORIGIN), differences
+   *    are descriptions of how they differ from the golden file, and errors
+   *    are whatever the runner handled along the way.
+   */
+  async run() {
+    const server = new fixtures.FixtureServer(this.fixtures);
+    const collector = new processors.CollectingProcessor();
+    const errors = [];
+
+    await server.start();
+    try {
+      const runner = new this.Runner(
+        utils.merge(this.runnerOptions, { processors: null })
+      );
+      runner.router = new processors.RoutingProcessor();
+      runner.processors = {};
+      runner.defaultProcessor = collector;
+      runner.on("errorHandled", ({ error }) => errors.push(error));
+
+      const scraper = new this.Scraper(
+        runner,
+        this.targets.map(target => server.url(target))
+      );
+      await runner.run(scraper);
+    } finally {
+      await server.stop();
+    }
+
+    const records = replaceOrigin(
+      JSON.parse(JSON.stringify(collector.items)),
+      server.origin,
+      FIXTURE_ORIGIN
+    );
+    const comparison = this.golden.compare(records, { update: this.update });
+    return {
+      passed: comparison.matched && errors.length == 0,
+      updated: comparison.updated,
+      records: records,
+      differences: comparison.differences,
+      errors: errors
+    };
+  }
+}
+exports.ScraperTest = ScraperTest;
@@ -0,0 +1,174 @@
+/**
+ * @file
+ * A pipeline of transforms that records pass through between a scraper and
+ * its processors, so that cleanup and enrichment can be shared by scrapers.
+ *
+ * A Pipeline is an ordered list of stages. Each record goes through them in
+ * turn, after validation and before it's routed to processors:
+ *
+ *   map(f)     replace the record with f(record), or keep it, perhaps modified, if f returns nothing
+ *   enrich(f)  add the fields of the Object f(record) returns to the record
+ *   filter(f)  keep the record only if f(record) is truthy
+ *   drop(f)    drop the record if f(record) is truthy
+ *   split(f)   replace the record with each of the list f(record) returns (none drops it)
+ *
+ * Stage functions are called as f(record, { recordType, scraper, runner }),
+ * and may be async. Plain objects they return take the class of the record
+ * they came from, so a map over a Product still makes Products.
+ *
+ * Any stage may be limited to some records with a route, as for processors:
+ * { recordType, scraper, when } (see processors.routeMatcher()).
+ *
+ * @example
+ * runner.transforms
+ *   .map(record => ({ ...record, name: utils.cleanWhitespace(record.name) }))
+ *   .drop(record => !record.price, { recordType: Product })
+ *   .enrich(async record => ({ currency: await lookupCurrency(record.url) }))
+ *   .split(record => record.variants, { scraper: "shop" });
+ */
+
+const errors = require("./errors");
+const processors = require("./processors");
+const records = require("./records");
+const utils = require("./utils");
+
+class TransformError extends errors.BaseError {}
+exports.TransformError = TransformError;
+
+/**
+ * @description How each kind of stage turns a record, and what its function returned, into records.
+ */
+const STAGE_KINDS = {
+  map: (record, result) => [result == null ? record : result],
+  enrich: (record, result) => [Object.assign(record, result)],
+  filter: (record, result) => (result ? [record] : []),
+  drop: (record, result) => (result ? [] : [record]),
+  split: (record, result) => (result == null ? [] : utils.listify(result))
+};
+exports.STAGE_KINDS = STAGE_KINDS;
+
+/**
+ * @description An ordered list of transform stages.
+ */
+class Pipeline {
+  /**
+   * @description Create a pipeline.
+   * @param {Array<Function or Object>} stages Stages to add, as for add().
+   */
+  constructor(stages = []) {
+    this.stages = [];
+    for (const stage of utils.listify(stages)) {
+      this.add(stage);
+    }
+  }
+
+  /**
+   * @description Add a stage.
+   * @param {Function or Object} stage A function, to map with, or { kind, fn, name, recordType, scraper, when }.
+   * @return {Pipeline} This pipeline, for chaining.
+   */
+  add(stage) {
+    if (stage instanceof Function) {
+      stage = { kind: "map", fn: stage };
+    }
+    const kind = stage.kind || "map";
+    if (!STAGE_KINDS[kind]) {
+      throw new TransformError(
+        `Unknown transform kind ${kind}; use one of ${Object.keys(
+          STAGE_KINDS
+        ).join(", ")}.`
+      );
+    }
+    if (!(stage.fn instanceof Function)) {
+      throw new TransformError(`A ${kind} transform needs a function.`);
+    }
+    this.stages.push({
+      kind: kind,
+      fn: stage.fn,
+      name: stage.name || stage.fn.name || `${kind} #${this.stages.length + 1}`,
+      matches: processors.routeMatcher(stage)
+    });
+    return this;
+  }
+
+  map(fn, route = {}) {
+    return this.add(utils.merge(route, { kind: "map", fn: fn }));
+  }
+
+  enrich(fn, route = {}) {
+    return this.add(utils.merge(route, { kind: "enrich", fn: fn }));
+  }
+
+  filter(fn, route = {}) {
+    return this.add(utils.merge(route, { kind: "filter", fn: fn }));
+  }
+
+  drop(fn, route = {}) {
+    return this.add(utils.merge(route, { kind: "drop", fn: fn }));
+  }
+
+  split(fn, route = {}) {
+    return this.add(utils.merge(route, { kind: "split", fn: fn }));
+  }
+
+  /**
+   * @description Pass a record through every stage.
+   * @param {Record} record The record.
+   * @param {Object} context
+   * @param {string} context.recordType The record's type. (Default: its class name)
+   * @param {string} context.scraper The name of the scraper that emitted it.
+   * @param {Runner} context.runner The runner.
+   * @return {Array<Object>} What became of it, as { record, recordType }s: none if it was dropped.
+   * @throws {TransformError} If a stage throws; the record is lost.
+   */
+  async run(record, context = {}) {
+    let current = [
+      {
+        record: record,
+        recordType: context.recordType || record.constructor.name
+      }
+    ];
+    for (const stage of this.stages) {
+      const next = [];
+      for (const item of current) {
+        if (!stage.matches(item.record, item.recordType, context.scraper)) {
+          next.push(item);
+          continue;
+        }
+        const itemContext = utils.merge(context, {
+          recordType: item.recordType
+        });
+        let result = null;
+        try {
+          result = await stage.fn(item.record, itemContext);
+        } catch (error) {
+          throw new TransformError(
+            `Transform ${stage.name} failed: ${error.message}`
+          );
+        }
+        for (const output of STAGE_KINDS[stage.kind](item.record, result)) {
+          next.push(this._typed(output, item));
+        }
+      }
+      current = next;
+    }
+    return current;
+  }
+
+  /**
+   * @description Make a stage's output a Record, with the type of the one it came from if it's of the same class.
+   */
+  _typed(output, item) {
+    if (!(output instanceof records.Record)) {
+      output = Object.assign(new item.record.constructor(), output);
+    }
+    return {
+      record: output,
+      recordType:
+        output.constructor === item.record.constructor
+          ? item.recordType
+          : output.constructor.name
+    };
+  }
+}
+exports.Pipeline = Pipeline;
@@ -153,3 +153,121 @@ exports.asyncOnce = (emitter, event) => {
     emitter.once(event, (...results) => resolve(...results));
   });
 };
+
+/**
+ * @description Map each item of an async iterable to an async iterable of
+ * results, running up to `concurrency` of them at once.
+ *
+ * Unordered results are yielded as soon as they arrive. Ordered results are
+ * yielded in source order; results from later items are buffered until every
+ * earlier item has finished.
+ *
+ * @param {AsyncIterable} source The items to map.
+ * @param {Function} f Given an item, return an async iterable of results.
+ * @param {Object} options
+ * @param {number} options.concurrency The maximum number of items in flight. (Default: 1)
+ * @param {boolean} options.ordered If true, preserve source order. (Default: false)
+ */
+exports.concurrentFlatMap = async function*(source, f, options = {}) {
+  const concurrency = Math.max(1, Number(options.concurrency) || 1);
+  const ordered = exports.boolify(options.ordered, false);
+  const sourceIterator = source[Symbol.asyncIterator]();
+  let sourcePending = null;
+  let sourceDone = false;
+  let lanes = [];
+
+  // Each lane has at most one outstanding next() at a time.
+  const arm = lane => {
+    lane.pending = lane.iterator
+      .next()
+      .then(result => ({ lane: lane, result: result }));
+  };
+
+  try {
+    while (true) {
+      const active = lanes.filter(lane => !lane.done);
+
+      // Pull another item whenever there's room for it. We race the pull along
+      // with the lanes, since the source may be waiting on a lane to finish.
+      if (!sourceDone && !sourcePending && active.length < concurrency) {
+        sourcePending = sourceIterator
+          .next()
+          .then(result => ({ lane: null, result: result }));
+      }
+
+      const waiting = active.map(lane => lane.pending);
+      if (sourcePending) {
+        waiting.push(sourcePending);
+      }
+      if (waiting.length == 0) {
+        break;
+      }
+
+      const { lane, result } = await Promise.race(waiting);
+      if (lane == null) {
+        sourcePending = null;
+        if (result.done) {
+          sourceDone = true;
+        } else {
+          const newLane = {
+            iterator: f(result.value)[Symbol.asyncIterator](),
+            buffer: [],
+            done: false,
+            pending: null
+          };
+          arm(newLane);
+          lanes.push(newLane);
+        }
+      } else if (result.done) {
+        lane.done = true;
+      } else {
+        lane.buffer.push(result.value);
+        arm(lane);
+      }
+
+      // Flush whatever we're allowed to emit.
+      if (ordered) {
+        while (lanes.length > 0) {
+          const head = lanes[0];
+          while (head.buffer.length > 0) {
+            yield head.buffer.shift();
+          }
+          if (!head.done) {
+            break;
+          }
+          lanes.shift();
+        }
+      } else {
+        for (const each of lanes) {
+          while (each.buffer.length > 0) {
+            yield each.buffer.shift();
+          }
+        }
+        lanes = lanes.filter(each => !each.done);
+      }
+    }
+  } finally {
+    // We're done early if the consumer stopped, or a lane threw. Close
+    // whatever's still running so it can clean up (close its pages, say).
+    // We don't wait: a lane stuck on a page load only finishes once its
+    // browser closes, which our caller may do next.
+    const close = iterator => {
+      Promise.resolve()
+        .then(() => iterator.return && iterator.return())
+        .catch(() => {});
+    };
+    for (const lane of lanes) {
+      if (!lane.done) {
+        // Nobody will await this next() now; don't let it reject unhandled.
+        lane.pending.catch(() => {});
+        close(lane.iterator);
+      }
+    }
+    if (sourcePending) {
+      sourcePending.catch(() => {});
+    }
+    if (!sourceDone) {
+      close(sourceIterator);
+    }
+  }
+};
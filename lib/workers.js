@@ -0,0 +1,197 @@
+/**
+ * @file
+ * The entry point for ClusterRunner worker processes.
+ *
+ * Each worker owns a single browser at a time, recycled according to the
+ * runner's recycle options. The parent process sends it targets; the worker
+ * scrapes them and sends back validated records, any targets the scraper
+ * enqueued along the way, and any errors or skips it saw. Record processing
+ * happens in the parent.
+ *
+ * Messages from the parent:
+ *   { type: "init", scraper, options }  Load the scraper and launch a browser.
+ *   { type: "target", id, target }      Scrape a target.
+ *   { type: "stop" }                    Close the browser and exit.
+ *
+ * Messages to the parent:
+ *   { type: "ready" }
+ *   { type: "record", id, recordType, record }
+ *   { type: "enqueue", targets }
+ *   { type: "done", id, ok, skipped }       skipped: why, if it was skipped.
+ *   { type: "error", name, message, stack, url }
+ *   { type: "skip", url, reason }
+ *   { type: "event", event, context }       Any event our runner emits.
+ *   { type: "archive", entry }              A HAR entry, when recording.
+ *   { type: "proxies", proxies }            Our proxy pool's summary(), as we stop.
+ *
+ * With a proxy pool, each worker rotates through its own copy of the pool,
+ * and sends the parent its per-proxy statistics when it stops.
+ * When recording, the parent collects every worker's traffic into one
+ * archive; when replaying, each worker loads the archive itself.
+ *
+ * A crashed browser is relaunched in place. If anything else escapes a
+ * scrape, the worker exits with a non-zero code and the parent restarts it.
+ */
+
+const archives = require("./archives");
+const loaders = require("./loaders");
+const runners = require("./runners");
+const utils = require("./utils");
+
+/**
+ * @description Flatten an error into something we can send to the parent.
+ */
+const flattenError = error => ({
+  name: error.name,
+  message: error.message,
+  stack: error.stack,
+  url: error.url || null,
+  status: error.status || null,
+  artifacts: error.artifacts || null
+});
+
+/**
+ * @description An archive that sends what it records to the parent, which saves it.
+ */
+class WorkerArchive extends archives.NetworkArchive {
+  add(entry) {
+    const sent = new Promise(resolve =>
+      process.send({ type: "archive", entry: entry }, resolve)
+    );
+    this._pending.add(sent);
+    sent.then(() => this._pending.delete(sent));
+  }
+}
+
+/**
+ * @description A Runner that forwards errors, skips and events to the parent process.
+ */
+class WorkerRunner extends runners.Runner {
+  openArchive(options) {
+    if (options.record && !options.replay) {
+      return new WorkerArchive();
+    }
+    return super.openArchive(options);
+  }
+
+  handleError(error, url = null) {
+    process.send(
+      utils.merge({ type: "error" }, flattenError(error), { url: url })
+    );
+  }
+
+  emitEvent(event, context = {}) {
+    const flattened = utils.merge(
+      { scraper: this.currentScraperName },
+      context
+    );
+    if (flattened.error) {
+      flattened.error = flattenError(flattened.error);
+    }
+    process.send({ type: "event", event: event, context: flattened });
+  }
+
+  handleSkip(url, reason) {
+    process.send({ type: "skip", url: url, reason: reason });
+  }
+}
+
+let runner = null;
+let scraper = null;
+let browsers = null;
+
+/**
+ * @description Load the scraper and launch our browser.
+ */
+const init = async message => {
+  runner = new WorkerRunner(message.options);
+  scraper = loaders.newClass(message.scraper, "Scraper", runner, null);
+  runner.currentScraperName = scraper.name;
+  await runner.prepareAdClient();
+  await runner.prepareProxyPool();
+  browsers = runner.browserManager(scraper.browserOptions());
+  scraper.useBrowsers(browsers);
+  scraper.browser = await browsers.current();
+  process.send({ type: "ready" });
+};
+
+/**
+ * @description Scrape a single target, streaming results to the parent.
+ */
+const scrapeTarget = async message => {
+  let succeeded = false;
+  const items = async function*() {
+    succeeded = yield* scraper.scrapeTarget(scraper.browser, message.target);
+  };
+
+  for await (const item of items()) {
+    const record = runner.prepareRecord(item);
+    if (!record) {
+      continue;
+    }
+    process.send({
+      type: "record",
+      id: message.id,
+      recordType: record.constructor.name,
+      record: record
+    });
+  }
+
+  // The parent de-duplicates and distributes whatever we discovered.
+  const targets = [];
+  while (scraper.frontier.size > 0) {
+    targets.push(scraper.frontier.pop());
+  }
+  if (targets.length > 0) {
+    process.send({ type: "enqueue", targets: targets });
+  }
+
+  process.send({
+    type: "done",
+    id: message.id,
+    ok: succeeded !== false,
+    skipped: typeof succeeded == "string" ? succeeded : null
+  });
+};
+
+/**
+ * @description Close our browser and exit.
+ */
+const stop = async () => {
+  if (browsers) {
+    await browsers.close();
+  }
+  if (runner) {
+    await runner.stopProxyPool();
+    if (runner.proxyPool) {
+      await new Promise(resolve =>
+        process.send(
+          { type: "proxies", proxies: runner.proxyPool.summary() },
+          resolve
+        )
+      );
+    }
+    if (runner.archive) {
+      await runner.archive.settle();
+    }
+  }
+  process.exit(0);
+};
+
+const handlers = { init: init, target: scrapeTarget, stop: stop };
+
+process.on("message", async message => {
+  try {
+    await handlers[message.type](message);
+  } catch (error) {
+    console.error(`jscrape: worker ${process.pid} crashed:`, error);
+    process.exit(1);
+  }
+});
+
+// If our parent goes away, so do we.
+process.on("disconnect", () => process.exit(1));
+
+// A Ctrl-C reaches the whole process group, but shutting down is our
+// parent's call; it will tell us when to stop.
+process.on("SIGINT", () => {});
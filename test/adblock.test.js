@@ -0,0 +1,131 @@
+const fs = require("fs");
+
+const adblock = require("../lib/adblock");
+const { temporaryPath } = require("./helpers");
+
+// A stand-in for ad-block's AdBlockClient that matches URLs by substring.
+class FakeClient {
+  constructor() {
+    this.rules = [];
+  }
+
+  parse(text) {
+    this.rules.push(...text.split("\n").filter(Boolean));
+  }
+
+  matches(url) {
+    return this.rules.some(rule => url.includes(rule));
+  }
+
+  serialize() {
+    return Buffer.from(JSON.stringify(this.rules));
+  }
+
+  deserialize(buffer) {
+    this.rules = JSON.parse(buffer.toString());
+  }
+}
+
+const BLOCKLISTS = [
+  { title: "Ads", url: "https://lists.com/ads.txt" },
+  { title: "Trackers", url: "https://lists.com/trackers.txt" }
+];
+
+// A download function that counts calls, and fails while offline is set.
+const downloader = () => {
+  const download = async url => {
+    download.calls.push(url);
+    if (download.offline) {
+      throw new Error("getaddrinfo ENOTFOUND");
+    }
+    return url.endsWith("ads.txt") ? "/ads/\n" : "tracker.js\n";
+  };
+  download.calls = [];
+  download.offline = false;
+  return download;
+};
+
+const builder = (cache, download, options = {}) =>
+  new adblock.AdBlockBuilder(
+    Object.assign(
+      {
+        blocklists: BLOCKLISTS,
+        cache: cache,
+        Client: FakeClient,
+        download: download
+      },
+      options
+    )
+  );
+
+test("blocklists, local files and inline rules are combined, then cached", async () => {
+  const cache = temporaryPath();
+  const rulesFile = temporaryPath("mine.txt");
+  fs.writeFileSync(rulesFile, "/promo/\n");
+  const download = downloader();
+  const options = { files: [rulesFile], rules: ["popup.js"] };
+
+  const client = await builder(cache, download, options).build();
+  expect(client.rules).toEqual(["/ads/", "tracker.js", "/promo/", "popup.js"]);
+  expect(client.matches("http://a.com/promo/1.png")).toBe(true);
+  expect(download.calls).toHaveLength(2);
+
+  // A second build comes straight from the cache.
+  const cached = await builder(cache, download, options).build();
+  expect(cached.rules).toEqual(client.rules);
+  expect(download.calls).toHaveLength(2);
+
+  // Changing our own rules rebuilds, but from the cached lists.
+  const changed = await builder(cache, download, {
+    rules: ["other.js"]
+  }).build();
+  expect(changed.rules).toEqual(["/ads/", "tracker.js", "other.js"]);
+  expect(download.calls).toHaveLength(2);
+});
+
+test("stale lists are refreshed, or kept if the network is down", async () => {
+  const cache = temporaryPath();
+  const download = downloader();
+  await builder(cache, download).build();
+
+  await builder(cache, download, { refresh: 0 }).build();
+  expect(download.calls).toHaveLength(4);
+
+  download.offline = true;
+  const client = await builder(cache, download, { refresh: 0 }).build();
+  expect(client.rules).toEqual(["/ads/", "tracker.js"]);
+  expect(download.calls).toHaveLength(6);
+});
+
+test("offline builds never download", async () => {
+  const download = downloader();
+  await expect(
+    builder(temporaryPath(), download, { offline: true }).build()
+  ).rejects.toThrow(adblock.AdBlockError);
+
+  const cache = temporaryPath();
+  await builder(cache, download).build();
+  download.calls = [];
+  const client = await builder(cache, download, {
+    offline: true,
+    refresh: 0,
+    rules: ["new.js"]
+  }).build();
+  expect(client.rules).toEqual(["/ads/", "tracker.js", "new.js"]);
+  expect(download.calls).toEqual([]);
+});
+
+test("snapshots are saved when missing and loaded instead of everything else", async () => {
+  const snapshot = temporaryPath("adblock.dat");
+  const download = downloader();
+  await builder(temporaryPath(), download, { snapshot: snapshot }).build();
+  expect(fs.existsSync(snapshot)).toBe(true);
+
+  download.calls = [];
+  const client = await builder(temporaryPath(), download, {
+    snapshot: snapshot,
+    rules: ["ignored.js"]
+  }).build();
+  expect(client.rules).toEqual(["/ads/", "tracker.js"]);
+  expect(download.calls).toEqual([]);
+});
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const http = require("http");
+
+const archives = require("../lib/archives");
+const pages = require("../lib/pages");
+const proxies = require("../lib/proxies");
+const robots = require("../lib/robots");
+const { temporaryPath } = require("./helpers");
+
+const fakeRequest = (method, url) => {
+  const request = { answer: null };
+  request.method = () => method;
+  request.url = () => url;
+  request.respond = response => (request.answer = response);
+  request.abort = reason => (request.answer = reason);
+  return request;
+};
+
+test("archives save and load as HAR", () => {
+  const recorded = new archives.NetworkArchive(temporaryPath("run.har"));
+  const entries = [];
+  recorded.on("entry", entry => entries.push(entry));
+  recorded.record({
+    url: "http://a.com/",
+    status: 200,
+    headers: { "content-type": "text/html", "content-encoding": "gzip" },
+    body: "<p>héllo</p>"
+  });
+  recorded.save();
+  expect(entries).toHaveLength(1);
+
+  const har = JSON.parse(fs.readFileSync(recorded.path));
+  expect(har.log.version).toBe("1.2");
+  expect(har.log.entries[0].response.content.mimeType).toBe("text/html");
+
+  const replayed = archives.NetworkArchive.load(recorded.path);
+  expect(replayed.replaying).toBe(true);
+  const response = replayed.lookup("get", "http://a.com/#top");
+  expect(response.status).toBe(200);
+  expect(response.headers).toEqual({ "content-type": "text/html" });
+  expect(response.body.toString()).toBe("<p>héllo</p>");
+
+  expect(() => archives.NetworkArchive.load(`${recorded.path}.nope`)).toThrow(
+    archives.ArchiveError
+  );
+});
+
+test("repeated requests replay in order, then repeat the last response", () => {
+  const archive = new archives.NetworkArchive();
+  archive.record({ url: "http://a.com/x", status: 503 });
+  archive.record({ url: "http://a.com/x", status: 200, body: "ok" });
+  archive.record({ method: "POST", url: "http://a.com/x", status: 201 });
+
+  expect(archive.lookup("GET", "http://a.com/x").status).toBe(503);
+  expect(archive.lookup("GET", "http://a.com/x").status).toBe(200);
+  expect(archive.lookup("GET", "http://a.com/x").status).toBe(200);
+  expect(archive.lookup("POST", "http://a.com/x").status).toBe(201);
+  expect(archive.lookup("GET", "http://a.com/y")).toBe(null);
+  expect(archive.misses).toBe(1);
+});
+
+test("intercepted requests are answered from the archive, or fail", () => {
+  const archive = new archives.NetworkArchive(null, { mode: "replay" });
+  archive.record({ url: "http://a.com/app.js", status: 200, body: "x = 1;" });
+
+  const known = fakeRequest("GET", "http://a.com/app.js");
+  archive.replay(known);
+  expect(known.answer.status).toBe(200);
+  expect(known.answer.body.toString()).toBe("x = 1;");
+
+  const unknown = fakeRequest("GET", "http://a.com/other.js");
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  try {
+    archive.replay(unknown);
+  } finally {
+    error.mockRestore();
+  }
+  expect(unknown.answer).toBe("internetdisconnected");
+});
+
+test("fetched pages and robots.txt are recorded, then replayed offline", async () => {
+  const server = http.createServer((request, response) => {
+    if (request.url == "/old") {
+      response.writeHead(301, { Location: "/new" });
+      response.end();
+    } else if (request.url == "/robots.txt") {
+      response.end("User-agent: *\nDisallow: /private\n");
+    } else {
+      response.setHeader("Content-Type", "text/html");
+      response.end("<h1>New</h1>");
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  const recording = new archives.NetworkArchive(temporaryPath("run.har"));
+  try {
+    const browser = proxies.browserProxy({}, { archive: recording });
+    const page = await browser.tryFetchPage(`${origin}/old`);
+    expect(await page.cleanText("h1")).toBe("New");
+    const cache = new robots.RobotsCache({ archive: recording });
+    expect((await cache.check(`${origin}/private`)).allowed).toBe(false);
+    recording.save();
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  const replaying = archives.NetworkArchive.load(recording.path);
+  const browser = proxies.browserProxy({}, { archive: replaying });
+  const page = await browser.tryFetchPage(`${origin}/old`);
+  expect(page).toBeInstanceOf(pages.StaticPage);
+  expect(page.url()).toBe(`${origin}/new`);
+  expect(await page.cleanText("h1")).toBe("New");
+
+  const cache = new robots.RobotsCache({ archive: replaying });
+  expect((await cache.check(`${origin}/private`)).allowed).toBe(false);
+  expect((await cache.check("http://elsewhere.com/private")).allowed).toBe(
+    true
+  );
+
+  const failures = [];
+  const offline = proxies.browserProxy(
+    {},
+    {
+      archive: replaying,
+      errorHandler: error => failures.push(error)
+    }
+  );
+  expect(await offline.tryFetchPage(`${origin}/missing`)).toBe(null);
+  expect(failures[0].message).toMatch(/isn't in the archive/);
+});
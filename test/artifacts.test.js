@@ -0,0 +1,88 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+
+const artifacts = require("../lib/artifacts");
+const { temporaryPath } = require("./helpers");
+
+// A stand-in for a puppeteer Page that emits the events we record.
+const fakePage = () => {
+  const page = new EventEmitter();
+  page.url = () => "http://a.com/broken";
+  page.screenshot = async () => Buffer.from("png");
+  page.content = async () => "<html></html>";
+  return page;
+};
+
+const fakeRequest = (url, failure = null) => ({
+  method: () => "GET",
+  url: () => url,
+  resourceType: () => "document",
+  failure: () => failure
+});
+
+test("pages record their recent console messages and requests", () => {
+  const store = new artifacts.ArtifactStore(temporaryPath(), { limit: 2 });
+  const page = fakePage();
+  store.watch(page);
+
+  for (const text of ["one", "two", "three"]) {
+    page.emit("console", { type: () => "log", text: () => text });
+  }
+  const ok = fakeRequest("http://a.com/ok");
+  const bad = fakeRequest("http://a.com/bad", { errorText: "net::ERR_FAILED" });
+  page.emit("request", ok);
+  page.emit("response", { request: () => ok, status: () => 200 });
+  page.emit("request", bad);
+  page.emit("requestfailed", bad);
+
+  const recorder = artifacts.recorderFor(page);
+  expect(recorder.console.map(entry => entry.text)).toEqual(["two", "three"]);
+  expect(recorder.network).toMatchObject([
+    { url: "http://a.com/ok", status: 200, failure: null },
+    { url: "http://a.com/bad", status: null, failure: "net::ERR_FAILED" }
+  ]);
+});
+
+test("captures write every artifact and return their paths", async () => {
+  const directory = temporaryPath("nested");
+  const store = new artifacts.ArtifactStore(directory);
+  const page = fakePage();
+  store.watch(page);
+  page.emit("console", { type: () => "error", text: () => "kaboom" });
+
+  const paths = await store.capture(page, new Error("nope"), {
+    scraper: "My Scraper"
+  });
+  expect(Object.keys(paths).sort()).toEqual([
+    "console",
+    "error",
+    "html",
+    "network",
+    "screenshot"
+  ]);
+  expect(path.basename(paths.html)).toMatch(/My_Scraper/);
+  expect(fs.readFileSync(paths.html, "utf8")).toBe("<html></html>");
+  expect(fs.readFileSync(paths.console, "utf8")).toMatch(/\[error\] kaboom/);
+  expect(fs.readFileSync(paths.error, "utf8")).toMatch(
+    /URL: http:\/\/a.com\/broken[^]*Error: nope/
+  );
+});
+
+test("a page that won't cooperate still yields what was recorded", async () => {
+  const store = new artifacts.ArtifactStore(temporaryPath(), { timeout: 20 });
+  const page = fakePage();
+  page.screenshot = async () => {
+    throw new Error("Target closed.");
+  };
+  page.content = () => new Promise(() => {});
+  store.watch(page);
+
+  const snapshot = await store.snapshot(page);
+  expect(snapshot.screenshot).toBe(null);
+  expect(snapshot.html).toBe(null);
+  const paths = store.write(snapshot, new Error("nope"));
+  expect(paths.screenshot).toBeUndefined();
+  expect(paths.html).toBeUndefined();
+  expect(fs.existsSync(paths.network)).toBe(true);
+});
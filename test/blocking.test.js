@@ -0,0 +1,105 @@
+const blocking = require("../lib/blocking");
+
+test("patterns may be globs, regex strings or RegExps", () => {
+  const glob = blocking.compilePattern("*://*.doubleclick.net/*");
+  expect(glob.test("https://ad.doubleclick.net/x?y=1")).toBe(true);
+  expect(glob.test("https://doubleclick.net.evil.com/")).toBe(false);
+
+  const regex = blocking.compilePattern("/\\.woff2?$/i");
+  expect(regex.test("http://a.com/font.WOFF2")).toBe(true);
+  expect(blocking.compilePattern(/beacon/)).toEqual(/beacon/);
+});
+
+test("third parties are other sites, not other subdomains", () => {
+  expect(blocking.siteOf("www.news.bbc.co.uk")).toBe("bbc.co.uk");
+  expect(blocking.siteOf("cdn.a.com")).toBe("a.com");
+  expect(blocking.siteOf("127.0.0.1")).toBe("127.0.0.1");
+
+  const page = "https://www.a.com/article";
+  expect(blocking.isThirdParty("https://static.a.com/app.js", page)).toBe(
+    false
+  );
+  expect(blocking.isThirdParty("https://tracker.com/t.js", page)).toBe(true);
+  expect(blocking.isThirdParty("data:image/png;base64,xyz", page)).toBe(false);
+  expect(blocking.isThirdParty("https://tracker.com/t.js", "about:blank")).toBe(
+    false
+  );
+});
+
+test("policies block by type, URL, third party and ads, unless allowed", () => {
+  const policy = new blocking.RequestPolicy({
+    resourceTypes: ["font", "media"],
+    images: false,
+    urls: ["*/analytics.js"],
+    thirdParty: true,
+    allow: ["https://cdn.jsdelivr.net/*"],
+    adclient: { matches: url => url.includes("/ads/") }
+  });
+  const page = { pageUrl: "https://a.com/" };
+  const decide = (url, type = "script", options = page) =>
+    policy.decide(url, type, options);
+
+  expect(policy.active).toBe(true);
+  expect(decide("https://a.com/font.woff", "font")).toBe("resourceType");
+  expect(decide("https://a.com/logo.png", "image")).toBe("resourceType");
+  expect(decide("https://a.com/analytics.js")).toBe("url");
+  expect(decide("https://other.com/app.js")).toBe("thirdParty");
+  expect(decide("https://a.com/ads/banner.js")).toBe("ad");
+  expect(decide("https://cdn.jsdelivr.net/lib.js")).toBe(null);
+  expect(decide("https://a.com/app.js")).toBe(null);
+  expect(
+    decide("https://other.com/", "document", {
+      pageUrl: "https://a.com/",
+      navigation: true
+    })
+  ).toBe(null);
+
+  expect(new blocking.RequestPolicy().active).toBe(false);
+});
+
+test("policies estimate the size of what they block from what they allow", () => {
+  const policy = new blocking.RequestPolicy({ resourceTypes: ["image"] });
+  expect(policy.estimateBytes("image")).toBe(null);
+  policy.observe("image", { "content-length": "1000" });
+  policy.observe("image", { "content-length": "3000" });
+  policy.observe("image", {});
+  expect(policy.estimateBytes("image")).toBe(2000);
+});
+
+test("pages never block their own navigation, only what it loads", async () => {
+  const EventEmitter = require("events");
+  const proxies = require("../lib/proxies");
+
+  const mainFrame = {};
+  const rawPage = new EventEmitter();
+  rawPage.url = () => "https://a.com/";
+  rawPage.mainFrame = () => mainFrame;
+  rawPage.setUserAgent = async () => {};
+  rawPage.setRequestInterception = async () => {};
+  rawPage.setViewport = async () => {};
+  const browser = proxies.browserProxy(
+    { newPage: async () => rawPage },
+    { blocking: { urls: ["https://a.com/*"] } }
+  );
+  await browser.newPage();
+
+  const request = (url, navigation, frame = mainFrame) => {
+    const handled = [];
+    rawPage.emit("request", {
+      url: () => url,
+      resourceType: () => (navigation ? "document" : "script"),
+      isNavigationRequest: () => navigation,
+      frame: () => frame,
+      abort: reason => handled.push(`abort ${reason}`),
+      continue: () => handled.push("continue")
+    });
+    return handled;
+  };
+  expect(request("https://a.com/", true)).toEqual(["continue"]);
+  expect(request("https://a.com/app.js", false)).toEqual([
+    "abort blockedbyclient"
+  ]);
+  expect(request("https://a.com/frame.html", true, {})).toEqual([
+    "abort blockedbyclient"
+  ]);
+});
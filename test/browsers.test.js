@@ -0,0 +1,87 @@
+const EventEmitter = require("events");
+
+const browsers = require("../lib/browsers");
+
+// Stand-ins for proxied puppeteer Browsers.
+const fakeLauncher = () => {
+  const launched = [];
+  const launch = async () => {
+    const browser = new EventEmitter();
+    browser.closed = false;
+    browser.close = async () => {
+      browser.closed = true;
+    };
+    launched.push(browser);
+    return browser;
+  };
+  return { launch, launched };
+};
+
+test("browsers are retired after a number of targets, once released", async () => {
+  const { launch, launched } = fakeLauncher();
+  const manager = new browsers.BrowserManager(launch, { pages: 2 });
+
+  const a = await manager.acquire();
+  const b = await manager.acquire();
+  expect(b).toBe(a);
+  const c = await manager.acquire();
+  expect(c).not.toBe(a);
+  expect(launched.length).toBe(2);
+
+  await manager.release(a);
+  expect(a.closed).toBe(false);
+  await manager.release(b);
+  expect(a.closed).toBe(true);
+
+  await manager.release(c);
+  await manager.close();
+  expect(c.closed).toBe(true);
+});
+
+test("browsers are retired when a page's heap grows too large", async () => {
+  const { launch } = fakeLauncher();
+  const manager = new browsers.BrowserManager(launch, { memory: 100 });
+  const page = heap => ({ metrics: async () => ({ JSHeapUsedSize: heap }) });
+
+  const a = await manager.acquire();
+  await manager.measure(a, page(50 * 1024 * 1024));
+  await manager.release(a);
+  expect(await manager.acquire()).toBe(a);
+  await manager.measure(a, page(150 * 1024 * 1024));
+  await manager.release(a);
+  expect(a.closed).toBe(true);
+  expect(await manager.acquire()).not.toBe(a);
+});
+
+test("a disconnected browser is replaced, up to maxCrashes times", async () => {
+  const { launch } = fakeLauncher();
+  const manager = new browsers.BrowserManager(launch, { maxCrashes: 1 });
+  const crashes = [];
+  manager.on("crash", browser => crashes.push(browser));
+
+  const a = await manager.current();
+  a.emit("disconnected");
+  expect(crashes).toEqual([a]);
+  const b = await manager.current();
+  expect(b).not.toBe(a);
+
+  b.emit("disconnected");
+  await expect(manager.current()).rejects.toThrow(browsers.BrowserError);
+});
+
+test("only browser-level failures count as crashes", () => {
+  const isCrash = browsers.BrowserManager.isCrash;
+  expect(
+    isCrash(
+      new Error(
+        "Protocol error (Runtime.callFunctionOn): Session closed. Most likely the page has been closed."
+      )
+    )
+  ).toBe(true);
+  expect(
+    isCrash(new Error("Navigation failed because browser has disconnected!"))
+  ).toBe(true);
+  expect(
+    isCrash(new Error("waiting for selector failed: timeout 30000ms exceeded"))
+  ).toBe(false);
+});
@@ -0,0 +1,47 @@
+const checkpoints = require("../lib/checkpoints");
+const { temporaryPath } = require("./helpers");
+
+test("target keys are stable regardless of property order", () => {
+  const { targetKey } = checkpoints.CheckpointStore;
+  expect(targetKey("http://a/")).toBe("http://a/");
+  expect(targetKey({ url: "http://a/", id: 1 })).toBe(
+    targetKey({ id: 1, url: "http://a/" })
+  );
+});
+
+test("checkpoints round-trip through disk", () => {
+  const checkpointPath = temporaryPath("checkpoint.json");
+  const store = new checkpoints.CheckpointStore(checkpointPath);
+  store.markFailed("S", "http://a/", "boom");
+  store.markFailed("S", "http://b/", "boom");
+  store.markFinished("S", "http://a/");
+  store.markVisited("http://a/");
+  store.markPending("S", { url: "http://c/", depth: 1 });
+  store.markPending("S", "http://a/");
+  store.markPending("S", "http://d/");
+  store.markSkipped("S", "http://d/", "disallowed by robots.txt");
+  store.save();
+
+  const resumed = new checkpoints.CheckpointStore(checkpointPath);
+  resumed.load();
+  expect(resumed.isFinished("S", "http://a/")).toBe(true);
+  expect(resumed.isFinished("S", "http://b/")).toBe(false);
+  expect(resumed.isFinished("T", "http://a/")).toBe(false);
+  expect(resumed.failures("S")).toEqual({
+    "http://b/": { reason: "boom", attempts: 1 }
+  });
+  expect(resumed.isFinished("S", "http://d/")).toBe(true);
+  expect(resumed.skips("S")).toEqual({
+    "http://d/": "disallowed by robots.txt"
+  });
+  expect(resumed.hasVisited("http://a/")).toBe(true);
+  expect(resumed.hasVisited("http://b/")).toBe(false);
+  expect(resumed.pending("S")).toEqual([{ url: "http://c/", depth: 1 }]);
+});
+
+test("loading a missing checkpoint is an error", () => {
+  const store = new checkpoints.CheckpointStore(
+    temporaryPath("checkpoint.json")
+  );
+  expect(() => store.load()).toThrow(checkpoints.CheckpointError);
+});
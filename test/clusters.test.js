@@ -0,0 +1,205 @@
+const EventEmitter = require("events");
+
+const clusters = require("../lib/clusters");
+const processors = require("../lib/processors");
+const queues = require("../lib/queues");
+const runners = require("../lib/runners");
+const scrapers = require("../lib/scrapers");
+const { temporaryPath } = require("./helpers");
+
+// A stand-in for a worker process. behave(child, message) answers each
+// message the pool sends it, as workers.js would.
+class FakeChild extends EventEmitter {
+  constructor(behave) {
+    super();
+    this.behave = behave;
+    this.connected = true;
+    this.targets = [];
+  }
+
+  send(message) {
+    if (message.type == "target") {
+      this.targets.push(message.target);
+    }
+    setImmediate(() => this.behave(this, message));
+  }
+
+  reply(message) {
+    this.emit("message", message);
+  }
+
+  exit(code) {
+    this.connected = false;
+    this.emit("exit", code, null);
+  }
+
+  kill() {
+    this.exit(null);
+  }
+}
+
+// Scrape each target into one record, enqueueing any links it has.
+const LINKS = { "http://a/1": ["http://a/4"] };
+const worker = (child, message) => {
+  if (message.type == "init") {
+    child.reply({ type: "ready" });
+  } else if (message.type == "target") {
+    const url = message.target;
+    child.reply({
+      type: "record",
+      id: message.id,
+      recordType: "Page",
+      record: { url: url }
+    });
+    if (LINKS[url]) {
+      child.reply({ type: "enqueue", targets: LINKS[url] });
+    }
+    child.reply({ type: "done", id: message.id, ok: true });
+  } else if (message.type == "stop") {
+    child.exit(0);
+  }
+};
+
+const makePool = (targets, behave = worker, options = {}) => {
+  const runner = new runners.Runner();
+  const collector = new processors.CollectingProcessor();
+  runner.defaultProcessor = collector;
+
+  const scraper = new scrapers.Scraper(runner);
+  const queue = new queues.FileQueue(temporaryPath("q.jsonl"), {
+    maxAttempts: options.maxAttempts || 3
+  });
+  queue.open();
+  for (const target of targets) {
+    scraper.frontier.markSeen(target);
+    queue.push(target);
+  }
+
+  const pool = new clusters.WorkerPool(runner, scraper, queue, {
+    scraper: "fake.Scraper",
+    workerOptions: {},
+    workers: options.workers || 2,
+    concurrency: 1,
+    maxRestarts: options.maxRestarts == null ? 10 : options.maxRestarts
+  });
+  pool.children = [];
+  pool.fork = () => {
+    const child = new FakeChild(behave);
+    pool.children.push(child);
+    return child;
+  };
+  return { pool, queue, collector };
+};
+
+const urls = collector => collector.items.map(record => record.url).sort();
+
+test("targets, and what they enqueue, are dispatched across workers", async () => {
+  const { pool, queue, collector } = makePool([
+    "http://a/1",
+    "http://a/2",
+    "http://a/3"
+  ]);
+  await pool.run();
+
+  expect(urls(collector)).toEqual([
+    "http://a/1",
+    "http://a/2",
+    "http://a/3",
+    "http://a/4"
+  ]);
+  expect(collector.items[0].constructor.name).toBe("Record");
+  expect(pool.children.length).toBe(2);
+  expect(pool.children.every(child => child.targets.length > 0)).toBe(true);
+  expect(pool.children.every(child => !child.connected)).toBe(true);
+  expect(queue.pendingCount + queue.leasedCount).toBe(0);
+});
+
+test("a crashed worker is restarted, without duplicating its target's records", async () => {
+  let crashes = 0;
+  const crashOnce = (child, message) => {
+    if (message.type == "target" && message.target == "http://a/2") {
+      if (crashes++ == 0) {
+        child.reply({
+          type: "record",
+          id: message.id,
+          recordType: "Page",
+          record: { url: message.target }
+        });
+        child.exit(1);
+        return;
+      }
+    }
+    worker(child, message);
+  };
+
+  const { pool, collector } = makePool(["http://a/2", "http://a/3"], crashOnce);
+  await pool.run();
+
+  expect(urls(collector)).toEqual(["http://a/2", "http://a/3"]);
+  expect(pool.restarts).toBe(1);
+  expect(pool.children.length).toBe(3);
+});
+
+test("targets that keep crashing workers are given up on", async () => {
+  const alwaysCrash = (child, message) => {
+    if (message.type == "target" && message.target == "http://a/2") {
+      child.exit(1);
+      return;
+    }
+    worker(child, message);
+  };
+
+  const { pool, queue, collector } = makePool(
+    ["http://a/2", "http://a/3"],
+    alwaysCrash,
+    { maxAttempts: 2, workers: 1 }
+  );
+  await pool.run();
+  expect(urls(collector)).toEqual(["http://a/3"]);
+  expect(pool.restarts).toBe(2);
+  expect(queue.pendingCount + queue.leasedCount).toBe(0);
+
+  const { pool: fragile } = makePool(["http://a/2"], alwaysCrash, {
+    maxRestarts: 0,
+    workers: 1
+  });
+  await expect(fragile.run()).rejects.toThrow(clusters.ClusterError);
+});
+
+test("draining stops handing out targets, and leaves the rest queued", async () => {
+  let pool = null;
+  const drainAfterFirst = (child, message) => {
+    worker(child, message);
+    if (message.type == "target") {
+      pool.drain();
+    }
+  };
+
+  const made = makePool(
+    ["http://a/2", "http://a/3", "http://a/5"],
+    drainAfterFirst,
+    { workers: 1 }
+  );
+  pool = made.pool;
+  await pool.run();
+
+  expect(urls(made.collector)).toEqual(["http://a/2"]);
+  expect(made.queue.pendingCount).toBe(2);
+  expect(pool.children[0].connected).toBe(false);
+});
+
+test("workers' proxy statistics are collected as they stop", async () => {
+  const withProxies = (child, message) => {
+    if (message.type == "stop") {
+      child.reply({ type: "proxies", proxies: [{ url: "http://p:1" }] });
+    }
+    worker(child, message);
+  };
+
+  const { pool } = makePool(["http://a/2", "http://a/3"], withProxies);
+  await pool.run();
+  expect(pool.proxies).toEqual([
+    [{ url: "http://p:1" }],
+    [{ url: "http://p:1" }]
+  ]);
+});
@@ -0,0 +1,45 @@
+const http = require("http");
+const path = require("path");
+
+const fixtures = require("../lib/fixtures");
+
+const get = url =>
+  new Promise((resolve, reject) =>
+    http
+      .get(url, response => {
+        let body = "";
+        response.on("data", chunk => (body += chunk));
+        response.on("end", () =>
+          resolve({
+            status: response.statusCode,
+            type: response.headers["content-type"],
+            body: body
+          })
+        );
+      })
+      .on("error", reject)
+  );
+
+test("fixtures are served from their directory, and nowhere else", async () => {
+  const server = new fixtures.FixtureServer(
+    path.join(__dirname, "fixtures", "shop")
+  );
+  await server.start();
+  try {
+    const index = await get(server.url("/"));
+    expect(index.status).toBe(200);
+    expect(index.type).toMatch(/^text\/html/);
+    expect(index.body).toMatch(/<h1>Shop<\/h1>/);
+
+    expect((await get(server.url("/products/1.html"))).body).toMatch(/Widget/);
+    expect((await get(server.url("/products/3.html"))).status).toBe(404);
+    expect((await get(`${server.origin}/%2e%2e/shop.json`)).status).toBe(404);
+    expect(server.requests).toContain("/products/3.html");
+  } finally {
+    await server.stop();
+  }
+
+  expect(() => new fixtures.FixtureServer("/no/such/fixtures")).toThrow(
+    fixtures.FixtureError
+  );
+});
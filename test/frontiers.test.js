@@ -0,0 +1,40 @@
+const frontiers = require("../lib/frontiers");
+
+test("URLs are canonicalized for de-duplication", () => {
+  const canonical = frontiers.canonicalizeUrl;
+  expect(
+    canonical("HTTP://Example.COM:80/a/b/?z=1&a=2&utm_source=x#frag")
+  ).toBe("http://example.com/a/b?a=2&z=1");
+  expect(canonical("https://example.com/")).toBe("https://example.com/");
+  expect(canonical("https://example.com/a/", { trailingSlash: true })).toBe(
+    "https://example.com/a/"
+  );
+  expect(canonical("not a url")).toBe("not a url");
+});
+
+test("frontiers pop by priority, then in order", () => {
+  const frontier = new frontiers.Frontier();
+  frontier.push("http://a/1");
+  frontier.push("http://a/2", { priority: 5 });
+  frontier.push({ url: "http://a/3", name: "three" }, { depth: 2 });
+  frontier.push("http://a/4", { priority: 5 });
+  expect(frontier.size).toBe(4);
+  expect(frontier.pop()).toEqual({ url: "http://a/2", depth: 0, priority: 5 });
+  expect(frontier.pop().url).toBe("http://a/4");
+  expect(frontier.pop().url).toBe("http://a/1");
+  expect(frontier.pop()).toEqual({
+    url: "http://a/3",
+    name: "three",
+    depth: 2,
+    priority: 0
+  });
+  expect(frontier.pop()).toBe(null);
+});
+
+test("frontiers skip seen and too-deep targets", () => {
+  const frontier = new frontiers.Frontier({ maxDepth: 1 });
+  expect(frontier.push("http://a/1")).toBe(true);
+  expect(frontier.push("http://a/1#again")).toBe(false);
+  expect(frontier.push("http://a/2", { depth: 2 })).toBe(false);
+  expect(frontier.has("http://a/1/")).toBe(true);
+});
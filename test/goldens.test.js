@@ -0,0 +1,42 @@
+const path = require("path");
+
+const goldens = require("../lib/goldens");
+const { temporaryPath } = require("./helpers");
+
+test("differences are reported field by field", () => {
+  expect(goldens.diffValues([{ a: 1 }], [{ a: 1 }])).toEqual([]);
+  expect(
+    goldens.diffValues(
+      [{ name: "Widget", price: 10, tags: ["a"] }],
+      [{ name: "Widget", price: 12, tags: ["a", "b"], color: "red" }]
+    )
+  ).toEqual([
+    '[0].color: expected nothing, got "red"',
+    "[0].price: expected 10, got 12",
+    '[0].tags[1]: expected nothing, got "b"'
+  ]);
+  expect(goldens.diffValues({ a: 1 }, [1])).toEqual([
+    '(top): expected {"a":1}, got [1]'
+  ]);
+});
+
+test("golden files are created on update, then compared", () => {
+  const directory = temporaryPath();
+  const golden = new goldens.GoldenFile(
+    path.join(directory, "nested", "golden.json")
+  );
+
+  const missing = golden.compare([{ a: 1 }]);
+  expect(missing.matched).toBe(false);
+  expect(missing.differences[0]).toMatch(/No golden file/);
+
+  expect(golden.compare([{ a: 1 }], { update: true }).updated).toBe(true);
+  expect(golden.compare([{ a: 1 }]).matched).toBe(true);
+
+  const changed = golden.compare([{ a: 1 }, { a: 2 }]);
+  expect(changed.matched).toBe(false);
+  expect(changed.differences).toEqual([
+    "expected 1 records, got 2",
+    '[1]: expected nothing, got {"a":2}'
+  ]);
+});
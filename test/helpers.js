@@ -0,0 +1,28 @@
+/**
+ * @file Helpers shared by the tests.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const directories = [];
+
+afterAll(() => {
+  for (const directory of directories.splice(0)) {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+/**
+ * @description Make a fresh temporary directory, removed once the test file's
+ * tests are done, and return the path of the named file in it (or of the
+ * directory itself, if no name is given).
+ * @param {String} [name] The file name.
+ */
+const temporaryPath = (name = "") => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "jscrape-"));
+  directories.push(directory);
+  return path.join(directory, name);
+};
+exports.temporaryPath = temporaryPath;
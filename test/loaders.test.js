@@ -0,0 +1,27 @@
+const loaders = require("../lib/loaders");
+const records = require("../lib/records");
+
+test("classes load by module path and export, relative to the working directory", () => {
+  expect(loaders.loadClass("lib/records.Record")).toBe(records.Record);
+  expect(loaders.loadClass("lib/records.js", "Record")).toBe(records.Record);
+  expect(loaders.loadClass("lib/records", "RecordError")).toBe(
+    records.RecordError
+  );
+});
+
+test("named classes are instantiated with arguments", () => {
+  const processor = loaders.newClass(
+    "lib/processors.JSONLinesProcessor",
+    "Processor",
+    "out.jsonl",
+    { maxRecords: 10 }
+  );
+  expect(processor.path).toBe("out.jsonl");
+  expect(processor.maxRecords).toBe(10);
+});
+
+test("missing modules are errors", () => {
+  expect(() => loaders.loadClass("lib/nonexistent.Thing")).toThrow(
+    "Cannot find module"
+  );
+});
@@ -0,0 +1,114 @@
+const http = require("http");
+
+const pages = require("../lib/pages");
+const proxies = require("../lib/proxies");
+
+const HTML = `
+<html>
+  <head><base href="/catalog/"><style>.x { color: red }</style></head>
+  <body>
+    <h1 class="title">  Widgets
+      &amp; Gadgets </h1>
+    <ul id="items">
+      <li data-sku="w1"><a href="w1.html">Widget<br>One</a></li>
+      <li data-sku="w2"><a href="https://other.com/w2">Widget Two</a><script>x = 1;</script></li>
+    </ul>
+    <input type="checkbox" checked>
+  </body>
+</html>
+`;
+
+const page = () =>
+  new pages.StaticPage(HTML, { url: "http://shop.com/index.html" });
+
+test("static pages offer the same helpers as browser pages", async () => {
+  const p = page();
+  expect(await p.cleanText("h1")).toBe("Widgets & Gadgets");
+  expect(await p.text("nothing")).toBe("");
+  expect(await p.$("nothing")).toBe(null);
+
+  const items = await p.$$("#items li");
+  expect(items).toHaveLength(2);
+  expect(await items[0].attr("data-sku")).toBe("w1");
+  expect(await items[0].attr("a", "title")).toBe("");
+  expect(await items[0].text("a")).toBe("Widget\nOne");
+  expect(await items[1].cleanText()).toBe("Widget Two");
+  expect(await items[1].prop("a", "tagName")).toBe("A");
+
+  const parent = await (await items[0].$("a")).parentNode();
+  expect(await parent.attr("data-sku")).toBe("w1");
+});
+
+test("hrefs and other URL properties are absolute", async () => {
+  const p = page();
+  const links = await p.$$("a");
+  expect(await links[0].href()).toBe("http://shop.com/catalog/w1.html");
+  expect(await links[1].prop("href")).toBe("https://other.com/w2");
+  expect(await (await p.$("li")).href("a")).toBe(
+    "http://shop.com/catalog/w1.html"
+  );
+  expect(await (await p.$("input")).prop("checked")).toBe(true);
+});
+
+test("pages are fetched with retries, without a browser", async () => {
+  let requests = 0;
+  const server = http.createServer((request, response) => {
+    requests += 1;
+    if (requests == 1) {
+      response.writeHead(503);
+      response.end();
+    } else {
+      response.setHeader("Content-Type", "text/html");
+      response.end(HTML);
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/index.html`;
+
+  const events = [];
+  const browser = proxies.browserProxy(
+    {},
+    {
+      retry: { attempts: 2, delay: 1 },
+      eventHandler: event => events.push(event)
+    }
+  );
+
+  try {
+    const fetched = await browser.tryFetchPage(url);
+    expect(fetched).toBeInstanceOf(pages.StaticPage);
+    expect(fetched.status()).toBe(200);
+    expect(await fetched.cleanText("h1")).toBe("Widgets & Gadgets");
+    expect(requests).toBe(2);
+    expect(events).toEqual(["pageOpened"]);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test("a retryable status on the last attempt still yields the page", async () => {
+  let requests = 0;
+  const server = http.createServer((request, response) => {
+    requests += 1;
+    response.writeHead(503, { "Content-Type": "text/html" });
+    response.end(HTML);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/index.html`;
+
+  try {
+    for (const attempts of [1, 2]) {
+      requests = 0;
+      const browser = proxies.browserProxy(
+        {},
+        { retry: { attempts: attempts, delay: 1 } }
+      );
+      const fetched = await browser.tryFetchPage(url);
+      expect(fetched.status()).toBe(503);
+      expect(await fetched.cleanText("h1")).toBe("Widgets & Gadgets");
+      expect(requests).toBe(attempts);
+    }
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
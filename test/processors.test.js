@@ -0,0 +1,495 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const zlib = require("zlib");
+
+const processors = require("../lib/processors");
+const records = require("../lib/records");
+const { temporaryPath } = require("./helpers");
+
+const Database = require("better-sqlite3");
+
+const writeAll = async (processor, items) => {
+  await processor.open();
+  for (const item of items) {
+    await processor.process(item);
+  }
+  await processor.close();
+  return fs.readFileSync(processor.path, "utf8");
+};
+
+test("nested objects and arrays flatten into dotted keys", () => {
+  expect(
+    processors.flatten({ a: { b: 1, c: null }, tags: ["x", "y"], d: "e" })
+  ).toEqual({ "a.b": 1, "a.c": null, "tags.0": "x", "tags.1": "y", d: "e" });
+  expect(processors.flatten({ a: { b: 1 } }, "_")).toEqual({ a_b: 1 });
+});
+
+test("CSV fields are quoted and escaped only when they need to be", () => {
+  expect(processors.csvField("plain")).toBe("plain");
+  expect(processors.csvField(null)).toBe("");
+  expect(processors.csvField(12.5)).toBe("12.5");
+  expect(processors.csvField("a,b")).toBe('"a,b"');
+  expect(processors.csvField('say "hi"')).toBe('"say ""hi"""');
+  expect(processors.csvField("two\nlines")).toBe('"two\nlines"');
+  expect(processors.csvField(" padded")).toBe('" padded"');
+  expect(processors.csvField("a,b", ";")).toBe("a,b");
+  expect(processors.parseCsvLine('name,"a ""b"", c",d')).toEqual([
+    "name",
+    'a "b", c',
+    "d"
+  ]);
+});
+
+test("CSV columns are inferred from the items, in order", async () => {
+  const record = Object.assign(new records.Record(), { name: "Gizmo" });
+  const text = await writeAll(
+    new processors.CSVProcessor(temporaryPath("a.csv")),
+    [
+      { name: "Widget", price: { amount: 10, currency: "USD" } },
+      { name: "Gadget, deluxe", tags: ["new"] },
+      record
+    ]
+  );
+  expect(text).toBe(
+    "name,price.amount,price.currency,tags.0\n" +
+      "Widget,10,USD,\n" +
+      '"Gadget, deluxe",,,new\n' +
+      "Gizmo,,,\n"
+  );
+});
+
+test("columns found after the sample are left out", async () => {
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  let text = null;
+  try {
+    const processor = new processors.CSVProcessor(
+      temporaryPath("b.csv"),
+      null,
+      {
+        sample: 1
+      }
+    );
+    text = await writeAll(processor, [{ a: 1 }, { a: 2, b: 3 }, { b: 4 }]);
+    expect(error).toHaveBeenCalledTimes(1);
+  } finally {
+    error.mockRestore();
+  }
+  expect(text).toBe("a\n1\n2\n\n");
+});
+
+test("CSV files can be appended to, with their existing columns", async () => {
+  const file = temporaryPath("c.csv");
+  const options = { delimiter: ";", append: true };
+  await writeAll(new processors.CSVProcessor(file, ["b", "a"], options), [
+    { a: 1, b: "x;y" }
+  ]);
+  const text = await writeAll(
+    new processors.CSVProcessor(file, null, options),
+    [{ a: 2, b: 3 }]
+  );
+  expect(text).toBe('b;a\n"x;y";1\n3;2\n');
+
+  const replaced = await writeAll(new processors.CSVProcessor(file, ["a"]), [
+    { a: 4 }
+  ]);
+  expect(replaced).toBe("a\n4\n");
+});
+
+test("file processors must be opened before use", async () => {
+  const processor = new processors.CSVProcessor(temporaryPath("d.csv"));
+  await expect(processor.process({ a: 1 })).rejects.toThrow(
+    processors.ProcessorError
+  );
+  await processor.open();
+  await expect(processor.open()).rejects.toThrow(/already-opened/);
+  await processor.close();
+  await expect(processor.close()).rejects.toThrow(/un-opened/);
+});
+
+test("JSON Lines are compact, and only appear once finished", async () => {
+  const file = temporaryPath("out.jsonl");
+  const processor = new processors.JSONLinesProcessor(file);
+  await processor.open();
+  await processor.process({ name: "Widget", tags: ["a", "b"] });
+  await processor.process(Object.assign(new records.Record(), { n: 1 }));
+  expect(fs.existsSync(file)).toBe(false);
+  await processor.close();
+
+  expect(fs.readFileSync(file, "utf8")).toBe(
+    '{"name":"Widget","tags":["a","b"]}\n{"n":1}\n'
+  );
+  expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+  expect(processor.files).toEqual([file]);
+});
+
+test("JSON Lines rotate by count or size, and may be gzipped", async () => {
+  const items = [1, 2, 3, 4, 5].map(n => ({ n: n }));
+
+  const byCount = new processors.JSONLinesProcessor(
+    temporaryPath("out.jsonl.gz"),
+    {
+      maxRecords: 2
+    }
+  );
+  await byCount.open();
+  for (const item of items) {
+    await byCount.process(item);
+  }
+  await byCount.close();
+  expect(byCount.files.map(file => path.basename(file))).toEqual([
+    "out-00000.jsonl.gz",
+    "out-00001.jsonl.gz",
+    "out-00002.jsonl.gz"
+  ]);
+  expect(zlib.gunzipSync(fs.readFileSync(byCount.files[1])).toString()).toBe(
+    '{"n":3}\n{"n":4}\n'
+  );
+
+  // Each line is 8 bytes, so a file is full after two.
+  const bySize = new processors.JSONLinesProcessor(temporaryPath("out"), {
+    maxBytes: 12
+  });
+  await bySize.open();
+  for (const item of items) {
+    await bySize.process(item);
+  }
+  await bySize.close();
+  expect(bySize.files.map(file => path.basename(file))).toEqual([
+    "out-00000",
+    "out-00001",
+    "out-00002"
+  ]);
+  expect(fs.readFileSync(bySize.files[2], "utf8")).toBe('{"n":5}\n');
+});
+
+test("JSON Lines may be appended to, continuing where an earlier run left off", async () => {
+  const file = temporaryPath("out.jsonl");
+  await writeAll(new processors.JSONLinesProcessor(file), [{ n: 1 }]);
+  fs.writeFileSync(`${file}.tmp`, '{"n":2}\n{"n":');
+  const appending = new processors.JSONLinesProcessor(file, { append: true });
+  expect(await writeAll(appending, [{ n: 3 }])).toBe(
+    '{"n":1}\n{"n":2}\n{"n":\n{"n":3}\n'
+  );
+
+  const rotating = temporaryPath("out.jsonl.gz");
+  const write = async (append, items) => {
+    const processor = new processors.JSONLinesProcessor(rotating, {
+      maxRecords: 2,
+      append: append
+    });
+    await processor.open();
+    for (const item of items) {
+      await processor.process(item);
+    }
+    await processor.close();
+    return processor.files.map(name => path.basename(name));
+  };
+  expect(await write(false, [{ n: 1 }, { n: 2 }, { n: 3 }])).toEqual([
+    "out-00000.jsonl.gz",
+    "out-00001.jsonl.gz"
+  ]);
+  expect(await write(true, [{ n: 4 }])).toEqual(["out-00002.jsonl.gz"]);
+  expect(await write(false, [{ n: 5 }])).toEqual(["out-00000.jsonl.gz"]);
+});
+
+test("gzipped JSON Lines a crashed run left unfinished are recovered", async () => {
+  const file = temporaryPath("out.jsonl.gz");
+  await writeAll(new processors.JSONLinesProcessor(file), [{ n: 1 }]);
+
+  // A crash leaves a gzip stream that was flushed, but never finished.
+  const gzip = zlib.createGzip();
+  const chunks = [];
+  gzip.on("data", chunk => chunks.push(chunk));
+  gzip.write('{"n":2}\n{"n":');
+  await new Promise(resolve => gzip.flush(resolve));
+  fs.writeFileSync(`${file}.tmp`, Buffer.concat(chunks));
+
+  const appending = new processors.JSONLinesProcessor(file, { append: true });
+  await appending.open();
+  await appending.process({ n: 3 });
+  await appending.close();
+  expect(zlib.gunzipSync(fs.readFileSync(file)).toString()).toBe(
+    '{"n":1}\n{"n":2}\n{"n":3}\n'
+  );
+  expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+
+  // What can't be read at all is set aside.
+  fs.writeFileSync(`${file}.tmp`, "not gzip");
+  const again = new processors.JSONLinesProcessor(file, { append: true });
+  await again.open();
+  await again.process({ n: 4 });
+  await again.close();
+  expect(zlib.gunzipSync(fs.readFileSync(file)).toString()).toMatch(
+    /\{"n":4\}\n$/
+  );
+  expect(fs.readFileSync(`${file}.tmp.unreadable`, "utf8")).toBe("not gzip");
+});
+
+test("resumed runs append to their output", () => {
+  const runners = require("../lib/runners");
+  const output = temporaryPath("out.jsonl");
+  expect(new runners.Runner({ output }).defaultProcessor.append).toBe(false);
+  const resumed = new runners.Runner({
+    output,
+    resume: temporaryPath("c.json")
+  });
+  expect(resumed.defaultProcessor.append).toBe(true);
+});
+
+test("records flatten into SQL columns", () => {
+  expect(
+    processors.sqlColumns({
+      sku: "w1",
+      price: { amount: 10.5 },
+      tags: ["a"],
+      sale: true,
+      gone: undefined
+    })
+  ).toEqual({
+    sku: "w1",
+    "price.amount": 10.5,
+    tags: '["a"]',
+    sale: 1,
+    gone: null
+  });
+});
+
+test("SQLite tables are created, migrated and upserted", async () => {
+  class Product extends records.Record {}
+  const file = temporaryPath("scrape.db");
+  const run = async items => {
+    const processor = new processors.SQLiteProcessor(file, {
+      key: { Product: "sku" },
+      batchSize: 2
+    });
+    await processor.open();
+    for (const item of items) {
+      await processor.process(item, item.constructor.name);
+    }
+    await processor.close();
+  };
+
+  await run([
+    Object.assign(new Product(), { sku: "w1", name: "Widget", price: 10 }),
+    Object.assign(new Product(), { sku: "g1", name: "Gadget", price: 25 }),
+    Object.assign(new records.Record(), { url: "http://a.com/" })
+  ]);
+  await run([
+    Object.assign(new Product(), { sku: "w1", price: 12, stock: { count: 3 } }),
+    Object.assign(new records.Record(), { url: "http://a.com/" })
+  ]);
+
+  const db = new Database(file, { readonly: true });
+  try {
+    expect(db.prepare("SELECT * FROM Product ORDER BY sku").all()).toEqual([
+      { sku: "g1", name: "Gadget", price: 25, "stock.count": null },
+      { sku: "w1", name: "Widget", price: 12, "stock.count": 3 }
+    ]);
+    expect(db.prepare("SELECT COUNT(*) AS n FROM Record").get().n).toBe(2);
+  } finally {
+    db.close();
+  }
+});
+
+test("SQLite records missing their key are rejected", async () => {
+  class Product extends records.Record {}
+  const processor = new processors.SQLiteProcessor(temporaryPath("scrape.db"), {
+    key: { Product: "sku" }
+  });
+  await processor.open();
+  try {
+    await processor.process(
+      Object.assign(new Product(), { sku: "w1", name: "Widget" })
+    );
+    await expect(
+      processor.process(Object.assign(new Product(), { name: "Gadget" }))
+    ).rejects.toThrow(processors.ProcessorError);
+    await expect(
+      processor.process(Object.assign(new Product(), { sku: null }))
+    ).rejects.toThrow(/missing its key field sku/);
+  } finally {
+    await processor.close();
+  }
+});
+
+test("SQLite needs better-sqlite3", () => {
+  jest.isolateModules(() => {
+    jest.doMock("better-sqlite3", () => {
+      throw new Error("Cannot find module 'better-sqlite3'");
+    });
+    const isolated = require("../lib/processors");
+    expect(() => isolated.SQLiteProcessor.loadDatabase()).toThrow(
+      /npm install better-sqlite3/
+    );
+  });
+});
+
+// A stand-in endpoint that answers with the given statuses, then 200s.
+const endpoint = async (statuses = []) => {
+  const received = [];
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", chunk => (body += chunk));
+    request.on("end", () => {
+      received.push({ type: request.headers["content-type"], body: body });
+      response.writeHead(statuses.shift() || 200);
+      response.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/ingest`,
+    received: received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const quietly = async f => {
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  try {
+    return await f();
+  } finally {
+    error.mockRestore();
+  }
+};
+
+test("records are POSTed in batches, by size and by time", async () => {
+  const server = await endpoint();
+  try {
+    const processor = new processors.HTTPProcessor(server.url, {
+      format: "ndjson",
+      batchSize: 2,
+      flushInterval: 20
+    });
+    await processor.open();
+    for (const n of [1, 2, 3]) {
+      await processor.process({ n: n });
+    }
+    expect(server.received).toEqual([
+      { type: "application/x-ndjson", body: '{"n":1}\n{"n":2}\n' }
+    ]);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(server.received[1].body).toBe('{"n":3}\n');
+
+    await processor.process({ n: 4 });
+    await processor.close();
+    expect(server.received.map(request => request.body)).toEqual([
+      '{"n":1}\n{"n":2}\n',
+      '{"n":3}\n',
+      '{"n":4}\n'
+    ]);
+    expect(processor.delivered).toBe(4);
+  } finally {
+    await server.close();
+  }
+});
+
+test("failed batches are retried, then spilled to a dead-letter file", async () => {
+  const server = await endpoint([503, 200, 503, 503, 400]);
+  const deadLetter = temporaryPath("dead.jsonl");
+  try {
+    const processor = new processors.HTTPProcessor(server.url, {
+      batchSize: 10,
+      flushInterval: 0,
+      retry: { attempts: 2, delay: 1 },
+      deadLetter: deadLetter
+    });
+    await quietly(async () => {
+      await processor.process({ n: 1 });
+      await processor.flush(); // 503, then 200
+      await processor.process({ n: 2 });
+      await processor.flush(); // 503, 503: gives up
+      await processor.process({ n: 3 });
+      await processor.close(); // 400: not worth retrying
+    });
+
+    expect(server.received.map(request => request.body)).toEqual([
+      '[{"n":1}]',
+      '[{"n":1}]',
+      '[{"n":2}]',
+      '[{"n":2}]',
+      '[{"n":3}]'
+    ]);
+    expect(processor.delivered).toBe(1);
+    expect(processor.deadLettered).toBe(2);
+    expect(fs.readFileSync(deadLetter, "utf8")).toBe('{"n":2}\n{"n":3}\n');
+  } finally {
+    await server.close();
+  }
+});
+
+test("without a dead-letter file, failed batches are errors", async () => {
+  const server = await endpoint([400]);
+  try {
+    const processor = new processors.HTTPProcessor(server.url, {
+      flushInterval: 0,
+      deadLetter: false
+    });
+    await processor.process({ n: 1 });
+    await expect(processor.close()).rejects.toThrow(/HTTP 400/);
+  } finally {
+    await server.close();
+  }
+});
+
+test("collecting processors keep items in memory", async () => {
+  const processor = new processors.CollectingProcessor();
+  await processor.process({ a: 1 });
+  expect(processor.items).toEqual([{ a: 1 }]);
+});
+
+class Product extends records.Record {}
+class Review extends records.Record {}
+
+test("records are routed by class, scraper and predicate, or to the fallback", async () => {
+  const products = new processors.CollectingProcessor();
+  const shop = new processors.CollectingProcessor();
+  const cheap = new processors.CollectingProcessor();
+  const rest = new processors.CollectingProcessor();
+  const router = new processors.RoutingProcessor(rest)
+    .route(products, { recordType: Product })
+    .route(shop, { scraper: ["shop", "outlet"] })
+    .route(cheap, { recordType: "Product", when: record => record.price < 5 })
+    .route(products, "Review");
+
+  const bargain = Object.assign(new Product(), { price: 1 });
+  const review = new Review();
+  const other = new records.Record();
+  await router.open();
+  await router.process(bargain, "Product", "shop");
+  await router.process(review, "Review", "blog");
+  await router.process(other, "Record", "blog");
+  await router.process(new records.Record(), "Product", "blog");
+  await router.close();
+
+  expect(products.items).toEqual([bargain, review, expect.anything()]);
+  expect(shop.items).toEqual([bargain]);
+  expect(cheap.items).toEqual([bargain]);
+  expect(rest.items).toEqual([other]);
+  expect(router.processors).toEqual([rest, products, shop, cheap]);
+});
+
+test("processors are made from configuration, with paths relative to it", () => {
+  const file = temporaryPath("processors.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify([
+      { type: "csv", path: "products.csv", recordType: "Product" },
+      { type: "jsonl", path: "out/rest.jsonl", fallback: true },
+      { type: "http", url: "http://localhost/", options: { batchSize: 5 } }
+    ])
+  );
+
+  const entries = processors.readProcessorConfig(file);
+  const made = entries.map(processors.processorFromConfig);
+  expect(made[0]).toBeInstanceOf(processors.CSVProcessor);
+  expect(made[0].path).toBe(path.join(path.dirname(file), "products.csv"));
+  expect(made[1]).toBeInstanceOf(processors.JSONLinesProcessor);
+  expect(made[1].path).toBe(path.join(path.dirname(file), "out/rest.jsonl"));
+  expect(made[2].batchSize).toBe(5);
+  expect(() => processors.processorFromConfig({ type: "nope" })).toThrow(
+    processors.ProcessorError
+  );
+});
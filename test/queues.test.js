@@ -0,0 +1,49 @@
+const queues = require("../lib/queues");
+const { temporaryPath } = require("./helpers");
+
+test("queues lease in order and ignore duplicate payloads", () => {
+  const queue = new queues.FileQueue(temporaryPath("queue.jsonl"));
+  queue.open();
+  expect(queue.push("http://a/")).toBe(1);
+  expect(queue.push({ url: "http://b/" })).toBe(2);
+  expect(queue.push("http://a/")).toBe(null);
+  expect(queue.lease().payload).toBe("http://a/");
+  expect(queue.lease().payload).toEqual({ url: "http://b/" });
+  expect(queue.lease()).toBe(null);
+  expect(queue.leasedCount).toBe(2);
+  queue.close(true);
+});
+
+test("released jobs are retried, then dropped", () => {
+  const queue = new queues.FileQueue(temporaryPath("queue.jsonl"), {
+    maxAttempts: 2
+  });
+  queue.open();
+  queue.push("http://a/");
+  const job = queue.lease();
+  expect(queue.release(job.id)).toBe(true);
+  expect(queue.lease().attempts).toBe(1);
+  expect(queue.release(job.id)).toBe(false);
+  expect(queue.pendingCount + queue.leasedCount).toBe(0);
+  queue.close(true);
+});
+
+test("reopening a journal recovers unfinished jobs", () => {
+  const journal = temporaryPath("queue.jsonl");
+  const queue = new queues.FileQueue(journal);
+  queue.open();
+  queue.push("http://a/");
+  queue.push("http://b/");
+  queue.push("http://c/");
+  queue.ack(queue.lease().id);
+  queue.lease(); // leased by a worker that never finished
+  queue.close();
+
+  const reopened = new queues.FileQueue(journal);
+  reopened.open();
+  expect(reopened.pendingCount).toBe(2);
+  expect(reopened.push("http://a/")).toBe(null);
+  expect(reopened.push("http://d/")).toBe(4);
+  expect(reopened.lease().payload).toBe("http://b/");
+  reopened.close(true);
+});
@@ -0,0 +1,81 @@
+const ratelimits = require("../lib/ratelimits");
+const utils = require("../lib/utils");
+
+test("domain overrides apply to subdomains, most specific first", () => {
+  const limiter = new ratelimits.RateLimiter({
+    interval: 1000,
+    domains: {
+      "example.com": { interval: 500, burst: 3 },
+      "cdn.example.com": { interval: 0 }
+    }
+  });
+  expect(limiter.limitsFor("other.org").interval).toBe(1000);
+  expect(limiter.limitsFor("www.example.com")).toMatchObject({
+    interval: 500,
+    burst: 3
+  });
+  expect(limiter.limitsFor("cdn.example.com")).toMatchObject({
+    interval: 0,
+    burst: 3
+  });
+});
+
+test("hosts are rate limited independently", async () => {
+  const limiter = new ratelimits.RateLimiter({ interval: 100 });
+  const started = new Date().getTime();
+  (await limiter.acquire("http://a.com/1"))();
+  (await limiter.acquire("http://b.com/1"))();
+  expect(new Date().getTime() - started).toBeLessThan(50);
+  (await limiter.acquire("http://a.com/2"))();
+  expect(new Date().getTime() - started).toBeGreaterThanOrEqual(90);
+});
+
+test("bursts are allowed before the rate applies", async () => {
+  const limiter = new ratelimits.RateLimiter({ interval: 200, burst: 3 });
+  const started = new Date().getTime();
+  for (let i = 0; i < 3; i++) {
+    (await limiter.acquire("http://a.com/"))();
+  }
+  expect(new Date().getTime() - started).toBeLessThan(50);
+});
+
+test("in-flight requests per host are capped", async () => {
+  const limiter = new ratelimits.RateLimiter({ maxInFlight: 2 });
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const load = async () => {
+    const release = await limiter.acquire("http://a.com/");
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await utils.sleep(10);
+    inFlight -= 1;
+    release();
+  };
+  await Promise.all([load(), load(), load(), load(), load()]);
+  expect(maxInFlight).toBe(2);
+});
+
+test("navigations that fail to clear cookies still give up their slot", async () => {
+  const EventEmitter = require("events");
+  const proxies = require("../lib/proxies");
+
+  const rawPage = new EventEmitter();
+  rawPage.url = () => "http://a.com/";
+  rawPage.setUserAgent = async () => {};
+  rawPage.setViewport = async () => {};
+  rawPage.cookies = async () => {
+    throw new Error("Target closed.");
+  };
+  const browser = proxies.browserProxy(
+    { newPage: async () => rawPage },
+    { clearCookies: true, rateLimit: { interval: 0, maxInFlight: 1 } }
+  );
+  const page = await browser.newPage();
+  const element = { click: async () => {} };
+
+  const timeout = new Promise(resolve => setTimeout(resolve, 500, "stuck"));
+  expect(await page.clickAndNavigate(element)).toBe(false);
+  expect(await Promise.race([page.clickAndNavigate(element), timeout])).toBe(
+    false
+  );
+});
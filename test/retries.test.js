@@ -0,0 +1,72 @@
+const retries = require("../lib/retries");
+
+test("backoff grows exponentially up to a maximum", () => {
+  const policy = new retries.RetryPolicy({
+    delay: 100,
+    maxDelay: 500,
+    jitter: 0
+  });
+  expect([1, 2, 3, 4].map(attempt => policy.backoff(attempt))).toEqual([
+    100,
+    200,
+    400,
+    500
+  ]);
+});
+
+test("backoff jitter shaves off at most the jitter fraction", () => {
+  const policy = new retries.RetryPolicy({ delay: 100, jitter: 0.5 });
+  policy.random = () => 1;
+  expect(policy.backoff(1)).toBe(50);
+});
+
+test("errors are retryable by name, message or status", () => {
+  const policy = new retries.RetryPolicy();
+  const timeout = new Error("Navigation Timeout Exceeded");
+  timeout.name = "TimeoutError";
+  expect(policy.isRetryable(timeout)).toBe(true);
+  expect(policy.isRetryable(new Error("net::ERR_CONNECTION_RESET"))).toBe(true);
+  expect(policy.isRetryable(new Error("Session closed."))).toBe(false);
+  expect(policy.isRetryable({ status: 503 })).toBe(true);
+  expect(policy.isRetryable({ status: 404 })).toBe(false);
+});
+
+test("run retries until success or attempts run out", async () => {
+  const policy = new retries.RetryPolicy({ attempts: 3, delay: 1 });
+  const flaky = jest.fn(async attempt => {
+    if (attempt < 3) {
+      throw new Error("net::ERR_FAILED");
+    }
+    return "ok";
+  });
+  expect(await policy.run(flaky)).toBe("ok");
+  expect(flaky).toHaveBeenCalledTimes(3);
+
+  const broken = jest.fn(async () => {
+    throw new Error("net::ERR_FAILED");
+  });
+  await expect(policy.run(broken)).rejects.toThrow("net::ERR_FAILED");
+  expect(broken).toHaveBeenCalledTimes(3);
+});
+
+test("page loads know which attempt is their last", async () => {
+  const proxies = require("../lib/proxies");
+  const browser = proxies.browserProxy(
+    {},
+    { retry: { attempts: 3, delay: 1 }, errorHandler: () => {} }
+  );
+
+  const finals = [];
+  const failing = error => async isFinal => {
+    finals.push(isFinal(error));
+    throw error;
+  };
+  expect(
+    await browser.tryLoad("http://a/", failing(new Error("net::ERR_FAILED")))
+  ).toBe(null);
+  expect(finals).toEqual([false, false, true]);
+
+  finals.length = 0;
+  await browser.tryLoad("http://a/", failing(new Error("Session closed.")));
+  expect(finals).toEqual([true]);
+});
@@ -0,0 +1,46 @@
+const robots = require("../lib/robots");
+
+const ROBOTS_TXT = `
+# comments are ignored
+User-agent: *
+Disallow: /private/
+Allow: /private/public.html
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: jscrape
+User-agent: otherbot
+Disallow: /
+Allow: /team
+`;
+
+test("robots.txt is parsed into groups", () => {
+  const groups = robots.parseRobots(ROBOTS_TXT);
+  expect(groups.length).toBe(2);
+  expect(groups[0].crawlDelay).toBe(2);
+  expect(groups[1].agents).toEqual(["jscrape", "otherbot"]);
+});
+
+test("the longest matching rule wins", () => {
+  const rules = robots.RobotsRules.parse(ROBOTS_TXT);
+  const allowed = path => rules.isAllowed(`http://a.com${path}`, "somebot");
+  expect(allowed("/")).toBe(true);
+  expect(allowed("/private/secret.html")).toBe(false);
+  expect(allowed("/private/public.html")).toBe(true);
+  expect(allowed("/files/report.pdf")).toBe(false);
+  expect(allowed("/files/report.pdf?download=1")).toBe(true);
+});
+
+test("named agents take precedence over the fallback group", () => {
+  const rules = robots.RobotsRules.parse(ROBOTS_TXT);
+  expect(rules.isAllowed("http://a.com/about", "jscrape/1.0")).toBe(false);
+  expect(rules.isAllowed("http://a.com/team/dave", "jscrape/1.0")).toBe(true);
+  expect(rules.crawlDelay("jscrape")).toBe(null);
+  expect(rules.crawlDelay("somebot")).toBe(2);
+});
+
+test("non-web URLs are always allowed", async () => {
+  const cache = new robots.RobotsCache();
+  const result = await cache.check("file:///tmp/fixture.html");
+  expect(result.allowed).toBe(true);
+});
@@ -0,0 +1,198 @@
+const processors = require("../lib/processors");
+const records = require("../lib/records");
+const runners = require("../lib/runners");
+
+class Product extends records.Record {}
+
+test("runners fan records out to every matching processor, or the default", async () => {
+  const runner = new runners.Runner();
+  const fallback = new processors.CollectingProcessor();
+  const all = new processors.CollectingProcessor();
+  const products = new processors.CollectingProcessor();
+  const typed = new processors.CollectingProcessor();
+  runner.defaultProcessor = fallback;
+  runner.addProcessor(products, { recordType: Product, scraper: "shop" });
+  runner.addProcessor(all, { when: record => record.keep });
+  runner.processors.Product = typed;
+
+  const processed = [];
+  runner.on("recordProcessed", ({ processor }) => processed.push(processor));
+
+  const product = new Product();
+  const plain = new records.Record();
+  runner.currentScraperName = "shop";
+  await runner.processRecord(product);
+  await runner.processRecord(plain);
+  await runner.processRecord(Object.assign(new records.Record(), { keep: 1 }));
+
+  expect(processed).toEqual([typed, products, fallback, all]);
+  expect(runner.allProcessors()).toEqual([fallback, typed, products, all]);
+});
+
+test("runners pass records through their transforms before processing", async () => {
+  const runner = new runners.Runner({
+    transforms: [{ kind: "drop", fn: record => record.junk }]
+  });
+  runner.transforms.split(record => [record, { copy: true }]);
+  const dropped = [];
+  runner.on("recordDropped", ({ record }) => dropped.push(record));
+
+  const junk = Object.assign(new Product(), { junk: true });
+  expect(await runner.transformRecord(junk)).toEqual([]);
+  expect(dropped).toEqual([junk]);
+
+  const results = await runner.transformRecord(new Product());
+  expect(results.map(result => result.recordType)).toEqual([
+    "Product",
+    "Product"
+  ]);
+  expect(results[1].record).toEqual({ copy: true });
+});
+
+test("records that fail validation are never processed", async () => {
+  class LenientRunner extends runners.Runner {
+    handleError(error) {
+      this.errors = (this.errors || []).concat([error]);
+    }
+  }
+  class Strict extends records.Record {
+    validate() {
+      if (!this.name) {
+        throw new records.RecordError("no name");
+      }
+    }
+  }
+
+  const runner = new LenientRunner();
+  const rejected = [];
+  runner.on("recordRejected", ({ record }) => rejected.push(record));
+  expect(runner.prepareRecord(new Strict())).toBe(null);
+  expect(rejected.length).toBe(1);
+  expect(runner.errors[0].message).toBe("no name");
+  expect(runner.prepareRecord({ name: "ok" })).toEqual({ name: "ok" });
+});
+
+test("scrapers that set their own rate limits get their own limiter", () => {
+  const runner = new runners.Runner({
+    rateLimit: { requests: 3, interval: 1000, maxInFlight: 2 }
+  });
+  expect(runner.rateLimiterFor(null)).toBe(runner.rateLimiter);
+  expect(runner.rateLimiterFor({ concurrency: 2 })).toBe(runner.rateLimiter);
+  expect(runner.rateLimiter.limitsFor("a.com").interval).toBe(1000);
+
+  const throttled = { throttle: 5000 };
+  const limiter = runner.rateLimiterFor(throttled);
+  expect(limiter).not.toBe(runner.rateLimiter);
+  expect(runner.rateLimiterFor(throttled)).toBe(limiter);
+  expect(limiter.limitsFor("a.com")).toMatchObject({
+    requests: 1,
+    interval: 5000,
+    maxInFlight: 2
+  });
+
+  const limited = runner.rateLimiterFor({
+    rateLimit: { requests: 2, interval: 100 }
+  });
+  expect(limited.limitsFor("a.com")).toMatchObject({
+    requests: 2,
+    interval: 100
+  });
+});
+
+class TrackingProcessor extends processors.Processor {
+  constructor(log, name, failOn = null) {
+    super();
+    this.log = log;
+    this.name = name;
+    this.failOn = failOn;
+  }
+
+  async open() {
+    this.step("open");
+  }
+
+  async process(item) {
+    this.step("process");
+  }
+
+  async close() {
+    this.step("close");
+  }
+
+  step(step) {
+    this.log.push(`${this.name} ${step}`);
+    if (step == this.failOn) {
+      throw new Error(`${this.name} can't ${step}`);
+    }
+  }
+}
+
+test("only processors that opened are closed, each whatever the others do", async () => {
+  const log = [];
+  const runner = new runners.Runner();
+  runner.defaultProcessor = new TrackingProcessor(log, "default");
+  runner.addProcessor(new TrackingProcessor(log, "a"));
+  runner.addProcessor(new TrackingProcessor(log, "b", "open"));
+  runner.addProcessor(new TrackingProcessor(log, "c"));
+  await expect(runner.run([])).rejects.toThrow("b can't open");
+  expect(log).toEqual([
+    "default open",
+    "a open",
+    "b open",
+    "a close",
+    "default close"
+  ]);
+
+  log.length = 0;
+  const closing = new runners.Runner();
+  closing.defaultProcessor = new TrackingProcessor(log, "default");
+  closing.addProcessor(new TrackingProcessor(log, "a", "close"));
+  const ended = jest.fn();
+  closing.on("runEnd", ended);
+  await expect(closing.run([])).rejects.toThrow("a can't close");
+  expect(log).toEqual(["default open", "a open", "a close", "default close"]);
+  expect(ended).toHaveBeenCalled();
+});
+
+test("a failing processor doesn't keep a record from the others, but is an error", async () => {
+  const log = [];
+  const runner = new runners.Runner();
+  runner.addProcessor(new TrackingProcessor(log, "a", "process"));
+  runner.addProcessor(new TrackingProcessor(log, "b"));
+  // (Wrapped errors keep the original message in their stack.)
+  await expect(runner.processRecord(new Product())).rejects.toMatchObject({
+    stack: expect.stringContaining("a can't process")
+  });
+  expect(log).toEqual(["a process", "b process"]);
+});
+
+test("abandoning stops waiting on the scraper, and closes it once it settles", async () => {
+  let release = null;
+  const stuck = new Promise(resolve => (release = resolve));
+  let closed = false;
+  const scraper = {
+    async *scrape() {
+      try {
+        yield { n: 1 };
+        await stuck;
+        yield { n: 2 };
+      } finally {
+        closed = true;
+      }
+    }
+  };
+
+  const runner = new runners.Runner({ hardTimeout: 0 });
+  const seen = [];
+  for await (const item of runner.getScraperItems(null, scraper)) {
+    seen.push(item);
+    setTimeout(() => runner.abandon(), 10);
+  }
+  expect(seen).toEqual([{ n: 1 }]);
+  expect(runner._onAbandon).toBe(null);
+  expect(closed).toBe(false);
+
+  release();
+  await new Promise(resolve => setImmediate(resolve));
+  expect(closed).toBe(true);
+});
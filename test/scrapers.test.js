@@ -0,0 +1,234 @@
+const scrapers = require("../lib/scrapers");
+const utils = require("../lib/utils");
+const { temporaryPath } = require("./helpers");
+
+// A stand-in for a proxied puppeteer Browser, serving a tiny link graph.
+const LINKS = {
+  "http://a/": ["http://a/1", "http://a/2#top", "http://a/1/"],
+  "http://a/1": ["http://a/", "http://a/3?utm_source=x"],
+  "http://a/2": ["http://a/3"],
+  "http://a/3": []
+};
+
+const fakeBrowser = () => ({
+  opened: [],
+  fetched: [],
+  async tryOpenPage(url) {
+    this.opened.push(url);
+    await utils.sleep(5);
+    return { url: () => url, close: async () => {} };
+  },
+  async tryFetchPage(url) {
+    this.fetched.push(url);
+    return { url: () => url, close: async () => {} };
+  }
+});
+
+class LinkScraper extends scrapers.Scraper {
+  async *process(page, target) {
+    for (const link of LINKS[
+      page
+        .url()
+        .split("#")[0]
+        .split("?")[0]
+    ]) {
+      this.enqueue(link, { from: target });
+    }
+    yield { url: page.url(), depth: target.depth || 0 };
+  }
+}
+LinkScraper.targets = ["http://a/"];
+
+const collect = async iterable => {
+  const results = [];
+  for await (const result of iterable) {
+    results.push(result);
+  }
+  return results;
+};
+
+test("enqueued targets are scraped once each", async () => {
+  for (const concurrency of [1, 3]) {
+    const browser = fakeBrowser();
+    const scraper = new LinkScraper(null);
+    const records = await collect(scraper.scrape(browser, { concurrency }));
+    expect(browser.opened.sort()).toEqual([
+      "http://a/",
+      "http://a/1",
+      "http://a/2#top",
+      "http://a/3?utm_source=x"
+    ]);
+    expect(records.length).toBe(4);
+  }
+});
+
+test("a resumed crawl picks up targets enqueued by finished ones", async () => {
+  const checkpoints = require("../lib/checkpoints");
+  const checkpointPath = temporaryPath("checkpoint.json");
+
+  // The first run dies after its first target, with its children queued.
+  const first = new checkpoints.CheckpointStore(checkpointPath);
+  const scraper = new LinkScraper(null);
+  for await (const record of scraper.scrape(fakeBrowser(), {
+    checkpoint: first
+  })) {
+    scraper.stop();
+  }
+  first.save();
+  expect(first.pending("LinkScraper").map(target => target.url)).toEqual([
+    "http://a/1",
+    "http://a/2#top"
+  ]);
+
+  const resumed = new checkpoints.CheckpointStore(checkpointPath);
+  resumed.load();
+  const browser = fakeBrowser();
+  await collect(
+    new LinkScraper(null, ["http://a/", "http://a/"]).scrape(browser, {
+      checkpoint: resumed
+    })
+  );
+  expect(browser.opened.sort()).toEqual([
+    "http://a/1",
+    "http://a/2#top",
+    "http://a/3?utm_source=x"
+  ]);
+  expect(resumed.pending("LinkScraper")).toEqual([]);
+});
+
+test("disallowed targets are skipped, not failed, and visited URLs aren't revisited", async () => {
+  const checkpoints = require("../lib/checkpoints");
+  const checkpoint = new checkpoints.CheckpointStore(temporaryPath("c.json"));
+  checkpoint.markVisited("http://a/3?utm_source=x");
+
+  const browser = fakeBrowser();
+  browser.allowsUrl = async url => url != "http://a/2#top";
+  await collect(new LinkScraper(null).scrape(browser, { checkpoint }));
+
+  expect(browser.opened.sort()).toEqual(["http://a/", "http://a/1"]);
+  expect(Object.values(checkpoint.skips("LinkScraper"))).toEqual([
+    "disallowed by robots.txt"
+  ]);
+  expect(checkpoint.failures("LinkScraper")).toEqual({});
+  expect(checkpoint.pending("LinkScraper")).toEqual([]);
+});
+
+test("errors fatal to a target save artifacts of its page", async () => {
+  const artifacts = require("../lib/artifacts");
+  const fs = require("fs");
+  const store = new artifacts.ArtifactStore(temporaryPath());
+
+  class FatalScraper extends scrapers.Scraper {
+    async *process(page, target) {
+      throw new Error("Session closed.");
+    }
+  }
+  FatalScraper.targets = ["http://a/"];
+  const scraper = new FatalScraper({ artifacts: store, emitEvent: () => {} });
+  const browser = {
+    async tryOpenPage(url) {
+      return {
+        url: () => url,
+        screenshot: async () => Buffer.from("png"),
+        content: async () => "<html>broken</html>",
+        close: async () => {}
+      };
+    }
+  };
+
+  const error = await collect(scraper.scrape(browser)).catch(error => error);
+  expect(error.message).toBe("Session closed.");
+  expect(error.artifactSnapshot).toBeUndefined();
+  expect(fs.readFileSync(error.artifacts.html, "utf8")).toBe(
+    "<html>broken</html>"
+  );
+});
+
+test("enqueued targets deeper than maxDepth are ignored", async () => {
+  class ShallowScraper extends LinkScraper {}
+  ShallowScraper.maxDepth = 1;
+  const records = await collect(
+    new ShallowScraper(null).scrape(fakeBrowser(), {})
+  );
+  expect(records.map(record => record.depth)).toEqual([0, 1, 1]);
+});
+
+test("target events are announced through the runner", async () => {
+  const events = [];
+  const runner = {
+    emitEvent: (event, context) => events.push([event, context])
+  };
+  const scraper = new LinkScraper(runner);
+  await collect(scraper.scrape(fakeBrowser()));
+  const starts = events.filter(([event]) => event == "targetStart");
+  const ends = events.filter(([event]) => event == "targetEnd");
+  expect(starts.length).toBe(4);
+  expect(ends.length).toBe(4);
+  expect(ends[0][1]).toMatchObject({
+    scraper: "LinkScraper",
+    url: "http://a/",
+    succeeded: true
+  });
+  expect(ends[0][1].milliseconds).toBeGreaterThanOrEqual(0);
+});
+
+test("stop() ends the scrape once targets in progress finish", async () => {
+  const browser = fakeBrowser();
+  const scraper = new LinkScraper(null);
+  const records = [];
+  for await (const record of scraper.scrape(browser, { concurrency: 2 })) {
+    records.push(record);
+    scraper.stop();
+  }
+  expect(records.length).toBeLessThan(4);
+  expect(browser.opened.length).toBe(records.length);
+});
+
+test("with a BrowserManager, a crashed browser only fails its own target", async () => {
+  const EventEmitter = require("events");
+  const browsers = require("../lib/browsers");
+
+  const launched = [];
+  const manager = new browsers.BrowserManager(async () => {
+    const browser = Object.assign(new EventEmitter(), fakeBrowser());
+    browser.close = async () => {};
+    launched.push(browser);
+    return browser;
+  });
+
+  class CrashingScraper extends LinkScraper {
+    async *process(page, target) {
+      if (page.url() == "http://a/1") {
+        throw new Error("Protocol error: Session closed.");
+      }
+      yield* super.process(page, target);
+    }
+  }
+
+  const scraper = new CrashingScraper(null);
+  const records = await collect(
+    scraper.scrape(await manager.current(), { browsers: manager })
+  );
+  expect(records.map(record => record.url).sort()).toEqual([
+    "http://a/",
+    "http://a/2#top",
+    "http://a/3"
+  ]);
+  expect(launched.length).toBe(2);
+  expect(manager.crashes).toBe(1);
+});
+
+test("targets in fetch mode are fetched rather than opened", async () => {
+  class FetchingScraper extends LinkScraper {
+    fetchMode(target) {
+      return this.urlFromTarget(target).includes("/1");
+    }
+  }
+
+  const browser = fakeBrowser();
+  const scraper = new FetchingScraper(null);
+  const records = await collect(scraper.scrape(browser));
+  expect(records.length).toBe(4);
+  expect(browser.fetched).toEqual(["http://a/1"]);
+  expect(browser.opened).not.toContain("http://a/1");
+});
@@ -0,0 +1,31 @@
+const path = require("path");
+
+const proxies = require("../lib/proxies");
+const shells = require("../lib/shells");
+
+const SHOP = path.join(__dirname, "fixtures", "shop", "index.html");
+
+test("shells open URLs, local files and bare hostnames", () => {
+  expect(shells.shellUrl("https://a.com/x")).toBe("https://a.com/x");
+  expect(shells.shellUrl(SHOP)).toMatch(/^file:\/\/.*\/shop\/index\.html$/);
+  expect(shells.shellUrl("a.com")).toBe("http://a.com");
+});
+
+test("helpers call through to the session's current page", async () => {
+  const session = new shells.ShellSession(proxies.browserProxy({}), {
+    fetch: true
+  });
+  const helpers = session.helpers();
+  expect(() => helpers.cleanText("h1")).toThrow(/No page is open/);
+
+  await helpers.open(SHOP);
+  expect(await helpers.cleanText("h1")).toBe("Shop");
+  expect(await helpers.href("a.product")).toMatch(/\/shop\/products\/1\.html$/);
+  expect(await helpers.attr("a.product", "class")).toBe("product");
+  expect(await helpers.$$("a")).toHaveLength(2);
+  await expect(helpers.href("a.missing")).rejects.toThrow(/No element matches/);
+  expect(() => helpers.evaluate(() => 1)).toThrow(shells.ShellError);
+
+  await session.close();
+  expect(session.page).toBe(null);
+});
@@ -0,0 +1,89 @@
+const EventEmitter = require("events");
+
+const stats = require("../lib/stats");
+
+const sample = () => {
+  const runner = new EventEmitter();
+  const collector = new stats.StatsCollector();
+  collector.listen(runner);
+
+  const scraper = "Alpha";
+  const processor = { constructor: { name: "ConsoleProcessor" } };
+  runner.emit("scraperStart", { scraper });
+  runner.emit("pageOpened", { scraper, url: "http://a.com/1" });
+  runner.emit("pageOpened", { scraper, url: "http://www.b.com/1" });
+  runner.emit("pageFailed", { scraper, url: "http://a.com/2" });
+  runner.emit("pageSkipped", { scraper, url: "http://a.com/private" });
+  for (let i = 0; i < 2; i++) {
+    runner.emit("recordProcessed", {
+      scraper,
+      recordType: "Person",
+      processor
+    });
+  }
+  runner.emit("requestBlocked", {
+    scraper,
+    resourceType: "font",
+    reason: "resourceType",
+    estimatedBytes: 2048
+  });
+  runner.emit("requestBlocked", {
+    scraper,
+    resourceType: "script",
+    reason: "thirdParty",
+    estimatedBytes: null
+  });
+  runner.emit("errorHandled", { scraper, error: { name: "PageLoadError" } });
+  runner.emit("errorRecovered", { scraper, error: new TypeError("oops") });
+  runner.emit("targetEnd", {
+    scraper,
+    url: "http://a.com/1",
+    milliseconds: 120,
+    succeeded: true
+  });
+  runner.emit("targetEnd", {
+    scraper,
+    url: "http://a.com/2",
+    milliseconds: 30,
+    succeeded: false
+  });
+  return collector;
+};
+
+test("counts are kept per scraper, domain, record type and error class", () => {
+  const summary = sample().summary();
+  expect(summary.scrapers.Alpha).toEqual({
+    pagesLoaded: 2,
+    pagesFailed: 1,
+    pagesSkipped: 1,
+    records: 2,
+    recovered: 1,
+    requestsBlocked: 2,
+    targets: 1,
+    targetsFailed: 1,
+    targetMilliseconds: 150
+  });
+  expect(summary.domains).toEqual({
+    "a.com": { loaded: 1, failed: 1, skipped: 1 },
+    "www.b.com": { loaded: 1 }
+  });
+  expect(summary.recordTypes).toEqual({ Person: 2 });
+  expect(summary.processors).toEqual({ ConsoleProcessor: 2 });
+  expect(summary.errors).toEqual({ PageLoadError: 1, TypeError: 1 });
+  expect(summary.blocked).toEqual({
+    font: { requests: 1, estimatedBytes: 2048 },
+    script: { requests: 1, estimatedBytes: 0 }
+  });
+  expect(summary.blockReasons).toEqual({ resourceType: 1, thirdParty: 1 });
+  expect(summary.targets.length).toBe(2);
+  expect(JSON.parse(JSON.stringify(summary))).toEqual(summary);
+});
+
+test("the formatted summary mentions every section", () => {
+  const text = sample().format();
+  expect(text).toMatch(/Alpha: 1 targets \(1 failed, mean 75ms\)/);
+  expect(text).toMatch(/a\.com: 1 loaded, 1 failed, 1 skipped/);
+  expect(text).toMatch(/Person: 2/);
+  expect(text).toMatch(/PageLoadError: 1/);
+  expect(text).toMatch(/font: 1 requests, ~2KB saved/);
+});
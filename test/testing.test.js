@@ -0,0 +1,119 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+
+const processors = require("../lib/processors");
+const proxies = require("../lib/proxies");
+const runners = require("../lib/runners");
+const scrapers = require("../lib/scrapers");
+const testing = require("../lib/testing");
+const { temporaryPath } = require("./helpers");
+
+// Fetch mode scrapers never touch the browser a real Runner launches.
+jest.mock("puppeteer", () => ({
+  launch: async () => {
+    const EventEmitter = require("events");
+    const browser = new EventEmitter();
+    browser.close = async () => {};
+    return browser;
+  }
+}));
+
+const FIXTURES = path.join(__dirname, "fixtures", "shop");
+const GOLDEN = path.join(__dirname, "fixtures", "shop.json");
+
+class ShopScraper extends scrapers.Scraper {
+  fetchMode(target) {
+    return true;
+  }
+
+  async *process(page, target) {
+    for (const link of await page.$$("a.product")) {
+      this.enqueue(await link.href(), { from: target });
+    }
+    const price = await page.cleanText(".price");
+    if (price) {
+      yield { url: page.url(), name: await page.cleanText("h1"), price: price };
+    }
+  }
+}
+
+// A Runner without a browser, which is all a fetch mode scraper needs.
+class FetchingRunner extends EventEmitter {
+  emitEvent(event, context) {
+    this.emit(event, context);
+  }
+
+  async run(scraper) {
+    for await (const item of scraper.scrape(proxies.browserProxy({}))) {
+      await this.defaultProcessor.process(item);
+    }
+  }
+}
+
+test("scrapers are run against fixtures and compared to a golden file", async () => {
+  const result = await new testing.ScraperTest({
+    scraper: ShopScraper,
+    fixtures: FIXTURES,
+    golden: GOLDEN,
+    Runner: FetchingRunner
+  }).run();
+  expect(result.differences).toEqual([]);
+  expect(result.passed).toBe(true);
+  expect(result.records[0].url).toBe(
+    `${testing.FIXTURE_ORIGIN}/products/1.html`
+  );
+});
+
+test("scrapers run with a real Runner, whose processors don't take their records", async () => {
+  const routed = temporaryPath("routed.jsonl");
+  class RoutingRunner extends runners.Runner {
+    constructor(options) {
+      super(options);
+      this.addProcessor(new processors.CollectingProcessor());
+    }
+  }
+
+  const result = await new testing.ScraperTest({
+    scraper: ShopScraper,
+    fixtures: FIXTURES,
+    golden: GOLDEN,
+    Runner: RoutingRunner,
+    runnerOptions: { processors: [{ type: "jsonl", path: routed }] }
+  }).run();
+  expect(result.errors).toEqual([]);
+  expect(result.differences).toEqual([]);
+  expect(result.passed).toBe(true);
+  expect(fs.existsSync(routed)).toBe(false);
+});
+
+test("records that stray from the golden file fail, until updated", async () => {
+  class CheapShopScraper extends ShopScraper {
+    async *process(page, target) {
+      for await (const record of super.process(page, target)) {
+        yield Object.assign(record, { price: "$1" });
+      }
+    }
+  }
+  const golden = temporaryPath("shop.json");
+  fs.copyFileSync(GOLDEN, golden);
+  const options = {
+    scraper: CheapShopScraper,
+    fixtures: FIXTURES,
+    golden: golden,
+    Runner: FetchingRunner
+  };
+
+  const failed = await new testing.ScraperTest(options).run();
+  expect(failed.passed).toBe(false);
+  expect(failed.differences).toEqual([
+    '[0].price: expected "$10", got "$1"',
+    '[1].price: expected "$25", got "$1"'
+  ]);
+
+  const updated = await new testing.ScraperTest(
+    Object.assign({ update: true }, options)
+  ).run();
+  expect(updated.updated).toBe(true);
+  expect((await new testing.ScraperTest(options).run()).passed).toBe(true);
+});
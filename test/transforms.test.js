@@ -0,0 +1,79 @@
+const records = require("../lib/records");
+const transforms = require("../lib/transforms");
+
+class Product extends records.Record {}
+class Variant extends records.Record {}
+
+const product = fields => Object.assign(new Product(), fields);
+
+test("stages map, enrich, filter, drop and split, in order", async () => {
+  const pipeline = new transforms.Pipeline()
+    .map(record => ({ ...record, name: record.name.trim() }))
+    .enrich(async record => ({ slug: record.name.toLowerCase() }))
+    .drop(record => record.discontinued)
+    .split(record =>
+      record.sizes.map(size => Object.assign(new Variant(), { size: size }))
+    )
+    .filter(record => record.size != "XL");
+
+  const [small, medium] = await pipeline.run(
+    product({ name: " Shirt ", sizes: ["S", "M", "XL"] })
+  );
+  expect(small).toEqual({ record: { size: "S" }, recordType: "Variant" });
+  expect(small.record).toBeInstanceOf(Variant);
+  expect(medium.record.size).toBe("M");
+
+  expect(
+    await pipeline.run(product({ name: "Hat", discontinued: true }))
+  ).toEqual([]);
+});
+
+test("plain objects keep the class and type of the record they came from", async () => {
+  const pipeline = new transforms.Pipeline([
+    record => ({ ...record, seen: true })
+  ]);
+  const [result] = await pipeline.run(new records.Record(), {
+    recordType: "Product"
+  });
+  expect(result.record).toBeInstanceOf(records.Record);
+  expect(result.record.seen).toBe(true);
+  expect(result.recordType).toBe("Product");
+});
+
+test("stages may be limited by record type, scraper or predicate", async () => {
+  const seen = [];
+  const pipeline = new transforms.Pipeline()
+    .enrich(() => ({ product: true }), { recordType: Product })
+    .enrich(() => ({ shop: true }), { scraper: "shop" })
+    .map(
+      (record, context) => {
+        seen.push(context.recordType);
+      },
+      { when: record => record.cheap }
+    );
+
+  const [cheap] = await pipeline.run(product({ cheap: true }), {
+    scraper: "shop"
+  });
+  expect(cheap.record).toEqual({ cheap: true, product: true, shop: true });
+  const [other] = await pipeline.run(new records.Record(), {
+    scraper: "blog"
+  });
+  expect(other.record).toEqual({});
+  expect(seen).toEqual(["Product"]);
+});
+
+test("a stage that throws fails with a TransformError naming it", async () => {
+  const pipeline = new transforms.Pipeline().map(function price() {
+    throw new Error("no price");
+  });
+  await expect(pipeline.run(product({}))).rejects.toThrow(
+    "Transform price failed: no price"
+  );
+  await expect(pipeline.run(product({}))).rejects.toBeInstanceOf(
+    transforms.TransformError
+  );
+  expect(() => new transforms.Pipeline().add({ kind: "squish" })).toThrow(
+    transforms.TransformError
+  );
+});
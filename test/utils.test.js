@@ -0,0 +1,115 @@
+const utils = require("../lib/utils");
+
+async function* items(...values) {
+  yield* values;
+}
+
+async function* delayed(value) {
+  await utils.sleep(value);
+  yield value;
+  yield value + 1;
+}
+
+const collect = async iterable => {
+  const results = [];
+  for await (const result of iterable) {
+    results.push(result);
+  }
+  return results;
+};
+
+test("concurrentFlatMap runs items one at a time by default", async () => {
+  const results = await collect(
+    utils.concurrentFlatMap(items(30, 10, 20), delayed)
+  );
+  expect(results).toEqual([30, 31, 10, 11, 20, 21]);
+});
+
+test("concurrentFlatMap yields concurrent results as they arrive", async () => {
+  const results = await collect(
+    utils.concurrentFlatMap(items(60, 10, 30), delayed, { concurrency: 3 })
+  );
+  expect(results).toEqual([10, 11, 30, 31, 60, 61]);
+});
+
+test("concurrentFlatMap can preserve source order", async () => {
+  const results = await collect(
+    utils.concurrentFlatMap(items(60, 10, 30), delayed, {
+      concurrency: 3,
+      ordered: true
+    })
+  );
+  expect(results).toEqual([60, 61, 10, 11, 30, 31]);
+});
+
+test("concurrentFlatMap never exceeds its concurrency", async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  async function* track(value) {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await utils.sleep(value);
+    inFlight -= 1;
+    yield value;
+  }
+  await collect(
+    utils.concurrentFlatMap(items(5, 10, 5, 10, 5), track, { concurrency: 2 })
+  );
+  expect(maxInFlight).toBe(2);
+});
+
+test("concurrentFlatMap closes its lanes and source when stopped early", async () => {
+  const closed = [];
+  async function* source() {
+    try {
+      yield* [10, 20, 30];
+    } finally {
+      closed.push("source");
+    }
+  }
+  async function* lane(value) {
+    try {
+      await utils.sleep(value);
+      yield value;
+      yield value + 1;
+    } finally {
+      closed.push(value);
+    }
+  }
+
+  for await (const result of utils.concurrentFlatMap(source(), lane, {
+    concurrency: 2
+  })) {
+    expect(result).toBe(10);
+    break;
+  }
+  await utils.sleep(50);
+  expect(closed.sort()).toEqual([10, 20, "source"]);
+});
+
+test("concurrentFlatMap closes the other lanes when one throws", async () => {
+  const closed = [];
+  async function* lane(value) {
+    try {
+      await utils.sleep(value);
+      if (value == 10) {
+        throw new Error("boom");
+      }
+      yield value;
+    } finally {
+      closed.push(value);
+    }
+  }
+  const unhandled = jest.fn();
+  process.on("unhandledRejection", unhandled);
+  try {
+    await expect(
+      collect(utils.concurrentFlatMap(items(10, 20), lane, { concurrency: 2 }))
+    ).rejects.toThrow("boom");
+    await utils.sleep(50);
+  } finally {
+    process.removeListener("unhandledRejection", unhandled);
+  }
+  expect(closed.sort()).toEqual([10, 20]);
+  expect(unhandled).not.toHaveBeenCalled();
+});